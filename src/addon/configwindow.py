@@ -1,12 +1,15 @@
+import copy
 import re
 from enum import Enum
-from typing import List, TypedDict, Set, TYPE_CHECKING
+from typing import Any, Dict, List, Tuple, TypedDict, Set, TYPE_CHECKING
 
 from anki.models import NoteType
 from aqt import mw
 from aqt.qt import *
 
 from .ankiaddonconfig import ConfigManager, ConfigWindow
+from .overrides import FieldOverrides, key_by_note_type_id
+from .spellcheck import available_dictionaries
 
 conf = ConfigManager()
 
@@ -20,6 +23,11 @@ def general_tab(conf_window: ConfigWindow) -> None:
     )
     tab.checkbox("outline", "Show a blue outline around the field when editing")
     tab.checkbox("process_paste", "Process pasted content for images and HTML")
+    tab.checkbox(
+        "paste_rules.extended",
+        "Keep formatting when pasting (bold, lists, tables, links)",
+        tooltip="Tag, attribute, style and text rules are set in paste_rules in the Advanced config editor",
+    )
     tab.checkbox("disable_autoplay_after_edit", "Disable Autoplay after edit")
     tag_options = ["div", "span"]
     tab.dropdown(
@@ -34,6 +42,16 @@ def general_tab(conf_window: ConfigWindow) -> None:
         "Shortcut for same number cloze:",
         tooltip="Default is Ctrl+Shift+Alt+C",
     )
+    tab.text_input(
+        "shortcuts.paste-plain",
+        "Shortcut for paste as plain text:",
+        tooltip="Pastes the clipboard text without formatting",
+    )
+    tab.text_input(
+        "shortcuts.edit-log",
+        "Shortcut for session edit log:",
+        tooltip="Shows the edits saved in this session, with a revert button for each",
+    )
 
     tab.space(20)
     tab.text("Image Resizing", bold=True)
@@ -59,6 +77,126 @@ def general_tab(conf_window: ConfigWindow) -> None:
         "Shortcut for image resize mode:",
         tooltip="Pressing this shortcut toggles the image resize mode",
     )
+    tab.checkbox(
+        "image_toolbar",
+        "Show image toolbar while editing",
+        tooltip="Crop, rotate, flip and edit the alt text of the image at the cursor",
+    )
+
+    tab.space(20)
+    tab.text("Markdown", bold=True)
+    tab.checkbox(
+        "markdown.enabled",
+        "Convert markdown while typing",
+        tooltip="**bold**, *italic*, `code`, ==highlight== and lists starting with - or 1.",
+    )
+    tab.color_input("markdown.highlight_color", "Highlight color:")
+    tab.text_input(
+        "shortcuts.markdown",
+        "Shortcut for markdown mode:",
+        tooltip="Pressing this shortcut toggles markdown mode",
+    )
+
+    tab.space(20)
+    tab.text("Modal Editing", bold=True)
+    tab.checkbox(
+        "modal_editing.enabled",
+        "Start editing in normal mode",
+        tooltip="In normal mode single keys move between clozes and edit them, I switches to typing",
+    )
+    tab.text(
+        "Keys of normal mode can be changed in Keyboard Shortcuts in the command palette",
+        size=10,
+    )
+    tab.text_input(
+        "shortcuts.modal",
+        "Shortcut for modal editing:",
+        tooltip="Pressing this shortcut turns modal editing on or off",
+    )
+
+    tab.space(20)
+    tab.text("Spell Check", bold=True)
+    tab.checkbox(
+        "spellcheck.enabled",
+        "Check spelling while editing",
+        tooltip="Cloze markup, HTML and MathJax are skipped",
+    )
+    dictionaries = list(available_dictionaries())
+    tab.dropdown(
+        "spellcheck.dictionary",
+        dictionaries,
+        dictionaries,
+        "Dictionary:",
+        tooltip="Add Hunspell dictionaries to the user_files/dictionaries folder",
+    )
+    tab.text_input(
+        "shortcuts.spellcheck",
+        "Shortcut for spell check:",
+        tooltip="Pressing this shortcut toggles spell checking",
+    )
+
+    tab.space(20)
+    tab.text("Cloze Suggestions", bold=True)
+    detectors = [
+        ("formatted", "Bold, italic and underlined text"),
+        ("date", "Dates"),
+        ("number", "Years, numbers and quantities with units"),
+        ("acronym", "Acronyms"),
+        ("term", "Capitalized, mixed case and hyphenated terms"),
+    ]
+    for detector, description in detectors:
+        tab.checkbox(f"cloze_tools.suggestions.detectors.{detector}", description)
+    tab.text(
+        "Custom regexes and term lists are set in the Advanced config editor",
+        size=10,
+    )
+    tab.text_input(
+        "cloze_tools.shortcuts.suggest_clozes",
+        "Shortcut for cloze suggestions:",
+        tooltip="Pressing this shortcut toggles cloze suggestions",
+    )
+
+    tab.space(20)
+    tab.text("Leeches", bold=True)
+    tab.checkbox(
+        "leech.flag",
+        "Flag cards that lapsed often",
+        tooltip="Shows a banner with a Fix button on the card",
+    )
+    tab.number_input(
+        "leech.min_lapses",
+        "Lapses to flag a card:",
+        minimum=1,
+        maximum=99,
+    )
+    tab.text_input(
+        "cloze_tools.shortcuts.fix_leech",
+        "Shortcut to fix a leech:",
+    )
+
+    tab.space(20)
+    tab.text("Glossary Auto-Cloze", bold=True)
+    tab.dropdown(
+        "cloze_tools.glossary.numbering",
+        ["A new number per term", "A new number per occurrence"],
+        ["term", "occurrence"],
+        "Numbering:",
+        tooltip="Per term, repeats of a term share its number",
+    )
+    tab.checkbox("cloze_tools.glossary.match_case", "Match case")
+    tab.checkbox(
+        "cloze_tools.glossary.match_stems",
+        "Match other word forms",
+        tooltip="Also match endings like -s, -ed and -ing",
+    )
+    tab.text(
+        "Glossaries for each deck or note type are set in the Advanced config editor",
+        size=10,
+    )
+    tab.text_input(
+        "cloze_tools.shortcuts.glossary_cloze",
+        "Shortcut for glossary auto-cloze:",
+    )
     tab.stretch()
 
 
@@ -72,7 +210,7 @@ def formatting_tab(conf_window: ConfigWindow) -> None:
         item_key = f"special_formatting.{formatting}"
         hlayout.checkbox(f"{item_key}.enabled")
         hlayout.text(formatting).setFixedWidth(120)
-        hlayout.text_input(f"{item_key}.shortcut").setFixedWidth(160)
+        hlayout.text_input(f"{item_key}.shortcut").setFixedWidth(200)
         if conf[f"{item_key}.arg"] is not None:
             if conf[f"{item_key}.arg.type"] == "color":
                 hlayout.color_input(f"{item_key}.arg.value")
@@ -116,6 +254,7 @@ class FieldIsEditable(TypedDict):
 
 
 class NoteTypeFields(TypedDict):
+    id: int
     name: str
     fields: List[FieldIsEditable]
 
@@ -191,7 +330,7 @@ def get_fields_in_every_notetype(fields_in_note_type: List[NoteTypeFields]) -> N
                 fields_list.append(field)
             except:
                 pass
-        nt = NoteTypeFields(name=note_type["name"], fields=fields_list)
+        nt = NoteTypeFields(id=note_type["id"], name=note_type["name"], fields=fields_list)
         fields_in_note_type.append(nt)
 
 
@@ -289,6 +428,187 @@ def fields_tab(conf_window: ConfigWindow) -> None:
     button_layout.stretch()
     tab.space(5)
 
+    tab.space(15)
+    field_overrides_section(conf_window, tab, dropdown, qlist, fields_in_note_type)
+
+
+# Checkbox settings that can be overridden, with their General tab label
+OVERRIDE_CHECKBOXES = [
+    ("ctrl_click", "Ctrl + Click to edit field"),
+    ("process_paste", "Process pasted content"),
+    ("remove_span", "Remove span tags"),
+    ("resize_image_default_state", "Use image resizing"),
+]
+OVERRIDE_TAGS = ["div", "span"]
+OVERRIDE_RATIO_LABELS = [
+    "Don't preserve ratio",
+    "Preserve ratio when using corner",
+    "Always preserve ratio",
+]
+
+
+def field_overrides_section(
+    conf_window: ConfigWindow,
+    tab: Any,
+    dropdown: QComboBox,
+    qlist: QListWidget,
+    fields_in_note_type: List[NoteTypeFields],
+) -> None:
+    """Edits conf["field_overrides"]: {note type id: {"*" or field: {setting: value}}}.
+
+    A partially checked box or "Default" uses the General tab setting. A field's
+    disabled shortcuts add to those of "*", which show as off for every field.
+    """
+    conf = conf_window.conf
+    overrides: FieldOverrides = key_by_note_type_id(copy.deepcopy(conf["field_overrides"]))
+    shortcut_names = list(conf["cloze_tools.shortcuts"])
+    loading = False
+
+    tab.text("Editor settings", bold=True)
+    tab.text(
+        "Override the General tab for a note type or a field."
+        " Field settings take precedence over note type settings.",
+        multiline=True,
+    )
+    scope_layout = tab.hlayout()
+    scope_layout.text("Settings for:")
+    scope = QComboBox()
+    scope_layout.addWidget(scope)
+    scope_layout.stretch()
+
+    tag_layout = tab.hlayout()
+    tag_layout.text("HTML tag:")
+    tag_box = QComboBox()
+    tag_box.addItems(["Default"] + OVERRIDE_TAGS)
+    tag_layout.addWidget(tag_box)
+    tag_layout.text("Image resizing mode:")
+    ratio_box = QComboBox()
+    ratio_box.addItems(["Default"] + OVERRIDE_RATIO_LABELS)
+    tag_layout.addWidget(ratio_box)
+    tag_layout.stretch()
+
+    checkbox_layout = tab.hlayout()
+    checkboxes: Dict[str, QCheckBox] = {}
+    for key, label in OVERRIDE_CHECKBOXES:
+        checkbox = QCheckBox(label)
+        checkbox.setTristate(True)
+        checkbox.setToolTip("Partially checked uses the General tab setting")
+        checkbox_layout.addWidget(checkbox)
+        checkboxes[key] = checkbox
+    checkbox_layout.stretch()
+
+    tab.text("Active cloze tool shortcuts:")
+    shortcut_list = QListWidget()
+    shortcut_list.setStyleSheet("QListWidget{border: 1px solid; padding: 6px;}")
+    shortcut_list.setMaximumHeight(120)
+    for name in shortcut_names:
+        item = QListWidgetItem(name.replace("_", " "), shortcut_list)
+        item.setCheckState(Qt.CheckState.Checked)
+    tab.addWidget(shortcut_list)
+
+    def current_key() -> Tuple[str, str]:
+        note_type = str(fields_in_note_type[dropdown.currentIndex()]["id"])
+        idx = scope.currentIndex()
+        field = "*" if idx <= 0 else scope.itemText(idx)
+        return (note_type, field)
+
+    def current_overrides() -> Dict[str, Any]:
+        note_type, field = current_key()
+        return overrides.get(note_type, {}).get(field, {})
+
+    def inherited_disabled() -> List[str]:
+        """Shortcuts turned off for all fields, which a field can't turn on."""
+        note_type, field = current_key()
+        if field == "*":
+            return []
+        return overrides.get(note_type, {}).get("*", {}).get("disabled_shortcuts", [])
+
+    def load_overrides() -> None:
+        nonlocal loading
+        if dropdown.currentIndex() == -1:
+            return
+        loading = True
+        values = current_overrides()
+        tag = values.get("tag")
+        tag_box.setCurrentIndex(OVERRIDE_TAGS.index(tag) + 1 if tag in OVERRIDE_TAGS else 0)
+        ratio = values.get("resize_image_preserve_ratio")
+        ratio_box.setCurrentIndex(ratio + 1 if ratio in (0, 1, 2) else 0)
+        for key, checkbox in checkboxes.items():
+            if key not in values:
+                checkbox.setCheckState(Qt.CheckState.PartiallyChecked)
+            elif values[key]:
+                checkbox.setCheckState(Qt.CheckState.Checked)
+            else:
+                checkbox.setCheckState(Qt.CheckState.Unchecked)
+        disabled = values.get("disabled_shortcuts", [])
+        inherited = inherited_disabled()
+        for row, name in enumerate(shortcut_names):
+            item = shortcut_list.item(row)
+            state = Qt.CheckState.Unchecked if name in disabled or name in inherited else Qt.CheckState.Checked
+            item.setCheckState(state)
+            if name in inherited:
+                item.setFlags(item.flags() & ~Qt.ItemFlag.ItemIsEnabled)
+                item.setToolTip("Turned off for all fields of this note type")
+            else:
+                item.setFlags(item.flags() | Qt.ItemFlag.ItemIsEnabled)
+                item.setToolTip("")
+        loading = False
+
+    def store_overrides() -> None:
+        if loading or dropdown.currentIndex() == -1:
+            return
+        values: Dict[str, Any] = {}
+        if tag_box.currentIndex() > 0:
+            values["tag"] = OVERRIDE_TAGS[tag_box.currentIndex() - 1]
+        if ratio_box.currentIndex() > 0:
+            values["resize_image_preserve_ratio"] = ratio_box.currentIndex() - 1
+        for key, checkbox in checkboxes.items():
+            if checkbox.checkState() != Qt.CheckState.PartiallyChecked:
+                values[key] = checkbox.checkState() == Qt.CheckState.Checked
+        inherited = inherited_disabled()
+        disabled = [
+            name
+            for row, name in enumerate(shortcut_names)
+            if shortcut_list.item(row).checkState() == Qt.CheckState.Unchecked and name not in inherited
+        ]
+        if disabled:
+            values["disabled_shortcuts"] = disabled
+
+        note_type, field = current_key()
+        note_type_overrides = overrides.setdefault(note_type, {})
+        if values:
+            note_type_overrides[field] = values
+        else:
+            note_type_overrides.pop(field, None)
+        if not note_type_overrides:
+            del overrides[note_type]
+        conf["field_overrides"] = copy.deepcopy(overrides)
+
+    def update_scope() -> None:
+        idx = dropdown.currentIndex()
+        if idx == -1:
+            return
+        scope.blockSignals(True)
+        scope.clear()
+        scope.addItem("All fields of this note type")
+        scope.addItems([field["name"] for field in fields_in_note_type[idx]["fields"]])
+        scope.blockSignals(False)
+        load_overrides()
+
+    def on_row_changed(row: int) -> None:
+        if row >= 0:
+            scope.setCurrentIndex(row + 1)
+
+    dropdown.currentIndexChanged.connect(lambda _: update_scope())
+    qlist.currentRowChanged.connect(on_row_changed)
+    scope.currentIndexChanged.connect(lambda _: load_overrides())
+    tag_box.currentIndexChanged.connect(lambda _: store_overrides())
+    ratio_box.currentIndexChanged.connect(lambda _: store_overrides())
+    for checkbox in checkboxes.values():
+        checkbox.stateChanged.connect(lambda _: store_overrides())
+    shortcut_list.itemChanged.connect(lambda _: store_overrides())
+    update_scope()
+
 
 def about_tab(conf_window: ConfigWindow) -> None:
     conf = conf_window.conf
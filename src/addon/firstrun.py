@@ -115,6 +115,34 @@ def remove_undo() -> None:
 remove_undo()
 
 
+# Formatting shortcuts that used the keys of cloze tools, moved behind Ctrl + K
+OLD_FORMATTING_SHORTCUTS = {
+    "formatblock": ("Ctrl + .", "Ctrl + K Ctrl + P"),
+    "hyperlink": ("Ctrl + Shift + L", "Ctrl + K Ctrl + L"),
+    "unhyperlink": ("Ctrl + Shift + Alt + L", "Ctrl + K Ctrl + Shift + L"),
+    "orderedlist": ("Ctrl + ]", "Ctrl + K Ctrl + O"),
+    "unorderedlist": ("Ctrl + [", "Ctrl + K Ctrl + U"),
+    "justifyLeft": ("Ctrl + Shift + Alt + L", "Ctrl + K Alt + L"),
+    "justifyCenter": ("Ctrl + Shift + Alt + S", "Ctrl + K Alt + C"),
+    "justifyRight": ("Ctrl + Shift + Alt + E", "Ctrl + K Alt + R"),
+    "justifyFull": ("Ctrl + Shift + Alt + B", "Ctrl + K Alt + J"),
+}
+
+
+def move_conflicting_formatting_shortcuts() -> None:
+    changed = False
+    for key, (old, new) in OLD_FORMATTING_SHORTCUTS.items():
+        path = f"special_formatting.{key}.shortcut"
+        if conf.get(path, None) == old:
+            conf[path] = new
+            changed = True
+    if changed:
+        conf.save()
+
+
+move_conflicting_formatting_shortcuts()
+
+
 def initial_tutorial() -> None:
     tutorial = """
 <style>
@@ -186,7 +214,7 @@ def initial_tutorial() -> None:
 <li><span class="shortcut">Ctrl+Shift+Alt+T</span> - Toggle cloze info overlay</li>
 <li><span class="shortcut">Ctrl+Shift+Alt+Y</span> - Copy cloze content</li>
 <li><span class="shortcut">Ctrl+Shift+Alt+P</span> - Preview card</li>
-<li><span class="shortcut">Ctrl+Shift+Alt+G</span> - Find & replace in clozes</li>
+<li><span class="shortcut">Ctrl+Shift+Alt+G</span> - Find & replace, with regex and scopes</li>
 <li><span class="shortcut">Ctrl+Shift+G</span> - Suggest cloze candidates</li>
 </ul>
 
@@ -0,0 +1,33 @@
+from typing import Any, Dict
+
+from aqt import mw
+
+# {note type id: {"*" or field name: {setting: value}}}
+FieldOverrides = Dict[str, Dict[str, Dict[str, Any]]]
+
+
+def note_type_by_name(name: str) -> Any:
+    try:  # 2.1.45
+        return mw.col.models.by_name(name)
+    except AttributeError:  # 2.1.41-44
+        return mw.col.models.byName(name)  # type: ignore
+
+
+def key_by_note_type_id(overrides: FieldOverrides) -> FieldOverrides:
+    """Overrides with note type names replaced by the note type id.
+
+    An id still finds the overrides after the note type is renamed. Names can
+    be written in the config by hand, names of no note type are kept as they
+    are. Where a note type has both, the entry under its id wins.
+    """
+    keyed = {key: value for key, value in overrides.items() if key.isdigit()}
+    for key, value in overrides.items():
+        if key.isdigit():
+            continue
+        note_type = note_type_by_name(key)
+        if note_type is None:
+            keyed[key] = value
+            continue
+        ntid = str(note_type["id"])
+        keyed[ntid] = {**value, **keyed.get(ntid, {})}
+    return keyed
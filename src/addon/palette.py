@@ -0,0 +1,25 @@
+import json
+import os
+from typing import List
+
+ADDON_DIR = os.path.dirname(__file__)
+RECENT_COMMANDS = os.path.join(ADDON_DIR, "user_files", "recent_commands.json")
+MAX_RECENT_COMMANDS = 10
+
+
+def recent_commands() -> List[str]:
+    """Names of the command palette commands used last, most recent first."""
+    try:
+        with open(RECENT_COMMANDS, encoding="utf-8") as f:
+            names = json.load(f)
+    except (OSError, ValueError):
+        return []
+    if not isinstance(names, list):
+        return []
+    return [name for name in names if isinstance(name, str)][:MAX_RECENT_COMMANDS]
+
+
+def add_recent_command(name: str) -> None:
+    names = [name] + [other for other in recent_commands() if other != name]
+    with open(RECENT_COMMANDS, "w", encoding="utf-8") as f:
+        json.dump(names[:MAX_RECENT_COMMANDS], f, ensure_ascii=False)
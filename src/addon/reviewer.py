@@ -1,11 +1,17 @@
 import base64
+import html
+import itertools
 import json
-from typing import Any, Optional, Tuple, Union
+import re
+import time
+from typing import Any, Dict, List, Optional, Tuple, TypedDict, Union
 
 import anki
 from anki.template import TemplateRenderContext
-from anki.notes import Note
+from anki.notes import Note, NoteId
+from anki.errors import NotFoundError
 from anki.cards import Card
+from anki.consts import MODEL_CLOZE
 from anki.collection import OpChanges
 import aqt
 from aqt import mw, gui_hooks
@@ -17,7 +23,11 @@ from aqt.utils import showText, tooltip
 from aqt.operations.note import update_note
 
 from .semieditor import SemiEditorWebView
+from .overrides import key_by_note_type_id
+from .palette import add_recent_command, recent_commands
 from .ankiaddonconfig import ConfigManager
+from .spellcheck import add_personal_word, dictionary_urls, personal_words
+from .suggestions import glossary_terms, suggestion_terms
 
 ERROR_MSG = "ERROR - Edit Field During Review Cloze\n{}"
 
@@ -32,41 +42,121 @@ class FldNotFoundError(Exception):
         return f"Field {self.fld} not found in note. Please check your note type."
 
 
+class EditLogEntry(TypedDict):
+    id: int
+    nid: int
+    field: str
+    before: str
+    after: str
+    time: float
+
+
 conf = ConfigManager()
 
+# Field edits saved in this session, oldest first. Kept here rather than in
+# the webview so the log survives card changes and reviewer restarts.
+edit_log: List[EditLogEntry] = []
+MAX_EDIT_LOG = 200
+# Entries are reverted by id, as indexes change when old entries are dropped
+edit_ids = itertools.count(1)
+
 
 def myRevHtml() -> str:
     conf.load()  # update config when reviewer is launched
-
-    # config should not have any single quote values
-    js = "EFDRCE.registerConfig('{}');".format(conf.to_json())
+    overrides = key_by_note_type_id(conf["field_overrides"])
+    if overrides != conf["field_overrides"]:
+        conf["field_overrides"] = overrides
+        conf.save()
+
+    # The config json is passed as an object literal, so backslashes in regex
+    # values reach the webview as they are. "</" is escaped so that a value
+    # can't end the script tag.
+    js = "EFDRCE.registerConfig({});".format(conf.to_json().replace("</", "<\\/"))
     js += "EFDRCE.setupReviewer();"
     js += "EFDRCE.setupClozeTools();"
+    js += "EFDRCE.setupCommandPalette({});".format(json.dumps(recent_commands()))
+    js += "EFDRCE.setupEditLog();"
+    js += "EFDRCE.setupOcclusion();"
+    js += "EFDRCE.setupPaste();"
+    js += "EFDRCE.setupMarkdown();"
+    js += "EFDRCE.setupLeech();"
+    js += "EFDRCE.setupModal();"
+    terms = suggestion_terms(conf["cloze_tools.suggestions.term_files"])
+    js += "EFDRCE.setupSuggestions({});".format(json.dumps(terms))
+    spellcheck_setup = {
+        "urls": dictionary_urls(conf["spellcheck.dictionary"]),
+        "words": personal_words(),
+    }
+    js += "EFDRCE.setupSpellcheck({});".format(json.dumps(spellcheck_setup))
+    js += "EFDRCE.reportShortcutConflicts();"
     return f"<script>{js}</script>"
 
 
+# Settings that can be overridden per note type and per field in "field_overrides"
+FIELD_OVERRIDE_KEYS = [
+    "tag",
+    "ctrl_click",
+    "process_paste",
+    "remove_span",
+    "resize_image_default_state",
+    "resize_image_preserve_ratio",
+    "disabled_shortcuts",
+]
+
+
+def field_overrides(note_type: Dict[str, Any], field: str) -> Dict[str, Any]:
+    """Overrides for a field: the note type's "*" entry, then the field's own entry.
+    The "disabled_shortcuts" of both are merged.
+
+    Entries are keyed by note type id, or by name where the config was edited
+    by hand since the reviewer opened.
+    """
+    all_overrides = conf["field_overrides"]
+    note_type_overrides = all_overrides.get(str(note_type["id"])) or all_overrides.get(note_type["name"], {})
+    overrides: Dict[str, Any] = {}
+    for key in ("*", field):
+        for name, value in note_type_overrides.get(key, {}).items():
+            if name == "disabled_shortcuts":
+                # A field turns off shortcuts on top of those of its note type
+                inherited = overrides.get(name, [])
+                overrides[name] = inherited + [s for s in value if s not in inherited]
+            elif name in FIELD_OVERRIDE_KEYS:
+                overrides[name] = value
+    return overrides
+
+
 def edit_filter(txt: str, field: str, filt: str, ctx: TemplateRenderContext) -> str:
     if not filt == "edit":
         return txt
+    overrides = field_overrides(ctx.note_type(), field)
+    tag = overrides.get("tag", conf["tag"])
     # Encode field to escape special characters.
     class_name = ""
     if conf["outline"]:
         class_name += "EFDRCE-outline "
-    if conf["ctrl_click"]:
+    if overrides.get("ctrl_click", conf["ctrl_click"]):
         class_name += "EFDRCE-ctrl "
+    # Read by EFDRCE.fieldConf in global_card.js
+    conf_attr = ""
+    if overrides:
+        conf_attr = ' data-EFDRCEconf="%s"' % html.escape(json.dumps(overrides))
     field = base64.b64encode(field.encode("utf-8")).decode("ascii")
-    txt = """<%s data-EFDRCEfield="%s" class="%s">%s</%s>""" % (
-        conf["tag"],
+    txt = """<%s data-EFDRCEfield="%s" class="%s"%s>%s</%s>""" % (
+        tag,
         field,
         class_name,
+        conf_attr,
         txt,
-        conf["tag"],
+        tag,
     )
     return txt
 
 
 def serve_card(txt: str, card: Card, kind: str) -> str:
-    return txt + "<script>EFDRCE.serveCard()</script>"
+    # The cloze number of the card, for the leech fixing flow
+    is_cloze = card.note_type()["type"] == MODEL_CLOZE
+    card_info = {"id": card.id, "ord": card.ord + 1 if is_cloze else None, "lapses": card.lapses}
+    return txt + f"<script>EFDRCE.serveCard({card.nid}, {json.dumps(card_info)})</script>"
 
 
 def save_field_and_reload(
@@ -75,24 +165,57 @@ def save_field_and_reload(
         val: str, 
         context: Union[Reviewer, MultiCardPreviewer]
 ) -> None:
-    if fld == "Tags":
-        # aqt.editor.Editor.saveTags
-        tags = mw.col.tags.split(val)
-        if note.tags == tags:
-            return
-        note.tags = tags
-    elif fld not in note:
-        raise FldNotFoundError(fld)
-    else:
-        # aqt.editor.Editor.onBridgeCmd
-        txt = Editor.mungeHTML(editorwv.editor, val)
-        if note[fld] == txt:
-            return
-        note[fld] = txt
+    save_fields_and_reload(note, {fld: val}, context)
+
+
+def save_fields_and_reload(
+    note: Note,
+    vals: Dict[str, str],
+    context: Union[Reviewer, MultiCardPreviewer],
+    always_reload: bool = False,
+    reload: bool = True,
+) -> None:
+    """Save several fields in one note update. Nothing is saved if a field is missing.
+
+    With `reload` false the card is only reloaded if the update fails.
+    """
+    for fld in vals:
+        if fld != "Tags" and fld not in note:
+            raise FldNotFoundError(fld)
+
+    changed: List[str] = []
+    # (field, before, after), logged once the update succeeded
+    edits: List[Tuple[str, str, str]] = []
+    for fld, val in vals.items():
+        if fld == "Tags":
+            # aqt.editor.Editor.saveTags
+            tags = mw.col.tags.split(val)
+            if note.tags == tags:
+                continue
+            edits.append((fld, get_value(note, fld), val))
+            note.tags = tags
+        else:
+            # aqt.editor.Editor.onBridgeCmd
+            txt = Editor.mungeHTML(editorwv.editor, val)
+            if note[fld] == txt:
+                continue
+            edits.append((fld, note[fld], txt))
+            note[fld] = txt
+        changed.append(fld)
+
+    if not changed:
+        notify_fields_saved(context, note.id, list(vals), False)
+        if always_reload:
+            reload_review_context(context)
+        return
     # 2.1.45+
 
     def on_success(changes: OpChanges) -> None:
-        reload_review_context(context)
+        for fld, before, after in edits:
+            log_edit(note, fld, before, after)
+        notify_fields_saved(context, note.id, changed, True)
+        if reload:
+            reload_review_context(context)
     
     def on_failure(exc: Exception) -> None:
         reload_review_context(context)
@@ -103,6 +226,48 @@ def save_field_and_reload(
     ).success(on_success).failure(on_failure).run_in_background()
 
 
+def notify_fields_saved(
+    context: Union[Reviewer, MultiCardPreviewer], nid: int, flds: List[str], changed: bool
+) -> None:
+    """Call EFDRCE.fieldsSaved once the note update is done, `changed` if it changed the fields."""
+    web = context.web if isinstance(context, Reviewer) else context._web
+    if web is None:
+        return
+    encoded = [base64.b64encode(fld.encode("utf-8")).decode("ascii") for fld in flds]
+    web.eval(
+        "EFDRCE.fieldsSaved(%s, %s, %s)" % (json.dumps(str(nid)), json.dumps(encoded), json.dumps(changed))
+    )
+
+
+def log_edit(note: Note, fld: str, before: str, after: str) -> None:
+    edit_log.append(
+        EditLogEntry(
+            id=next(edit_ids), nid=note.id, field=fld, before=before, after=after, time=time.time()
+        )
+    )
+    del edit_log[:-MAX_EDIT_LOG]
+
+
+def is_current_value(note: Note, fld: str, val: str) -> bool:
+    """Whether the field still has `val`, as saved by save_fields_and_reload."""
+    if fld == "Tags":
+        return note.tags == mw.col.tags.split(val)
+    return get_value(note, fld) == val
+
+
+def clipboard_html() -> Tuple[str, bool]:
+    """Clipboard html to paste, and whether it was copied from Anki."""
+    # From aqt.editor.Editor._onPaste, doPaste.
+    mime = mw.app.clipboard().mimeData(mode=QClipboard.Mode.Clipboard)
+    html, internal = editorwv._processMime(mime)
+    html = editorwv.editor._pastePreFilter(html, internal)
+    return (html, internal)
+
+
+def show_edit_log(web: "aqt.webview.AnkiWebView") -> None:
+    web.eval(f"EFDRCE.renderEditLog({json.dumps(edit_log)})")
+
+
 def get_value(note: Note, fld: str) -> str:
     if fld == "Tags":
         try:
@@ -156,6 +321,23 @@ def reload_review_context(context: Union[Reviewer, MultiCardPreviewer]) -> None:
     else:
         reload_previewer(context)
 
+# Keys of a shortcut that are single characters. Other keys are named like
+# event.code, such as "F3", "Escape" or "Backslash". See parseShortcut in global_card.js.
+SHORTCUT_CHARS = "-=[];`,./"
+SHORTCUT_MODIFIERS = ("ctrl", "shift", "alt")
+
+
+def valid_shortcut(shortcut: str) -> bool:
+    """Whether a shortcut can be saved: "" or chords like "Ctrl + K Ctrl + C"."""
+    for chord in re.sub(r"\s*\+\s*", "+", shortcut.strip()).split():
+        *modifiers, key = chord.split("+")
+        if any(modifier.lower() not in SHORTCUT_MODIFIERS for modifier in modifiers):
+            return False
+        if not (re.fullmatch(r"[A-Za-z0-9]+", key) or (len(key) == 1 and key in SHORTCUT_CHARS)):
+            return False
+    return True
+
+
 def handle_pycmd_message(
     handled: Tuple[bool, Any], message: str, context: Any
 ) -> Tuple[bool, Any]:
@@ -191,6 +373,83 @@ def handle_pycmd_message(
             tooltip(ERROR_MSG.format(str(e)))
             return (True, None)
 
+    # Save fields changed by note-wide cloze tools, then reload the card once.
+    # The reloaded card focuses the field the tools ask for. With "reload"
+    # false the webview moved to another field itself and isn't reloaded.
+    elif message.startswith("EFDRCE!savefields#"):
+        data = json.loads(message.replace("EFDRCE!savefields#", "", 1))
+        note = card.note()
+        if note.id != data["nid"]:
+            tooltip(ERROR_MSG.format("Something unexpected occured. The edit may not have been saved."))
+            reload_review_context(context)
+            return (True, None)
+        vals = {
+            base64.b64decode(fld, validate=True).decode("utf-8"): val
+            for fld, val in data["fields"].items()
+        }
+        try:
+            reload = data.get("reload", True)
+            save_fields_and_reload(note, vals, context, always_reload=reload, reload=reload)
+        except FldNotFoundError as e:
+            tooltip(ERROR_MSG.format(str(e)))
+            reload_review_context(context)
+        return (True, None)
+
+    elif message.startswith("EFDRCE!addword#"):
+        add_personal_word(message.replace("EFDRCE!addword#", "", 1))
+        return (True, None)
+
+    elif message.startswith("EFDRCE!recentcommand#"):
+        add_recent_command(message.replace("EFDRCE!recentcommand#", "", 1))
+        return (True, None)
+
+    # Raw values of every field, for cloze tools that work on the whole note.
+    elif message == "EFDRCE!notefields":
+        note = card.note()
+        return (True, {
+            base64.b64encode(name.encode("utf-8")).decode("ascii"): val
+            for name, val in note.items()
+        })
+
+    # Terms of the glossaries set for the card's note type or deck.
+    elif message == "EFDRCE!glossary":
+        note_type = card.note_type()["name"]
+        deck = mw.col.decks.name(card.odid or card.did)
+        terms = glossary_terms(conf["cloze_tools.glossary.files"], note_type, deck)
+        return (True, terms)
+
+    # Review stats of every card of the note by cloze number, for the cloze statistics panel.
+    elif message == "EFDRCE!clozestats":
+        deck_id = card.odid or card.did
+        leech_fails = mw.col.decks.config_dict_for_deck_id(deck_id)["lapse"]["leechFails"]
+        cards = {
+            note_card.ord + 1: {
+                "type": note_card.type,
+                "ease": note_card.factor // 10,
+                "lapses": note_card.lapses,
+                "interval": note_card.ivl,
+            }
+            for note_card in card.note().cards()
+        }
+        return (True, {"cards": cards, "current": card.ord + 1, "leechFails": leech_fails})
+
+    # Shortcut rebound in the keymap panel. Only existing shortcut keys can be set.
+    elif message.startswith("EFDRCE!setshortcut#"):
+        data = json.loads(message.replace("EFDRCE!setshortcut#", "", 1))
+        key, shortcut = data["key"], data["shortcut"]
+        is_shortcut_key = (
+            key.startswith("shortcuts.")
+            or key.startswith("cloze_tools.shortcuts.")
+            or key.startswith("modal_editing.keys.")
+            or (key.startswith("special_formatting.") and key.endswith(".shortcut"))
+        )
+        if not is_shortcut_key or not isinstance(conf.get(key, None), str) or not valid_shortcut(shortcut):
+            tooltip(ERROR_MSG.format(f"Can't set shortcut {key}"))
+            return (True, None)
+        conf[key] = shortcut
+        conf.save()
+        return (True, None)
+
     # Replace reviewer field html if it is different from real field value.
     # For example, clozes, mathjax, audio.
     elif message.startswith("EFDRCE!focuson#"):
@@ -228,17 +487,54 @@ def handle_pycmd_message(
         return (True, None)
 
     elif message == "EFDRCE!paste":
-        # From aqt.editor.Editor._onPaste, doPaste.
-        mime = mw.app.clipboard().mimeData(mode=QClipboard.Mode.Clipboard)
-        html, internal = editorwv._processMime(mime)
-        print(internal)
-        html = editorwv.editor._pastePreFilter(html, internal)
-        print(html)
+        html, internal = clipboard_html()
         web.eval(
             "EFDRCE.pasteHTML(%s, %s);" % (json.dumps(html), json.dumps(internal))
         )
         return (True, None)
 
+    elif message == "EFDRCE!pasteplain":
+        text = mw.app.clipboard().text(mode=QClipboard.Mode.Clipboard)
+        web.eval("EFDRCE.pasteText(%s);" % json.dumps(text))
+        return (True, None)
+
+    elif message == "EFDRCE!clipboard":
+        html, internal = clipboard_html()
+        return (True, {"html": html, "internal": internal})
+
+    elif message == "EFDRCE!pastepreview":
+        html, internal = clipboard_html()
+        web.eval(
+            "EFDRCE.showPastePreview(%s, %s);"
+            % (json.dumps(html), json.dumps(internal))
+        )
+        return (True, None)
+
+    elif message == "EFDRCE!editlog":
+        show_edit_log(web)
+        return (True, None)
+
+    elif message.startswith("EFDRCE!revert#"):
+        # Save the value from before the edit, through the same path as edits
+        entry_id = message.replace("EFDRCE!revert#", "")
+        entry = next((e for e in edit_log if str(e["id"]) == entry_id), None)
+        if entry is None:
+            tooltip(ERROR_MSG.format("This edit is no longer in the log."))
+            show_edit_log(web)
+            return (True, None)
+        try:
+            note = mw.col.get_note(NoteId(entry["nid"]))
+            if is_current_value(note, entry["field"], entry["after"]):
+                save_field_and_reload(note, entry["field"], entry["before"], context)
+            else:
+                tooltip(ERROR_MSG.format("The field was edited again since, revert the later edits first."))
+        except NotFoundError:
+            tooltip(ERROR_MSG.format("The note of this edit was deleted."))
+        except FldNotFoundError as e:
+            tooltip(ERROR_MSG.format(str(e)))
+        show_edit_log(web)
+        return (True, None)
+
     elif message.startswith("EFDRCE!debug#"):
         fld = message.replace("EFDRCE!debug#", "")
         showText(fld)
@@ -255,7 +551,7 @@ def on_webview(web_content: aqt.webview.WebContent, context: Optional[Any]) -> N
     if isinstance(context, Reviewer) or isinstance(context, MultiCardPreviewer):
         web_content.body += myRevHtml()
         web_content.body += f'<script type="module" src="{url_from_fname("editor/editor.js")}"></script>'
-        js_contents = ["global_card.js", "resize.js", "cloze-tools.js"]
+        js_contents = ["global_card.js", "resize.js", "cloze-tools.js", "occlusion.js", "image-toolbar.js", "edit-log.js", "spellcheck.js", "paste.js", "markdown.js", "suggestions.js", "leech.js", "keymap.js", "modal.js", "api.js"]
         for file_name in js_contents:
             web_content.js.append(url_from_fname(file_name))
         jquery_ui = "js/vendor/jquery-ui.min.js"
@@ -267,7 +563,8 @@ def on_webview(web_content: aqt.webview.WebContent, context: Optional[Any]) -> N
         web_content.js.append(url_from_fname("bottom.js"))
 
 
-mw.addonManager.setWebExports(__name__, r"web/.*")
+# Dictionaries are fetched by spellcheck.js
+mw.addonManager.setWebExports(__name__, r"(web|dictionaries|user_files/dictionaries)/.*")
 gui_hooks.webview_will_set_content.append(on_webview)
 gui_hooks.webview_did_receive_js_message.append(handle_pycmd_message)
 gui_hooks.card_will_show.append(serve_card)
@@ -293,6 +590,11 @@ def toggle_cloze_overlay(checked):
         else:
             mw.reviewer.web.eval("if (EFDRCE && EFDRCE.clozeTools) { EFDRCE.clozeTools.hideClozeOverlay(); }")
 
+def toggle_edit_log() -> None:
+    """Toggle the session edit log panel in the reviewer"""
+    if mw.state == "review" and mw.reviewer.web:
+        mw.reviewer.web.eval("if (EFDRCE && EFDRCE.toggleEditLog) { EFDRCE.toggleEditLog(); }")
+
 def setup_menu():
     """Add menu items to Tools menu"""
     global overlay_action
@@ -305,5 +607,9 @@ def setup_menu():
     overlay_action.triggered.connect(toggle_cloze_overlay)
     mw.form.menuTools.addAction(overlay_action)
 
+    edit_log_action = QAction("Show Session Edit Log", mw)
+    edit_log_action.triggered.connect(toggle_edit_log)
+    mw.form.menuTools.addAction(edit_log_action)
+
 # Setup menu when Anki loads
 setup_menu()
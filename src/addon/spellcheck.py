@@ -0,0 +1,52 @@
+import os
+from typing import Dict, List, Optional
+
+from aqt import mw
+
+ADDON_DIR = os.path.dirname(__file__)
+# Later folders take precedence, so a user dictionary can replace a shipped one.
+DICTIONARY_DIRS = ["dictionaries", "user_files/dictionaries"]
+PERSONAL_DICTIONARY = os.path.join(ADDON_DIR, "user_files", "personal_dictionary.txt")
+
+
+def available_dictionaries() -> Dict[str, str]:
+    """Map each dictionary name to its path in the add-on folder, without extension.
+
+    A dictionary is a Hunspell .aff and .dic file pair with the same name.
+    """
+    dictionaries: Dict[str, str] = {}
+    for dir_name in DICTIONARY_DIRS:
+        dir_path = os.path.join(ADDON_DIR, dir_name)
+        if not os.path.isdir(dir_path):
+            continue
+        for file_name in sorted(os.listdir(dir_path)):
+            name, ext = os.path.splitext(file_name)
+            if ext == ".dic" and os.path.isfile(os.path.join(dir_path, name + ".aff")):
+                dictionaries[name] = f"{dir_name}/{name}"
+    return dictionaries
+
+
+def dictionary_urls(name: str) -> Optional[Dict[str, str]]:
+    path = available_dictionaries().get(name)
+    if path is None:
+        return None
+    addon_package = mw.addonManager.addonFromModule(__name__)
+    return {
+        "aff": f"/_addons/{addon_package}/{path}.aff",
+        "dic": f"/_addons/{addon_package}/{path}.dic",
+    }
+
+
+def personal_words() -> List[str]:
+    if not os.path.isfile(PERSONAL_DICTIONARY):
+        return []
+    with open(PERSONAL_DICTIONARY, encoding="utf-8") as f:
+        return [line.strip() for line in f if line.strip()]
+
+
+def add_personal_word(word: str) -> None:
+    word = word.strip()
+    if not word or word in personal_words():
+        return
+    with open(PERSONAL_DICTIONARY, "a", encoding="utf-8") as f:
+        f.write(word + "\n")
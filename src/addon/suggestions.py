@@ -0,0 +1,49 @@
+import os
+from typing import Dict, List
+
+from aqt.utils import tooltip
+
+ADDON_DIR = os.path.dirname(__file__)
+TERMS_DIR = os.path.join(ADDON_DIR, "user_files", "suggestion_terms")
+GLOSSARIES_DIR = os.path.join(ADDON_DIR, "user_files", "glossaries")
+
+
+def read_terms(dir_path: str, file_names: List[str]) -> List[str]:
+    """Terms in the files, one per line.
+
+    Missing files are skipped. Files that can't be read, or are not UTF-8, are
+    skipped with a tooltip, so they don't stop the reviewer from loading.
+    """
+    terms: List[str] = []
+    for file_name in file_names:
+        path = os.path.join(dir_path, os.path.basename(file_name))
+        if not os.path.isfile(path):
+            continue
+        try:
+            with open(path, encoding="utf-8") as f:
+                lines = f.read().splitlines()
+        except (OSError, UnicodeDecodeError) as e:
+            tooltip(f"Could not read the term file {file_name}, it must be UTF-8 text: {e}")
+            continue
+        terms.extend(line.strip() for line in lines if line.strip())
+    return terms
+
+
+def suggestion_terms(file_names: List[str]) -> List[str]:
+    """Terms for cloze suggestions, from files in user_files/suggestion_terms."""
+    return read_terms(TERMS_DIR, file_names)
+
+
+def glossary_terms(
+    glossaries: Dict[str, List[str]], note_type: str, deck: str
+) -> List[str]:
+    """Terms of the glossaries set for a note type or deck, including parent decks.
+
+    `glossaries` maps a note type or deck name, or "*" for every card, to file
+    names in user_files/glossaries.
+    """
+    file_names: List[str] = []
+    for name, files in glossaries.items():
+        if name in ("*", note_type, deck) or deck.startswith(name + "::"):
+            file_names.extend(f for f in files if f not in file_names)
+    return read_terms(GLOSSARIES_DIR, file_names)
@@ -0,0 +1,254 @@
+/* global EFDRCE, MutationObserver */
+
+/**
+ * Scripting API for EFDRCE
+ * For note type templates and other add-ons. Note type scripts run again for
+ * every card, so commands are replaced by name and listeners can be given a
+ * key to replace the one of the previous card.
+ *
+ *   EFDRCE.api.registerCommand({
+ *     name: 'Cloze as Drug Name',
+ *     description: 'Cloze the selection with the hint "drug"',
+ *     shortcut: 'Ctrl + Shift + Alt + 9',
+ *     action: (field) => {
+ *       const cloze = EFDRCE.api.addCloze(field)
+ *       if (cloze) EFDRCE.api.setClozeHint(field, cloze, 'drug')
+ *     }
+ *   })
+ *   EFDRCE.api.on('clozechange', ({ clozes }) => console.log(clozes), 'my-logger')
+ *
+ * Fields are the editable field elements. Cloze functions use the field
+ * being edited when none is given.
+ */
+(function () {
+  const EVENTS = ['fieldfocus', 'beforesave', 'aftersave', 'clozechange']
+
+  // Event name -> [{listener, key}]
+  const listeners = Object.fromEntries(EVENTS.map(name => [name, []]))
+  // Field being edited, watched for cloze changes: {field, observer, clozes}
+  let watched = null
+
+  function fieldOrEditing (field) {
+    const elem = field || EFDRCE.editingField()
+    if (!elem || !elem.hasAttribute('data-EFDRCEfield')) {
+      throw new Error('EFDRCE.api: no field is being edited')
+    }
+    return elem
+  }
+
+  // ============ EVENTS ============
+
+  function emit (name, detail) {
+    for (const { listener } of listeners[name]) {
+      try {
+        listener(detail)
+      } catch (err) {
+        console.error(`EFDRCE.api: ${name} listener failed`, err)
+      }
+    }
+  }
+
+  /**
+   * @param {string} name - fieldfocus, beforesave, aftersave or clozechange
+   * @param {Function} listener - Called with the event detail
+   * @param {string} key - Replaces an earlier listener with this key
+   */
+  function on (name, listener, key = null) {
+    if (!listeners[name]) throw new Error(`EFDRCE.api: unknown event ${name}`)
+    if (key !== null) off(name, key)
+    listeners[name].push({ listener, key })
+  }
+
+  /**
+   * @param {Function|string} listener - The listener or its key
+   */
+  function off (name, listener) {
+    if (!listeners[name]) throw new Error(`EFDRCE.api: unknown event ${name}`)
+    listeners[name] = listeners[name].filter(entry => entry.listener !== listener && entry.key !== listener)
+  }
+
+  // ============ CLOZE MODEL ============
+
+  /**
+   * Plain description of a cloze. Offsets are into the text content of the field.
+   */
+  function clozeView (cloze) {
+    return {
+      number: cloze.number,
+      content: cloze.content,
+      hint: cloze.hint,
+      start: cloze.textStart,
+      end: cloze.textEnd,
+      htmlStart: cloze.htmlStart,
+      depth: cloze.depth
+    }
+  }
+
+  function readClozes (field) {
+    return EFDRCE.clozeTools.getAllClozes(field).map(clozeView)
+  }
+
+  /**
+   * The cloze node a view was read from, if the field didn't change since
+   */
+  function findCloze (field, view) {
+    const cloze = EFDRCE.clozeTools.getAllClozes(field).find(cloze =>
+      cloze.htmlStart === view.htmlStart && cloze.number === view.number && cloze.content === view.content)
+    if (!cloze) throw new Error('EFDRCE.api: the cloze changed since it was read')
+    return cloze
+  }
+
+  /**
+   * @returns {Array} - Clozes of the field in reading order, nested ones after their parent
+   */
+  function getClozes (field) {
+    const elem = field || EFDRCE.editingField()
+    return elem ? readClozes(elem) : []
+  }
+
+  function getClozeAtCursor (field) {
+    const elem = field || EFDRCE.editingField()
+    const cloze = elem && EFDRCE.clozeTools.getClozeAtCursor(elem)
+    return cloze ? clozeView(cloze) : null
+  }
+
+  /**
+   * Cloze the selection
+   * @param {number} number - Defaults to the next number of the field
+   * @returns {Object|null} - The new cloze, null if nothing was selected
+   */
+  function addCloze (field, number = null) {
+    const elem = fieldOrEditing(field)
+    const selection = window.getSelection()
+    if (!selection.rangeCount || selection.isCollapsed || !elem.contains(selection.anchorNode)) return null
+    const before = readClozes(elem)
+    const next = number || Math.max(0, ...before.map(cloze => cloze.number)) + 1
+    EFDRCE.clozeTools.saveUndoState(elem)
+    EFDRCE.clozeTools.wrapInCloze(elem, next)
+    const known = new Set(before.map(cloze => `${cloze.number}:${cloze.content}`))
+    return readClozes(elem).find(cloze => cloze.number === next && !known.has(`${cloze.number}:${cloze.content}`)) || null
+  }
+
+  function setClozeNumber (field, cloze, number) {
+    const elem = fieldOrEditing(field)
+    const node = findCloze(elem, cloze)
+    EFDRCE.clozeTools.saveUndoState(elem)
+    EFDRCE.clozeTools.changeClozeNumber(elem, node, number)
+  }
+
+  /**
+   * @param {string|null} hint - null or '' removes the hint
+   */
+  function setClozeHint (field, cloze, hint) {
+    const elem = fieldOrEditing(field)
+    const node = findCloze(elem, cloze)
+    EFDRCE.clozeTools.saveUndoState(elem)
+    EFDRCE.clozeTools.setClozeHint(elem, node, hint)
+  }
+
+  /**
+   * Replace the cloze with its content
+   */
+  function removeCloze (field, cloze) {
+    const elem = fieldOrEditing(field)
+    const node = findCloze(elem, cloze)
+    EFDRCE.clozeTools.saveUndoState(elem)
+    elem.innerHTML = EFDRCE.clozeTools.unwrapClozes(elem.innerHTML, other => other.htmlStart === node.htmlStart)
+    EFDRCE.clozeTools.placeCursorAtOffset(elem, node.textStart)
+  }
+
+  // ============ COMMANDS ============
+
+  /**
+   * Add a command to the command palette, with an optional shortcut.
+   * A command with the same name is replaced.
+   * @param {Object} command - {name, description, shortcut, action(field)}
+   */
+  function registerCommand ({ name, description = '', shortcut = null, action }) {
+    if (!name || typeof action !== 'function') {
+      throw new Error('EFDRCE.api: a command needs a name and an action')
+    }
+    unregisterCommand(name)
+    EFDRCE.clozeTools.registerCommand({ name, desc: description, shortcut, action: (event, elem) => action(elem) })
+    if (shortcut) {
+      const id = `command.${name}`
+      EFDRCE.registerShortcut(shortcut, (event, elem) => {
+        EFDRCE.clozeTools.withUndoState(elem, () => action(elem))
+      }, id)
+      EFDRCE.reportShortcutConflicts(id)
+    }
+  }
+
+  function unregisterCommand (name) {
+    EFDRCE.clozeTools.unregisterCommand(name)
+    const id = `command.${name}`
+    EFDRCE.shortcuts = EFDRCE.shortcuts.filter(scutInfo => scutInfo.id !== id)
+  }
+
+  // ============ HOOKS ============
+
+  function clozeSignature (clozes) {
+    return JSON.stringify(clozes.map(({ number, content, hint }) => [number, content, hint]))
+  }
+
+  function stopWatching () {
+    if (!watched) return
+    watched.observer.disconnect()
+    watched = null
+  }
+
+  function watchClozes (field) {
+    stopWatching()
+    const observer = new MutationObserver(() => {
+      if (!watched) return
+      const clozes = readClozes(field)
+      if (clozeSignature(clozes) === clozeSignature(watched.clozes)) return
+      const previous = watched.clozes
+      watched.clozes = clozes
+      emit('clozechange', { field, clozes, previous })
+    })
+    observer.observe(field, { childList: true, characterData: true, subtree: true })
+    watched = { field, observer, clozes: readClozes(field) }
+  }
+
+  // The field shows its raw html once focused, changes after that are edits
+  const originalShowRawField = EFDRCE.showRawField
+  EFDRCE.showRawField = function (encoded, nid, fld) {
+    originalShowRawField(encoded, nid, fld)
+    const field = EFDRCE.editingField()
+    if (!field || field.getAttribute('data-EFDRCEfield') !== fld) return
+    watchClozes(field)
+    emit('fieldfocus', { field, name: EFDRCE.decodeFieldName(fld), nid })
+  }
+
+  const originalHandleBlur = EFDRCE.handleBlur
+  EFDRCE.handleBlur = function (event, target) {
+    stopWatching()
+    if (!EFDRCE.suppressBlurSave && target.hasAttribute('data-EFDRCEnid')) {
+      const name = EFDRCE.decodeFieldName(target.getAttribute('data-EFDRCEfield'))
+      emit('beforesave', { field: target, name, nid: target.getAttribute('data-EFDRCEnid') })
+    }
+    originalHandleBlur(event, target)
+  }
+
+  const originalFieldsSaved = EFDRCE.fieldsSaved
+  EFDRCE.fieldsSaved = function (nid, flds, changed) {
+    originalFieldsSaved(nid, flds, changed)
+    if (changed) emit('aftersave', { nid, names: flds.map(EFDRCE.decodeFieldName) })
+  }
+
+  EFDRCE.api = {
+    version: 1,
+    registerCommand,
+    unregisterCommand,
+    editingField: EFDRCE.editingField,
+    getClozes,
+    getClozeAtCursor,
+    addCloze,
+    setClozeNumber,
+    setClozeHint,
+    removeCloze,
+    on,
+    off
+  }
+})()
@@ -1,3 +1,5 @@
+/* global Node, CSS, Highlight */
+
 /**
  * Cloze Tools for EFDRCE
  * Provides cloze manipulation features: removal and numbering
@@ -5,57 +7,623 @@
 (function () {
   const EFDRCE = window.EFDRCE
 
-  // Regex to match cloze deletions: {{c1::content}} or {{c1::content::hint}}
-  const CLOZE_REGEX = /\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g
+  // ============ CLOZE PARSER ============
+  //
+  // Clozes are read the way Anki (2.1.56+) renders them: `{{cN::` opens a
+  // cloze, `}}` closes the innermost open one, and the first `::` directly
+  // inside a cloze starts its hint. HTML tags and entities are skipped, and
+  // inside MathJax (`\(...\)`, `\[...\]`) a `}` that closes a LaTeX group is
+  // never taken as part of a cloze closer.
 
-  // ============ UNDO STACK ============
+  const CLOZE_OPEN_REGEX = /^\{\{c(\d+)::/
+  const ENTITY_REGEX = /^&(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/i
+  const MATH_DELIMITERS = { '\\(': '\\)', '\\[': '\\]' }
 
-  const undoStack = []
-  const MAX_UNDO = 50
+  const entityDecoder = document.createElement('textarea')
 
-  function saveUndoState(elem) {
-    // Don't push duplicate states
-    if (undoStack.length > 0) {
-      const top = undoStack[undoStack.length - 1]
-      if (top.elem === elem && top.html === elem.innerHTML) return
+  function decodedLength (entity) {
+    entityDecoder.innerHTML = entity
+    return entityDecoder.value.length
+  }
+
+  /**
+   * Parse the cloze markup of an HTML string into a tree.
+   * Each cloze node has offsets into the HTML string (htmlStart, contentStart,
+   * contentEnd, hintStart, hintEnd, htmlEnd) and into its text content
+   * (textStart, contentTextStart, contentTextEnd, textEnd).
+   * @param {string} html - Field innerHTML
+   * @returns {Object} - Root node: {children, errors, ...}
+   */
+  function parseClozes (html) {
+    const root = { number: null, children: [], braces: 0 }
+    const errors = []
+    const stack = [root]
+    let mathEnd = null
+    let text = 0
+    let i = 0
+
+    while (i < html.length) {
+      const top = stack[stack.length - 1]
+      const ch = html[i]
+
+      if (ch === '<') {
+        const end = html.indexOf('>', i)
+        if (end !== -1) {
+          i = end + 1
+          continue
+        }
+      }
+
+      if (ch === '&') {
+        const entity = ENTITY_REGEX.exec(html.slice(i, i + 40))
+        if (entity) {
+          text += decodedLength(entity[0])
+          i += entity[0].length
+          continue
+        }
+      }
+
+      if (mathEnd === null && MATH_DELIMITERS[html.substr(i, 2)]) {
+        mathEnd = MATH_DELIMITERS[html.substr(i, 2)]
+        top.braces = 0
+        i += 2
+        text += 2
+        continue
+      }
+      if (mathEnd !== null && html.startsWith(mathEnd, i)) {
+        mathEnd = null
+        top.braces = 0
+        i += 2
+        text += 2
+        continue
+      }
+
+      const open = ch === '{' && CLOZE_OPEN_REGEX.exec(html.slice(i, i + 32))
+      if (open) {
+        stack.push({
+          number: parseInt(open[1], 10),
+          children: [],
+          braces: 0,
+          htmlStart: i,
+          contentStart: i + open[0].length,
+          hintStart: null,
+          textStart: text,
+          contentTextStart: text + open[0].length
+        })
+        i += open[0].length
+        text += open[0].length
+        continue
+      }
+
+      // LaTeX groups inside math are balanced before looking for `}}`
+      if (mathEnd !== null && (ch === '{' || (ch === '}' && top.braces > 0))) {
+        top.braces += ch === '{' ? 1 : -1
+        i++
+        text++
+        continue
+      }
+
+      if (ch === '}' && html[i + 1] === '}') {
+        if (top === root) {
+          errors.push({ type: 'stray-close', htmlStart: i, textStart: text })
+        } else {
+          stack.pop()
+          if (top.hintStart === null) {
+            top.contentEnd = i
+            top.contentTextEnd = text
+            top.hintEnd = null
+          } else {
+            top.hintEnd = i
+          }
+          top.htmlEnd = i + 2
+          top.textEnd = text + 2
+          top.content = html.substring(top.contentStart, top.contentEnd)
+          top.hint = top.hintStart === null ? null : html.substring(top.hintStart, top.hintEnd)
+          top.match = html.substring(top.htmlStart, top.htmlEnd)
+          top.index = top.htmlStart
+          delete top.braces
+          stack[stack.length - 1].children.push(top)
+        }
+        i += 2
+        text += 2
+        continue
+      }
+
+      if (ch === ':' && html[i + 1] === ':' && top !== root && top.hintStart === null && mathEnd === null) {
+        top.contentEnd = i
+        top.contentTextEnd = text
+        top.hintStart = i + 2
+        i += 2
+        text += 2
+        continue
+      }
+
+      i++
+      text++
+    }
+
+    // Anki shows unclosed clozes as plain text; their closed children survive
+    while (stack.length > 1) {
+      const node = stack.pop()
+      errors.push({ type: 'unclosed', htmlStart: node.htmlStart, textStart: node.textStart })
+      stack[stack.length - 1].children.push(...node.children)
+    }
+
+    delete root.braces
+    Object.assign(root, {
+      errors,
+      htmlStart: 0,
+      htmlEnd: html.length,
+      contentStart: 0,
+      contentEnd: html.length,
+      textStart: 0,
+      contentTextStart: 0,
+      contentTextEnd: text,
+      textEnd: text
+    })
+    linkClozeNodes(root, null, 0)
+    return root
+  }
+
+  function linkClozeNodes (node, parent, depth) {
+    for (const child of node.children) {
+      child.parent = parent
+      child.depth = depth
+      linkClozeNodes(child, child, depth + 1)
     }
-    const sel = window.getSelection()
-    let cursorOffset = -1
-    if (sel && sel.rangeCount > 0) {
-      try {
-        const pre = document.createRange()
-        pre.selectNodeContents(elem)
-        pre.setEnd(sel.getRangeAt(0).startContainer, sel.getRangeAt(0).startOffset)
-        cursorOffset = pre.toString().length
-      } catch (e) { /* ignore */ }
+  }
+
+  /**
+   * Flatten cloze nodes in document order (parents before their children)
+   */
+  function flattenClozes (nodes, out = []) {
+    for (const node of nodes) {
+      out.push(node)
+      flattenClozes(node.children, out)
     }
-    undoStack.push({ elem, html: elem.innerHTML, cursorOffset })
-    if (undoStack.length > MAX_UNDO) undoStack.shift()
+    return out
   }
 
-  function undoClozeEdit(event, elem) {
-    if (undoStack.length === 0) return
-    const state = undoStack.pop()
-    state.elem.innerHTML = state.html
-    if (state.cursorOffset >= 0) {
-      placeCursorAtOffset(state.elem, state.cursorOffset)
+  /**
+   * Find the innermost cloze whose markup contains a text offset
+   */
+  function findClozeAtOffset (nodes, offset) {
+    for (const node of nodes) {
+      if (offset >= node.textStart && offset <= node.textEnd) {
+        return findClozeAtOffset(node.children, offset) || node
+      }
     }
+    return null
   }
 
-  // Intercept Cmd/Ctrl+Z only when our undo stack has entries
-  document.addEventListener('keydown', (e) => {
-    if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey && !e.altKey) {
-      if (undoStack.length > 0) {
-        e.preventDefault()
-        e.stopPropagation()
-        e.stopImmediatePropagation()
-        const state = undoStack.pop()
-        state.elem.innerHTML = state.html
-        if (state.cursorOffset >= 0) {
-          placeCursorAtOffset(state.elem, state.cursorOffset)
+  /**
+   * Remove [start, end) ranges from a string. Ranges may overlap.
+   */
+  function removeRanges (str, ranges) {
+    let out = ''
+    let pos = 0
+    for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+      if (end <= pos) continue
+      out += str.substring(pos, Math.max(pos, start))
+      pos = end
+    }
+    return out + str.substring(pos)
+  }
+
+  /**
+   * Replace the markup of every cloze matching `predicate` with its content.
+   * Hints of unwrapped clozes are dropped, nested clozes are kept.
+   */
+  function unwrapClozes (html, predicate = () => true) {
+    const ranges = []
+    for (const cloze of flattenClozes(parseClozes(html).children)) {
+      if (predicate(cloze)) {
+        ranges.push([cloze.htmlStart, cloze.contentStart], [cloze.contentEnd, cloze.htmlEnd])
+      }
+    }
+    return removeRanges(html, ranges)
+  }
+
+  /**
+   * Render html as a card for one cloze number: clozes with that number are
+   * replaced by `renderHidden(cloze)`, all other clozes show their content.
+   */
+  function renderClozeCard (html, number, renderHidden) {
+    function render (start, end, children) {
+      let out = ''
+      let pos = start
+      for (const child of children) {
+        if (child.htmlStart >= end) break
+        out += html.substring(pos, child.htmlStart)
+        out += child.number === number
+          ? renderHidden(child)
+          : render(child.contentStart, child.contentEnd, child.children)
+        pos = child.htmlEnd
+      }
+      return out + html.substring(pos, end)
+    }
+    return render(0, html.length, parseClozes(html).children)
+  }
+
+  // ============ MATHJAX ============
+  //
+  // Anki closes a cloze at the first `}}` it finds, even inside MathJax, so
+  // a cloze around `\frac{1}{2}` has to be written `{{c1::\frac{1}{2} }}`.
+  // Clozes inside math must also keep LaTeX groups whole: when the answer is
+  // hidden, everything between the cloze markers is replaced.
+
+  /**
+   * Find the MathJax regions of an HTML string
+   * @returns {Array} - [{htmlStart, contentStart, contentEnd, htmlEnd}], in order
+   */
+  function findMathRegions (html) {
+    const regions = []
+    let i = 0
+    while (i < html.length) {
+      if (html[i] === '<') {
+        const end = html.indexOf('>', i)
+        if (end === -1) break
+        i = end + 1
+        continue
+      }
+      const closer = MATH_DELIMITERS[html.substr(i, 2)]
+      if (closer) {
+        const end = html.indexOf(closer, i + 2)
+        if (end === -1) break
+        regions.push({ htmlStart: i, contentStart: i + 2, contentEnd: end, htmlEnd: end + 2 })
+        i = end + 2
+        continue
+      }
+      i++
+    }
+    return regions
+  }
+
+  /**
+   * Whether LaTeX groups in a string are balanced. Escaped braces don't count.
+   */
+  function bracesBalanced (str) {
+    let depth = 0
+    for (const brace of str.replace(/\\[{}]/g, '').replace(/[^{}]/g, '')) {
+      depth += brace === '{' ? 1 : -1
+      if (depth < 0) return false
+    }
+    return depth === 0
+  }
+
+  /**
+   * html indexes inside clozes in math where Anki would take a LaTeX `}`
+   * for part of the cloze end: the index after a LaTeX `}` followed by `}`
+   */
+  function unsafeBraceIndexes (html) {
+    const clozes = flattenClozes(parseClozes(html).children)
+    const isCloser = i => clozes.some(c => i >= c.htmlEnd - 2 && i < c.htmlEnd)
+    const inCloze = i => clozes.some(c => i >= c.contentStart && i < c.htmlEnd - 2)
+    const indexes = []
+    for (const region of findMathRegions(html)) {
+      for (let i = region.contentStart; i < region.contentEnd - 1; i++) {
+        if (html[i] === '}' && html[i + 1] === '}' && !isCloser(i) && inCloze(i)) indexes.push(i + 1)
+      }
+    }
+    return indexes
+  }
+
+  /**
+   * Space out closing braces inside clozes in math, so `{{c1::\frac{1}{2}}}`
+   * becomes `{{c1::\frac{1}{2} }}`. Spaces are ignored in math.
+   */
+  function mathSafeClozes (html) {
+    let out = ''
+    let pos = 0
+    for (const idx of unsafeBraceIndexes(html)) {
+      out += html.substring(pos, idx) + ' '
+      pos = idx
+    }
+    return out + html.substring(pos)
+  }
+
+  /**
+   * Whether cutting html into cloze contents at these ranges would split a
+   * LaTeX group, so hiding one of them leaves the math unbalanced
+   * @param {Array} ranges - [start, end) html ranges that end up as cloze content
+   */
+  function breaksLatexGroups (html, ranges) {
+    // Cloze markup braces are not LaTeX
+    let latex = html
+    for (const c of flattenClozes(parseClozes(html).children)) {
+      latex = latex.substring(0, c.htmlStart) + ' '.repeat(c.contentStart - c.htmlStart) +
+        latex.substring(c.contentStart, c.contentEnd) + ' '.repeat(c.htmlEnd - c.contentEnd) +
+        latex.substring(c.htmlEnd)
+    }
+    const regions = findMathRegions(html)
+    return ranges.some(([start, end]) => {
+      const inMath = regions.some(r => start >= r.contentStart && end <= r.contentEnd)
+      return inMath && !bracesBalanced(latex.substring(start, end))
+    })
+  }
+
+  // ============ OFFSET MAP ============
+  //
+  // The cloze tools work in three coordinate systems: text offsets (what the
+  // cursor math counts, same as elem.textContent), DOM positions (node +
+  // offset, what Selection and Range use) and indexes into elem.innerHTML
+  // (what the parser and the edits use). buildOffsetMap converts between all
+  // three by serializing the field the same way innerHTML does.
+
+  const VOID_ELEMENTS = new Set([
+    'AREA', 'BASE', 'BR', 'COL', 'EMBED', 'HR', 'IMG', 'INPUT', 'LINK', 'META', 'SOURCE', 'TRACK', 'WBR'
+  ])
+  const RAW_TEXT_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'XMP', 'IFRAME', 'NOEMBED', 'NOFRAMES', 'NOSCRIPT'])
+  const TEXT_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '\u00a0': '&nbsp;' }
+
+  // Elements that move the caret to another line (or past an image) when
+  // they sit between two text nodes
+  const CARET_BREAK_SELECTOR = 'br, img, div, p, li, tr, h1, h2, h3, h4, h5, h6, blockquote, pre'
+
+  function escapedLength (ch) {
+    return TEXT_ESCAPES[ch] ? TEXT_ESCAPES[ch].length : 1
+  }
+
+  /**
+   * Build a bidirectional map between text offsets, DOM positions and
+   * innerHTML indexes of an element. The map is a snapshot: rebuild it
+   * after the element changes.
+   * @param {HTMLElement} elem - The editable field element
+   * @returns {Object} - {html, textLength, textToHtml, htmlToText, textToDom, domToText}
+   */
+  function buildOffsetMap (elem) {
+    const segments = []
+    let html = ''
+    let text = 0
+
+    function walk (parent, raw) {
+      for (const node of parent.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE) {
+          const data = node.data
+          const serialized = raw ? data : data.replace(/[&<>\u00a0]/g, ch => TEXT_ESCAPES[ch])
+          segments.push({
+            node,
+            raw,
+            textStart: text,
+            textEnd: text + data.length,
+            htmlStart: html.length,
+            htmlEnd: html.length + serialized.length
+          })
+          html += serialized
+          text += data.length
+        } else if (node.nodeType === Node.ELEMENT_NODE) {
+          const outer = node.outerHTML
+          if (VOID_ELEMENTS.has(node.tagName)) {
+            html += outer
+          } else {
+            const closeLength = node.tagName.length + 3
+            html += outer.substring(0, outer.length - node.innerHTML.length - closeLength)
+            walk(node, RAW_TEXT_ELEMENTS.has(node.tagName))
+            html += outer.substring(outer.length - closeLength)
+          }
+        } else if (node.nodeType === Node.COMMENT_NODE) {
+          html += `<!--${node.data}-->`
+        }
+      }
+    }
+    walk(elem, false)
+
+    // html index of the k-th character of a text segment
+    function charToHtml (seg, k) {
+      if (seg.raw) return seg.htmlStart + k
+      const data = seg.node.data
+      let idx = seg.htmlStart
+      for (let i = 0; i < k; i++) idx += escapedLength(data[i])
+      return idx
+    }
+
+    function segmentsAt (offset) {
+      return segments.filter(seg => offset >= seg.textStart && offset <= seg.textEnd)
+    }
+
+    return {
+      html,
+      textLength: text,
+
+      /**
+       * innerHTML index of a text offset. Where markup separates two
+       * characters, the index lands after closing tags and before opening
+       * ones, so cutting the HTML there keeps both sides balanced.
+       */
+      textToHtml (offset) {
+        const found = segmentsAt(offset)
+        if (found.length === 0) return offset > 0 ? html.length : 0
+        const first = found[0]
+        const last = found[found.length - 1]
+        const next = segments[segments.indexOf(last) + 1]
+        const end = offset < last.textEnd
+          ? charToHtml(last, offset - last.textStart)
+          : (next ? next.htmlStart : html.length)
+        let idx = charToHtml(first, offset - first.textStart)
+        while (idx < end && html.startsWith('</', idx)) {
+          idx = html.indexOf('>', idx) + 1
+        }
+        return idx
+      },
+
+      /**
+       * Text offset of an innerHTML index. Indexes inside markup map to the
+       * text that follows it.
+       */
+      htmlToText (index) {
+        for (const seg of segments) {
+          if (index <= seg.htmlStart) return seg.textStart
+          if (index <= seg.htmlEnd) {
+            const data = seg.node.data
+            let idx = seg.htmlStart
+            let k = 0
+            while (idx < index && k < data.length) {
+              idx += seg.raw ? 1 : escapedLength(data[k])
+              k++
+            }
+            return seg.textStart + k
+          }
+        }
+        return text
+      },
+
+      /**
+       * DOM position of a text offset, for placing the caret
+       */
+      textToDom (offset) {
+        const found = segmentsAt(offset)
+        if (found.length === 0) {
+          return { node: elem, offset: offset > 0 ? elem.childNodes.length : 0 }
+        }
+        let seg = found[0]
+        // Between two text nodes, go to the later one if a line break or an
+        // image separates them, so the caret stays with the text after it
+        const next = found.find(s => s !== seg && s.textStart === offset)
+        if (next && offset === seg.textEnd) {
+          const between = document.createRange()
+          between.setStart(seg.node, seg.node.length)
+          between.setEnd(next.node, 0)
+          if (between.cloneContents().querySelector(CARET_BREAK_SELECTOR)) seg = next
         }
+        return { node: seg.node, offset: offset - seg.textStart }
+      },
+
+      /**
+       * Text offset of a DOM position, or -1 if it is outside the element
+       */
+      domToText (node, offset) {
+        if (!elem.contains(node)) return -1
+        if (node.nodeType === Node.TEXT_NODE) {
+          const seg = segments.find(s => s.node === node)
+          if (seg) return seg.textStart + Math.min(offset, seg.textEnd - seg.textStart)
+        }
+        const point = document.createRange()
+        point.setStart(node, offset)
+        const seg = segments.find(s => point.comparePoint(s.node, 0) >= 0)
+        return seg ? seg.textStart : text
       }
     }
+  }
+
+  /**
+   * Range over the text offsets [start, end) of a map. A start at the end of
+   * a text node moves into the next one, so the range doesn't reach back over
+   * the tags before its text, and what replaces it keeps their formatting.
+   */
+  function textRange (map, start, end) {
+    let from = map.textToDom(start)
+    if (end > start && from.node.nodeType === Node.TEXT_NODE && from.offset === from.node.length) {
+      const next = map.textToDom(start + 1)
+      from = { node: next.node, offset: next.offset - 1 }
+    }
+    const to = map.textToDom(end)
+    const range = document.createRange()
+    range.setStart(from.node, from.offset)
+    range.setEnd(to.node, to.offset)
+    return range
+  }
+
+  // ============ UNDO HISTORY ============
+  //
+  // Cloze edits are kept per note and field for the whole review session.
+  // This module survives the card reload after a save, so an edit can still
+  // be undone after leaving the field and coming back to it.
+
+  const histories = new Map()
+  const MAX_UNDO = 50
+
+  function fieldHistory (nid, field) {
+    const key = `${nid || ''}#${field}`
+    if (!histories.has(key)) {
+      histories.set(key, { undo: [], redo: [] })
+    }
+    return histories.get(key)
+  }
+
+  function getHistory (elem) {
+    return fieldHistory(elem.getAttribute('data-EFDRCEnid'), elem.getAttribute('data-EFDRCEfield'))
+  }
+
+  function takeSnapshot (elem) {
+    return { html: elem.innerHTML, cursorOffset: getCursorTextOffset(elem) }
+  }
+
+  function restoreSnapshot (elem, state) {
+    elem.innerHTML = state.html
+    if (state.cursorOffset >= 0) {
+      placeCursorAtOffset(elem, state.cursorOffset)
+    }
+  }
+
+  function pushUndoState (history, state) {
+    // Don't push duplicate states
+    const top = history.undo[history.undo.length - 1]
+    if (top && top.html === state.html) return
+    history.undo.push(state)
+    if (history.undo.length > MAX_UNDO) history.undo.shift()
+    history.redo = []
+  }
+
+  function saveUndoState(elem) {
+    pushUndoState(getHistory(elem), takeSnapshot(elem))
+  }
+
+  /**
+   * Run a command on a field with an undo entry for it. The entry is only
+   * added, and redo only cleared, if the command changed the field html.
+   * @param {Function} run - The command, called without arguments
+   * @returns {*} - What the command returns
+   */
+  function withUndoState (elem, run) {
+    const before = takeSnapshot(elem)
+    const result = run()
+    if (elem.innerHTML !== before.html) pushUndoState(getHistory(elem), before)
+    return result
+  }
+
+  /**
+   * Undo the last cloze edit in a field
+   * @returns {boolean} - false if there was nothing to undo
+   */
+  function undoClozeEdit(event, elem) {
+    const history = getHistory(elem)
+    if (history.undo.length === 0) return false
+    history.redo.push(takeSnapshot(elem))
+    restoreSnapshot(elem, history.undo.pop())
+    return true
+  }
+
+  /**
+   * Redo the last undone cloze edit in a field
+   * @returns {boolean} - false if there was nothing to redo
+   */
+  function redoClozeEdit (event, elem) {
+    const history = getHistory(elem)
+    if (history.redo.length === 0) return false
+    history.undo.push(takeSnapshot(elem))
+    restoreSnapshot(elem, history.redo.pop())
+    return true
+  }
+
+  // Intercept Cmd/Ctrl+Z (undo) and Cmd/Ctrl+Shift+Z, Cmd/Ctrl+Y (redo)
+  // only when the focused field has cloze edits to undo or redo
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return
+    const elem = document.activeElement
+    if (!elem || !elem.hasAttribute('data-EFDRCEfield')) return
+
+    const key = e.key.toLowerCase()
+    let handled = false
+    if (key === 'z' && !e.shiftKey) {
+      handled = undoClozeEdit(e, elem)
+    } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+      handled = redoClozeEdit(e, elem)
+    }
+    if (handled) {
+      e.preventDefault()
+      e.stopPropagation()
+      e.stopImmediatePropagation()
+    }
   }, true)
 
   /**
@@ -68,91 +636,28 @@
       return -1
     }
     const range = selection.getRangeAt(0)
-
-    // Create a range from start of element to cursor
-    const preCaretRange = document.createRange()
-    preCaretRange.selectNodeContents(elem)
-    preCaretRange.setEnd(range.startContainer, range.startOffset)
-
-    // Get the text content length up to cursor
-    return preCaretRange.toString().length
+    return buildOffsetMap(elem).domToText(range.startContainer, range.startOffset)
   }
 
   /**
-   * Find the cloze at the current cursor position
-   * Works by mapping HTML cloze positions to text positions
+   * Find the innermost cloze at the current cursor position
    * @param {HTMLElement} elem - The editable field element
-   * @returns {Object|null} - {match, index, number, content, hint, start, end} or null
+   * @returns {Object|null} - Cloze node (see parseClozes) or null
    */
   function getClozeAtCursor(elem) {
     const cursorPos = getCursorTextOffset(elem)
     if (cursorPos < 0) return null
 
-    const html = elem.innerHTML
-
-    // Find all clozes and their positions in both HTML and text
-    let match
-    const regex = new RegExp(CLOZE_REGEX.source, 'g')
-
-    while ((match = regex.exec(html)) !== null) {
-      const htmlStart = match.index
-      const htmlEnd = htmlStart + match[0].length
-
-      // Convert HTML position to text position
-      // Create a temp element to get text from HTML before this match
-      const htmlBefore = html.substring(0, htmlStart)
-      const temp = document.createElement('div')
-      temp.innerHTML = htmlBefore
-      const textStart = temp.textContent.length
-
-      // Get the text length of the FULL cloze markup (not just content)
-      // This handles cases where cloze content might have HTML tags
-      const clozeTemp = document.createElement('div')
-      clozeTemp.innerHTML = match[0]
-      const clozeTextLength = clozeTemp.textContent.length
-      const textEnd = textStart + clozeTextLength
-
-      // Check if cursor is within this cloze's text range
-      if (cursorPos >= textStart && cursorPos <= textEnd) {
-        return {
-          match: match[0],
-          index: htmlStart,
-          number: parseInt(match[1], 10),
-          content: match[2],
-          hint: match[3] || null,
-          htmlStart: htmlStart,
-          htmlEnd: htmlEnd,
-          textStart: textStart,
-          textEnd: textEnd
-        }
-      }
-    }
-
-    return null
+    return findClozeAtOffset(parseClozes(elem.innerHTML).children, cursorPos)
   }
 
   /**
-   * Get all clozes in an element
+   * Get all clozes in an element, nested clozes included
    * @param {HTMLElement} elem - The editable field element
-   * @returns {Array} - Array of cloze objects
+   * @returns {Array} - Cloze nodes in document order
    */
   function getAllClozes(elem) {
-    const html = elem.innerHTML
-    const clozes = []
-    let match
-    const regex = new RegExp(CLOZE_REGEX.source, 'g')
-
-    while ((match = regex.exec(html)) !== null) {
-      clozes.push({
-        match: match[0],
-        index: match.index,
-        number: parseInt(match[1], 10),
-        content: match[2],
-        hint: match[3] || null
-      })
-    }
-
-    return clozes
+    return flattenClozes(parseClozes(elem.innerHTML).children)
   }
 
   /**
@@ -161,8 +666,8 @@
    * @returns {string} - Just the content e.g. "Apple"
    */
   function stripClozeMarkup(clozeStr) {
-    const match = clozeStr.match(/\{\{c\d+::(.*?)(?:::.*?)?\}\}/)
-    return match ? match[1] : clozeStr
+    const cloze = parseClozes(clozeStr).children[0]
+    return cloze ? cloze.content : clozeStr
   }
 
   /**
@@ -174,18 +679,18 @@
 
     // Check if there's a selection
     if (selection && !selection.isCollapsed) {
-      // Remove all cloze markup within the selection
-      const range = selection.getRangeAt(0)
-      const selectedHtml = getSelectionHtml()
+      // Remove every cloze overlapping the selection. The whole field is
+      // parsed, so braces in MathJax are told apart from cloze ends.
+      const sel = getSelectionTextRange(elem)
+      if (!sel) return
 
-      if (!selectedHtml) return
-
-      // Replace clozes in selection with their content
-      const newHtml = selectedHtml.replace(CLOZE_REGEX, '$2')
+      const html = elem.innerHTML
+      const overlaps = c => c.textStart < sel.end && c.textEnd > sel.start
+      const removed = getAllClozes(elem).filter(overlaps)
+      if (removed.length === 0) return
 
-      if (newHtml !== selectedHtml) {
-        document.execCommand('insertHTML', false, newHtml)
-      }
+      elem.innerHTML = unwrapClozes(html, overlaps)
+      placeCursorAtOffset(elem, Math.min(sel.start, removed[0].textStart))
     } else {
       // No selection - find cloze at cursor
       const cloze = getClozeAtCursor(elem)
@@ -196,10 +701,7 @@
       }
 
       // Replace this specific cloze with its content
-      const html = elem.innerHTML
-      const before = html.substring(0, cloze.htmlStart)
-      const after = html.substring(cloze.htmlEnd)
-      elem.innerHTML = before + cloze.content + after
+      elem.innerHTML = unwrapClozes(elem.innerHTML, c => c.htmlStart === cloze.htmlStart)
 
       // Try to restore cursor position
       placeCursorAtOffset(elem, cloze.textStart)
@@ -212,16 +714,15 @@
   function removeAllClozesInField(event, elem) {
     const cursorPos = getCursorTextOffset(elem)
 
-    // Replace all clozes - use same pattern as removeClozesOfSameNumber
+    // Replace all clozes, nested ones included
     const html = elem.innerHTML
-    const regex = /\{\{c\d+::(.*?)(?:::(.*?))?\}\}/g
-    const newHtml = html.replace(regex, '$1')
+    const newHtml = unwrapClozes(html)
 
     if (newHtml !== html) {
       elem.innerHTML = newHtml
       // Restore cursor approximately
       if (cursorPos >= 0) {
-        placeCursorAtOffset(elem, Math.min(cursorPos, elem.textContent.length))
+        placeCursorAtOffset(elem, cursorPos)
       }
     }
   }
@@ -243,31 +744,17 @@
 
     // Replace all clozes with this number
     const html = elem.innerHTML
-    const regex = new RegExp(`\\{\\{c${targetNumber}::(.*?)(?:::(.*?))?\\}\\}`, 'g')
-    const newHtml = html.replace(regex, '$1')
+    const newHtml = unwrapClozes(html, c => c.number === targetNumber)
 
     if (newHtml !== html) {
       elem.innerHTML = newHtml
       // Restore cursor approximately
       if (cursorPos >= 0) {
-        placeCursorAtOffset(elem, Math.min(cursorPos, elem.textContent.length))
+        placeCursorAtOffset(elem, cursorPos)
       }
     }
   }
 
-  /**
-   * Get HTML content of current selection
-   */
-  function getSelectionHtml() {
-    const selection = window.getSelection()
-    if (!selection || selection.rangeCount === 0) return ''
-
-    const range = selection.getRangeAt(0)
-    const container = document.createElement('div')
-    container.appendChild(range.cloneContents())
-    return container.innerHTML
-  }
-
   /**
    * Place cursor at a text offset within an element
    */
@@ -278,42 +765,13 @@
     // Ensure element has focus first
     elem.focus()
 
+    // Offsets past the end put the cursor at the end
+    const pos = buildOffsetMap(elem).textToDom(Math.max(0, offset))
     const range = document.createRange()
-    let currentOffset = 0
-    let found = false
-
-    function walkNodes(node) {
-      if (found) return
-
-      if (node.nodeType === Node.TEXT_NODE) {
-        const nodeLength = node.textContent.length
-        if (currentOffset + nodeLength >= offset) {
-          range.setStart(node, offset - currentOffset)
-          range.collapse(true)
-          found = true
-          return
-        }
-        currentOffset += nodeLength
-      } else {
-        for (const child of node.childNodes) {
-          walkNodes(child)
-          if (found) return
-        }
-      }
-    }
-
-    walkNodes(elem)
-
-    if (found) {
-      selection.removeAllRanges()
-      selection.addRange(range)
-    } else {
-      // Fallback: place at end
-      range.selectNodeContents(elem)
-      range.collapse(false)
-      selection.removeAllRanges()
-      selection.addRange(range)
-    }
+    range.setStart(pos.node, pos.offset)
+    range.collapse(true)
+    selection.removeAllRanges()
+    selection.addRange(range)
   }
 
   /**
@@ -323,14 +781,11 @@
    * @param {number} newNumber - The new cloze number
    */
   function changeClozeNumber(elem, cloze, newNumber) {
-    const newCloze = cloze.hint
-      ? `{{c${newNumber}::${cloze.content}::${cloze.hint}}}`
-      : `{{c${newNumber}::${cloze.content}}}`
-
+    // Only the opening marker changes, so content, hint and nested clozes stay intact
     const html = elem.innerHTML
     const before = html.substring(0, cloze.htmlStart)
-    const after = html.substring(cloze.htmlEnd)
-    elem.innerHTML = before + newCloze + after
+    const after = html.substring(cloze.contentStart)
+    elem.innerHTML = before + `{{c${newNumber}::` + after
 
     // Restore cursor position
     placeCursorAtOffset(elem, cloze.textStart)
@@ -360,21 +815,114 @@
     }
   }
 
+  /**
+   * Give every cloze in html a new number, keeping content, hints and nesting
+   * @param {string} html - Field html
+   * @param {Function} newNumber - (cloze) => number
+   * @returns {string} - Renumbered html
+   */
+  function renumberClozes (html, newNumber) {
+    let out = html
+    // Last cloze first, so the offsets of earlier ones stay valid
+    for (const cloze of flattenClozes(parseClozes(html).children).reverse()) {
+      out = out.substring(0, cloze.htmlStart) + `{{c${newNumber(cloze)}::` + out.substring(cloze.contentStart)
+    }
+    return out
+  }
+
+  /**
+   * Map each cloze number in use to its normalized number
+   * @param {Array} clozes - Cloze nodes in document order
+   * @param {string} mode - 'compact' closes gaps keeping the current order,
+   *   'reading' numbers groups by their first appearance
+   * @returns {Map} - old number → new number
+   */
+  function normalizedNumbers (clozes, mode) {
+    const numbers = [...new Set(clozes.map(c => c.number))]
+    if (mode === 'compact') {
+      numbers.sort((a, b) => a - b)
+    }
+    return new Map(numbers.map((number, idx) => [number, idx + 1]))
+  }
+
+  /**
+   * Renumber all clozes in a field. Clozes sharing a number keep sharing one.
+   */
+  function normalizeClozeNumbers (elem, mode) {
+    const html = elem.innerHTML
+    const mapping = normalizedNumbers(getAllClozes(elem), mode)
+    const newHtml = renumberClozes(html, cloze => mapping.get(cloze.number))
+
+    if (newHtml === html) {
+      showToast('Cloze numbers are already normalized')
+      return
+    }
+
+    const cursorPos = getCursorTextOffset(elem)
+    elem.innerHTML = newHtml
+    if (cursorPos >= 0) {
+      placeCursorAtOffset(elem, cursorPos)
+    }
+
+    const changed = [...mapping].filter(([from, to]) => from !== to)
+    showToast(changed.map(([from, to]) => `c${from} → c${to}`).join(', '))
+  }
+
+  /**
+   * Close numbering gaps: c1, c4, c7 → c1, c2, c3
+   */
+  function normalizeCompact (event, elem) {
+    normalizeClozeNumbers(elem, 'compact')
+  }
+
+  /**
+   * Number clozes by first appearance in the field
+   */
+  function normalizeReadingOrder (event, elem) {
+    normalizeClozeNumbers(elem, 'reading')
+  }
+
   // State for renumber key sequence
   let renumberPending = false
   let renumberElement = null
   let renumberCloze = null
   let renumberTimeout = null
   let renumberPopup = null
+  let renumberInput = ''
+
+  // Cancel the sequence after this long without a key press
+  const RENUMBER_TIMEOUT = 5000
+  const RENUMBER_MAX_DIGITS = 3
 
   /**
-   * Create and show the renumber popup
+   * Create or update the renumber popup with the typed number and
+   * the group it would collide with
    */
   function showRenumberPopup() {
-    hideRenumberPopup()
+    if (!renumberPopup) {
+      renumberPopup = document.createElement('div')
+      renumberPopup.id = 'efdrce-renumber-popup'
+      document.body.appendChild(renumberPopup)
+    }
+
+    const current = renumberCloze.number
+    const target = parseInt(renumberInput, 10)
+    const collisions = getRenumberCollisions(target)
+
+    let preview = ''
+    if (collisions.length > 0) {
+      const answers = collisions.map(c => `"${EFDRCE.escapeHtml(clozeAnswerText(c))}"`).join(', ')
+      preview = `
+        <div style="margin-top: 12px; font-size: 13px; color: #ffb74d;">
+          c${target} already has ${collisions.length} cloze${collisions.length > 1 ? 's' : ''}: ${answers}
+        </div>
+        <div style="margin-top: 6px; font-size: 13px; color: #aaa;">
+          <strong style="color: #fff;">Enter</strong> to merge into c${target} ·
+          <strong style="color: #fff;">Shift+Enter</strong> to swap c${current} ↔ c${target}
+        </div>
+      `
+    }
 
-    renumberPopup = document.createElement('div')
-    renumberPopup.id = 'efdrce-renumber-popup'
     renumberPopup.innerHTML = `
       <div style="
         position: fixed;
@@ -389,45 +937,72 @@
         z-index: 99999;
         box-shadow: 0 4px 20px rgba(0,0,0,0.3);
         text-align: center;
+        max-width: 360px;
       ">
-        <div style="font-weight: bold; margin-bottom: 8px;">Renumber Cloze</div>
-        <div style="color: #aaa;">Press <strong style="color: #fff;">1-9</strong> to set number</div>
+        <div style="font-weight: bold; margin-bottom: 8px;">Renumber c${current}</div>
         <div style="
-          display: flex;
-          justify-content: center;
-          gap: 6px;
-          margin-top: 12px;
-        ">
-          ${[1,2,3,4,5,6,7,8,9].map(n => `
-            <span style="
-              width: 28px;
-              height: 28px;
-              display: flex;
-              align-items: center;
-              justify-content: center;
-              background: #555;
-              border-radius: 4px;
-              font-weight: bold;
-            ">${n}</span>
-          `).join('')}
+          display: inline-block;
+          min-width: 64px;
+          padding: 6px 12px;
+          background: #555;
+          border-radius: 4px;
+          font-weight: bold;
+          font-size: 20px;
+        ">c${renumberInput || '<span style="color: #888;">_</span>'}</div>
+        <div style="margin-top: 8px; color: #aaa; font-size: 13px;">
+          Type a number, <strong style="color: #fff;">Enter</strong> to apply,
+          <strong style="color: #fff;">Backspace</strong> to edit
         </div>
+        ${preview}
       </div>
     `
-    document.body.appendChild(renumberPopup)
   }
 
   /**
-   * Hide the renumber popup
+   * Hide the renumber popup
+   */
+  function hideRenumberPopup() {
+    if (renumberPopup) {
+      renumberPopup.remove()
+      renumberPopup = null
+    }
+  }
+
+  /**
+   * Other clozes that already use a number
+   */
+  function getRenumberCollisions (number) {
+    if (!number || number === renumberCloze.number) return []
+    return getAllClozes(renumberElement).filter(c => c.number === number)
+  }
+
+  function restartRenumberTimeout () {
+    clearTimeout(renumberTimeout)
+    renumberTimeout = setTimeout(endRenumberSequence, RENUMBER_TIMEOUT)
+  }
+
+  function endRenumberSequence () {
+    clearTimeout(renumberTimeout)
+    renumberPending = false
+    renumberElement = null
+    renumberCloze = null
+    renumberInput = ''
+    hideRenumberPopup()
+  }
+
+  /**
+   * Swap two cloze numbers in a field, moving whole groups
    */
-  function hideRenumberPopup() {
-    if (renumberPopup) {
-      renumberPopup.remove()
-      renumberPopup = null
+  function swapClozeNumbers (elem, a, b) {
+    const cursorPos = getCursorTextOffset(elem)
+    elem.innerHTML = renumberClozes(elem.innerHTML, c => c.number === a ? b : c.number === b ? a : c.number)
+    if (cursorPos >= 0) {
+      placeCursorAtOffset(elem, cursorPos)
     }
   }
 
   /**
-   * Start renumber sequence - waits for 1-9 key press
+   * Start renumber sequence - waits for a number and Enter
    */
   function startRenumberSequence(event, elem) {
     const cloze = getClozeAtCursor(elem)
@@ -436,54 +1011,181 @@
     renumberPending = true
     renumberElement = elem
     renumberCloze = cloze
+    renumberInput = ''
 
     showRenumberPopup()
-
-    // Cancel after 3 seconds if no number pressed
-    clearTimeout(renumberTimeout)
-    renumberTimeout = setTimeout(() => {
-      renumberPending = false
-      renumberElement = null
-      renumberCloze = null
-      hideRenumberPopup()
-    }, 3000)
+    restartRenumberTimeout()
   }
 
   /**
-   * Handle number key press during renumber sequence
+   * Handle key press during renumber sequence
    * Returns true if handled, false otherwise
    */
   function handleRenumberKey(event) {
     if (!renumberPending || !renumberElement || !renumberCloze) return false
 
     const key = event.key
-    if (key >= '1' && key <= '9') {
+    // Modifiers alone don't end the sequence, Shift+Enter needs Shift
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(key)) return false
+
+    if (/^\d$/.test(key) || key === 'Backspace' || key === 'Enter' || key === 'Escape') {
       event.preventDefault()
       event.stopPropagation()
+    }
 
-      const newNumber = parseInt(key, 10)
-      changeClozeNumber(renumberElement, renumberCloze, newNumber)
+    if (/^\d$/.test(key)) {
+      if (renumberInput.length < RENUMBER_MAX_DIGITS && !(renumberInput === '' && key === '0')) {
+        renumberInput += key
+      }
+      showRenumberPopup()
+      restartRenumberTimeout()
+      return true
+    }
 
-      // Reset state
-      clearTimeout(renumberTimeout)
-      renumberPending = false
-      renumberElement = null
-      renumberCloze = null
-      hideRenumberPopup()
+    if (key === 'Backspace') {
+      renumberInput = renumberInput.slice(0, -1)
+      showRenumberPopup()
+      restartRenumberTimeout()
       return true
     }
 
-    // Any other key cancels the sequence
-    renumberPending = false
-    renumberElement = null
-    renumberCloze = null
-    clearTimeout(renumberTimeout)
-    hideRenumberPopup()
-    return false
+    if (key === 'Enter') {
+      const newNumber = parseInt(renumberInput, 10)
+      if (newNumber) {
+        if (event.shiftKey && getRenumberCollisions(newNumber).length > 0) {
+          swapClozeNumbers(renumberElement, renumberCloze.number, newNumber)
+        } else if (newNumber !== renumberCloze.number) {
+          changeClozeNumber(renumberElement, renumberCloze, newNumber)
+        }
+      }
+      endRenumberSequence()
+      return true
+    }
+
+    // Escape or any other key cancels the sequence
+    endRenumberSequence()
+    return key === 'Escape'
   }
 
   // ============ CLOZE STRUCTURE ============
 
+  /**
+   * Build cloze markup
+   */
+  function buildCloze (number, content, hint) {
+    return hint ? `{{c${number}::${content}::${hint}}}` : `{{c${number}::${content}}}`
+  }
+
+  /**
+   * Wrap a content part in a cloze, keeping its edge whitespace outside.
+   * Whitespace-only parts are returned unchanged.
+   */
+  function clozePart (part, number, hint) {
+    const match = part.match(/^(\s*)([^]*?)(\s*)$/)
+    return match[2] ? match[1] + buildCloze(number, match[2], hint) + match[3] : part
+  }
+
+  /**
+   * Get the text offsets of the current selection within an element
+   * @returns {Object|null} - {start, end} or null
+   */
+  function getSelectionTextRange (elem) {
+    const selection = window.getSelection()
+    if (!selection || selection.rangeCount === 0) return null
+    const range = selection.getRangeAt(0)
+    const map = buildOffsetMap(elem)
+    const start = map.domToText(range.startContainer, range.startOffset)
+    const end = map.domToText(range.endContainer, range.endOffset)
+    return start < 0 || end < 0 ? null : { start, end }
+  }
+
+  /**
+   * Wrap the selection in a new cloze. A selection that crosses a MathJax
+   * delimiter is widened to the whole math, and clozes inside math get
+   * Anki's math-safe form.
+   */
+  function wrapInCloze (elem, number) {
+    let inMath = false
+    const sel = getSelectionTextRange(elem)
+    if (sel) {
+      const map = buildOffsetMap(elem)
+      let from = map.textToHtml(sel.start)
+      let to = map.textToHtml(sel.end)
+      let widened = false
+      for (const region of findMathRegions(map.html)) {
+        if (from >= region.contentStart && to <= region.contentEnd) {
+          inMath = true
+        } else if (from < region.htmlEnd && to > region.htmlStart) {
+          from = Math.min(from, region.htmlStart)
+          to = Math.max(to, region.htmlEnd)
+          widened = true
+        }
+      }
+      if (breaksLatexGroups(map.html, [[from, to]])) {
+        showToast('Select whole LaTeX groups to cloze math')
+        return
+      }
+      if (widened) {
+        const start = map.textToDom(map.htmlToText(from))
+        const end = map.textToDom(map.htmlToText(to))
+        const range = document.createRange()
+        range.setStart(start.node, start.offset)
+        range.setEnd(end.node, end.offset)
+        const selection = window.getSelection()
+        selection.removeAllRanges()
+        selection.addRange(range)
+      }
+    }
+
+    EFDRCE.wrapInternal(elem, `{{c${number}::`, '}}', false, {
+      // Inside math the new cloze is checked as math, without its delimiters
+      transform: inMath
+        ? (wrapped) => mathSafeClozes(`\\(${wrapped}\\)`).slice(2, -2)
+        : mathSafeClozes
+    })
+  }
+
+  /**
+   * Cut a cloze's content HTML into [before, selected, after] at the current
+   * selection. Cut points never fall inside a nested cloze.
+   * @returns {Array|null} - Three HTML strings, or null if nothing is selected inside the content
+   */
+  function splitContentAtSelection (elem, html, cloze) {
+    const sel = getSelectionTextRange(elem)
+    if (!sel) return null
+    const textFrom = Math.max(sel.start, cloze.contentTextStart)
+    const textTo = Math.min(sel.end, cloze.contentTextEnd)
+    if (textTo <= textFrom) return null
+
+    const map = buildOffsetMap(elem)
+    const toIndex = (offset, snapToEnd) => {
+      let idx = Math.min(Math.max(map.textToHtml(offset), cloze.contentStart), cloze.contentEnd)
+      for (const child of cloze.children) {
+        if (idx > child.htmlStart && idx < child.htmlEnd) {
+          idx = snapToEnd ? child.htmlEnd : child.htmlStart
+        }
+      }
+      return idx
+    }
+    const from = toIndex(textFrom, false)
+    const to = Math.max(from, toIndex(textTo, true))
+    return [
+      html.substring(cloze.contentStart, from),
+      html.substring(from, to),
+      html.substring(to, cloze.contentEnd)
+    ]
+  }
+
+  /**
+   * html ranges of consecutive parts starting at an html index
+   */
+  function partRanges (start, parts) {
+    return parts.map(part => {
+      start += part.length
+      return [start - part.length, start]
+    })
+  }
+
   /**
    * Split cloze at selection boundary
    * Select "family history" in {{c1::family history of ASCVD}}
@@ -496,87 +1198,63 @@
     const cloze = getClozeAtCursor(elem)
     if (!cloze) return
 
-    const selectedText = selection.toString()
-    if (!selectedText) return
-
-    // Get plain text content
-    const temp = document.createElement('div')
-    temp.innerHTML = cloze.content
-    const plainContent = temp.textContent || ''
-
-    // Find where selection is within the cloze content
-    const selStart = plainContent.indexOf(selectedText)
-    if (selStart === -1) return
-
-    const selEnd = selStart + selectedText.length
-
-    // Get the parts
-    const beforeSel = plainContent.substring(0, selStart).trim()
-    const selected = selectedText.trim()
-    const afterSel = plainContent.substring(selEnd).trim()
-
-    if (!selected) return
-
-    const hint = cloze.hint ? `::${cloze.hint}` : ''
     const html = elem.innerHTML
-    const before = html.substring(0, cloze.htmlStart)
-    const after = html.substring(cloze.htmlEnd)
-
-    // Build the split clozes
-    let newClozes = ''
-    if (beforeSel) {
-      newClozes += `{{c${cloze.number}::${beforeSel}${hint}}} `
-    }
-    newClozes += `{{c${cloze.number}::${selected}${hint}}}`
-    if (afterSel) {
-      newClozes += ` {{c${cloze.number}::${afterSel}${hint}}}`
+    const parts = splitContentAtSelection(elem, html, cloze)
+    if (!parts || !parts[1].trim()) return
+    if (breaksLatexGroups(html, partRanges(cloze.contentStart, parts))) {
+      showToast('Split would break a LaTeX group')
+      return
     }
 
-    elem.innerHTML = before + newClozes + after
+    const newClozes = parts.map(part => clozePart(part, cloze.number, cloze.hint)).join('')
+    elem.innerHTML = mathSafeClozes(html.substring(0, cloze.htmlStart) + newClozes + html.substring(cloze.htmlEnd))
     placeCursorAtOffset(elem, cloze.textStart)
   }
 
   /**
-   * Merge adjacent same-number clozes (including text between them)
+   * Merge same-number clozes that share a parent (including text between them)
    * {{c1::one}} two {{c1::three}} → {{c1::one two three}}
+   * Clozes with other numbers in between end up nested in the merged cloze.
    */
   function mergeClozes(event, elem) {
-    const cloze = getClozeAtCursor(elem)
-    if (!cloze) return
+    const cursorPos = getCursorTextOffset(elem)
+    if (cursorPos < 0) return
 
     const html = elem.innerHTML
-    const allClozes = getAllClozes(elem)
+    const root = parseClozes(html)
+    const cloze = findClozeAtOffset(root.children, cursorPos)
+    if (!cloze) return
 
-    // Find all clozes with same number
-    const sameClozes = allClozes.filter(c => c.number === cloze.number)
+    // Find all clozes with same number at the same nesting level
+    const siblings = (cloze.parent || root).children
+    const sameClozes = siblings.filter(c => c.number === cloze.number)
     if (sameClozes.length <= 1) return // Nothing to merge
 
-    // Find the first and last cloze with this number
     const firstCloze = sameClozes[0]
     const lastCloze = sameClozes[sameClozes.length - 1]
 
-    // Get everything between first cloze start and last cloze end
-    const betweenHtml = html.substring(firstCloze.index, lastCloze.index + lastCloze.match.length)
-
-    // Extract all content: replace cloze markup with content, keep text between
-    const mergedContent = betweenHtml.replace(/\{\{c\d+::(.*?)(?:::.*?)?\}\}/g, '$1')
+    // Strip the markup of the merged clozes, keep everything between them
+    const ranges = []
+    for (const c of sameClozes) {
+      ranges.push(
+        [c.htmlStart - firstCloze.htmlStart, c.contentStart - firstCloze.htmlStart],
+        [c.contentEnd - firstCloze.htmlStart, c.htmlEnd - firstCloze.htmlStart]
+      )
+    }
+    const mergedContent = removeRanges(html.substring(firstCloze.htmlStart, lastCloze.htmlEnd), ranges)
 
     // Use hint from first cloze that has one, or none
     const hintCloze = sameClozes.find(c => c.hint)
-    const hint = hintCloze ? `::${hintCloze.hint}` : ''
-
-    // Build merged cloze
-    const newCloze = `{{c${cloze.number}::${mergedContent}${hint}}}`
+    const newCloze = buildCloze(cloze.number, mergedContent, hintCloze && hintCloze.hint)
+    if (breaksLatexGroups(html, [[firstCloze.contentStart, lastCloze.contentEnd]])) {
+      showToast('Merge would break a LaTeX group')
+      return
+    }
 
-    // Replace in HTML
-    const before = html.substring(0, firstCloze.index)
-    const after = html.substring(lastCloze.index + lastCloze.match.length)
-    elem.innerHTML = before + newCloze + after
+    elem.innerHTML = mathSafeClozes(html.substring(0, firstCloze.htmlStart) + newCloze + html.substring(lastCloze.htmlEnd))
 
     // Position cursor at start of merged cloze
-    const tempDiv = document.createElement('div')
-    tempDiv.innerHTML = before
-    placeCursorAtOffset(elem, tempDiv.textContent.length)
+    placeCursorAtOffset(elem, firstCloze.textStart)
   }
 
   /**
@@ -590,57 +1268,23 @@
     const cloze = getClozeAtCursor(elem)
     if (!cloze) return
 
-    const selectedText = selection.toString()
-    if (!selectedText) return
-
-    // Get plain content of cloze
-    const temp = document.createElement('div')
-    temp.innerHTML = cloze.content
-    const plainContent = temp.textContent || ''
-
-    // Find where selection is within the cloze content
-    const selStart = plainContent.indexOf(selectedText)
-    if (selStart === -1) return // Selection not found in cloze content
-
-    const selEnd = selStart + selectedText.length
-    const contentLen = plainContent.length
-
-    // Determine position: start, end, or middle
-    const atStart = selStart === 0
-    const atEnd = selEnd === contentLen
-
-    const hint = cloze.hint ? `::${cloze.hint}` : ''
     const html = elem.innerHTML
-    const before = html.substring(0, cloze.htmlStart)
-    const after = html.substring(cloze.htmlEnd)
-
-    let newHtml
-
-    if (atStart && atEnd) {
-      // Selected entire content - just remove cloze markup
-      newHtml = before + selectedText + after
-    } else if (atStart) {
-      // At start - move before cloze, preserve exact spacing
-      const remaining = plainContent.substring(selEnd)
-      // If remaining starts with space, keep it in cloze; selected text goes before as-is
-      newHtml = before + selectedText + `{{c${cloze.number}::${remaining}${hint}}}` + after
-    } else if (atEnd) {
-      // At end - move after cloze, preserve exact spacing
-      const remaining = plainContent.substring(0, selStart)
-      // If remaining ends with space, keep it in cloze; selected text goes after as-is
-      newHtml = before + `{{c${cloze.number}::${remaining}${hint}}}` + selectedText + after
-    } else {
-      // Middle - split into three parts, preserve exact spacing
-      const beforeSel = plainContent.substring(0, selStart)
-      const afterSel = plainContent.substring(selEnd)
-      newHtml = before +
-        `{{c${cloze.number}::${beforeSel}${hint}}}` +
-        selectedText +
-        `{{c${cloze.number}::${afterSel}${hint}}}` + after
+    const parts = splitContentAtSelection(elem, html, cloze)
+    if (!parts) return
+    const [beforeSel, selected, afterSel] = parts
+    const [beforeRange, , afterRange] = partRanges(cloze.contentStart, parts)
+    if (breaksLatexGroups(html, [beforeRange, afterRange])) {
+      showToast('Moving out would break a LaTeX group')
+      return
     }
 
-    elem.innerHTML = newHtml
-    placeCursorAtOffset(elem, before.length)
+    // Remaining parts keep their exact spacing inside the cloze;
+    // if the whole content was selected the cloze markup just goes away
+    const keep = part => part.trim() ? buildCloze(cloze.number, part, cloze.hint) : part
+    const newClozes = keep(beforeSel) + selected + keep(afterSel)
+
+    elem.innerHTML = mathSafeClozes(html.substring(0, cloze.htmlStart) + newClozes + html.substring(cloze.htmlEnd))
+    placeCursorAtOffset(elem, cloze.textStart)
   }
 
   /**
@@ -693,138 +1337,6 @@
     elem.innerHTML = newHtml
   }
 
-  /**
-   * Walk forward through HTML from a position, counting text characters.
-   * Returns the HTML position after consuming N text characters.
-   */
-  function walkHtmlForward(html, fromPos, textChars) {
-    let remaining = textChars
-    let i = fromPos
-    while (i < html.length && remaining > 0) {
-      if (html[i] === '<') {
-        while (i < html.length && html[i] !== '>') i++
-        i++
-        continue
-      }
-      if (html[i] === '&') {
-        const semi = html.indexOf(';', i)
-        if (semi !== -1 && semi - i < 10) {
-          remaining--
-          i = semi + 1
-          continue
-        }
-      }
-      remaining--
-      i++
-    }
-    return i
-  }
-
-  /**
-   * Walk backward through HTML from a position, counting text characters.
-   * Returns the HTML position of the Nth text character before fromPos.
-   */
-  function walkHtmlBackward(html, fromPos, textChars) {
-    let remaining = textChars
-    let i = fromPos - 1
-    while (i >= 0 && remaining > 0) {
-      if (html[i] === '>') {
-        while (i >= 0 && html[i] !== '<') i--
-        i--
-        continue
-      }
-      if (html[i] === ';') {
-        let j = i - 1
-        while (j >= Math.max(0, i - 8) && html[j] !== '&') j--
-        if (j >= 0 && html[j] === '&') {
-          remaining--
-          if (remaining === 0) return j
-          i = j - 1
-          continue
-        }
-      }
-      remaining--
-      if (remaining === 0) return i
-      i--
-    }
-    return Math.max(0, i + 1)
-  }
-
-  /**
-   * Show a brief toast message that auto-dismisses.
-   */
-  function showMoveToast(message) {
-    const existing = document.getElementById('efdrce-move-toast')
-    if (existing) existing.remove()
-    const toast = document.createElement('div')
-    toast.id = 'efdrce-move-toast'
-    toast.textContent = message
-    toast.style.cssText = `
-      position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%);
-      background: #2a2a2a; color: #888; border-radius: 8px; padding: 8px 16px;
-      font-size: 13px; z-index: 99999; box-shadow: 0 2px 12px rgba(0,0,0,0.3);
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-    `
-    document.body.appendChild(toast)
-    setTimeout(() => { if (toast.parentNode) toast.remove() }, 1500)
-  }
-
-  /**
-   * Build a unified cloze list with text positions from textContent
-   * (same coordinate space as getCursorTextOffset / Range.toString)
-   * and HTML positions from innerHTML (for replacement).
-   */
-  function getClozesWithPositions(elem) {
-    const fullText = elem.textContent || ''
-    const html = elem.innerHTML
-
-    // Text positions — same coordinate space as cursor
-    const textClozes = []
-    const textRegex = new RegExp(CLOZE_REGEX.source, 'g')
-    let tm
-    while ((tm = textRegex.exec(fullText)) !== null) {
-      textClozes.push({
-        textStart: tm.index,
-        textEnd: tm.index + tm[0].length,
-        number: parseInt(tm[1], 10),
-        textContent: tm[2],
-        textHint: tm[3] || null
-      })
-    }
-
-    // HTML positions — for innerHTML manipulation
-    const htmlClozes = getAllClozes(elem)
-
-    // If counts match, pair them up (best case)
-    if (textClozes.length === htmlClozes.length) {
-      return textClozes.map((tc, i) => ({
-        textStart: tc.textStart,
-        textEnd: tc.textEnd,
-        number: tc.number,
-        content: htmlClozes[i].content,
-        hint: htmlClozes[i].hint,
-        htmlStart: htmlClozes[i].index,
-        htmlEnd: htmlClozes[i].index + htmlClozes[i].match.length,
-        htmlMatch: htmlClozes[i].match
-      }))
-    }
-
-    // Fallback: use getClozeTextPosition (temp div method) if counts differ
-    return htmlClozes.map(c => {
-      const pos = getClozeTextPosition(elem, c)
-      return {
-        textStart: pos.textStart,
-        textEnd: pos.textEnd,
-        number: c.number,
-        content: c.content,
-        hint: c.hint,
-        htmlStart: c.index,
-        htmlEnd: c.index + c.match.length,
-        htmlMatch: c.match
-      }
-    })
-  }
-
   /**
    * Move text into an adjacent cloze.
    *
@@ -834,43 +1346,49 @@
   function moveIntoCloze(event, elem) {
     const selection = window.getSelection()
     if (!selection || selection.rangeCount === 0 || selection.isCollapsed || selection.toString().length === 0) {
-      showMoveToast('Select text overlapping a cloze')
+      showToast('Select text overlapping a cloze')
       return
     }
 
     const html = elem.innerHTML
-    const clozes = getClozesWithPositions(elem)
+    const root = parseClozes(html)
+    const clozes = flattenClozes(root.children)
     if (clozes.length === 0) {
-      showMoveToast('No clozes in field')
+      showToast('No clozes in field')
       return
     }
 
-    const range = selection.getRangeAt(0)
-    const pre = document.createRange()
-    pre.selectNodeContents(elem)
-    pre.setEnd(range.startContainer, range.startOffset)
-    const selStart = pre.toString().length
-    const selEnd = selStart + selection.toString().length
+    const selRange = getSelectionTextRange(elem)
+    if (!selRange) {
+      showToast('Select text overlapping a cloze')
+      return
+    }
+    const { start: selStart, end: selEnd } = selRange
 
-    // Find ALL clozes that overlap with selection
-    const overlapping = clozes.filter(c => c.textStart < selEnd && c.textEnd > selStart)
+    // Find ALL clozes that overlap with selection. Clozes around the whole
+    // selection are only its context.
+    const overlapping = clozes.filter(c =>
+      c.textStart < selEnd && c.textEnd > selStart &&
+      !(c.textStart <= selStart && c.textEnd >= selEnd)
+    )
 
     // Must overlap exactly one cloze
     if (overlapping.length === 0) {
-      showMoveToast('Selection must overlap a cloze')
+      showToast('Selection must overlap a cloze')
       return
     }
     if (overlapping.length > 1) {
-      showMoveToast('Selection overlaps multiple clozes')
+      showToast('Selection overlaps multiple clozes')
       return
     }
 
     const cloze = overlapping[0]
+    const parent = cloze.parent || root
 
-    // Clamp so we don't extend into another cloze
-    let absorbStart = selStart
-    let absorbEnd = selEnd
-    for (const c of clozes) {
+    // Clamp so we don't extend into another cloze or out of the parent cloze
+    let absorbStart = Math.max(selStart, parent.contentTextStart)
+    let absorbEnd = Math.min(selEnd, parent.contentTextEnd)
+    for (const c of parent.children) {
       if (c === cloze) continue
       if (c.textEnd > absorbStart && c.textEnd <= cloze.textStart) {
         absorbStart = Math.max(absorbStart, c.textEnd)
@@ -883,7 +1401,17 @@
     const beforeLen = Math.max(0, cloze.textStart - absorbStart)
     const afterLen = Math.max(0, absorbEnd - cloze.textEnd)
     if (beforeLen === 0 && afterLen === 0) {
-      showMoveToast('Selection is entirely inside cloze')
+      showToast('Selection is entirely inside cloze')
+      return
+    }
+
+    const map = buildOffsetMap(elem)
+    const absorbed = [
+      beforeLen > 0 ? map.textToHtml(absorbStart) : cloze.htmlStart,
+      afterLen > 0 ? map.textToHtml(absorbEnd) : cloze.htmlEnd
+    ]
+    if (breaksLatexGroups(html, [absorbed])) {
+      showToast('Moving in would break a LaTeX group')
       return
     }
 
@@ -895,95 +1423,62 @@
     let htmlAfter = ''
 
     if (beforeLen > 0) {
-      cutStart = walkHtmlBackward(html, cloze.htmlStart, beforeLen)
+      cutStart = map.textToHtml(absorbStart)
       htmlBefore = html.substring(cutStart, cloze.htmlStart)
     }
     if (afterLen > 0) {
-      cutEnd = walkHtmlForward(html, cloze.htmlEnd, afterLen)
+      cutEnd = map.textToHtml(absorbEnd)
       htmlAfter = html.substring(cloze.htmlEnd, cutEnd)
     }
 
-    const hint = cloze.hint ? `::${cloze.hint}` : ''
-    const newCloze = `{{c${cloze.number}::${htmlBefore}${cloze.content}${htmlAfter}${hint}}}`
-    elem.innerHTML = html.substring(0, cutStart) + newCloze + html.substring(cutEnd)
+    // Splice the absorbed text inside the markup so the hint is kept as-is
+    const newCloze = html.substring(cloze.htmlStart, cloze.contentStart) + htmlBefore +
+      html.substring(cloze.contentStart, cloze.contentEnd) + htmlAfter +
+      html.substring(cloze.contentEnd, cloze.htmlEnd)
+    elem.innerHTML = mathSafeClozes(html.substring(0, cutStart) + newCloze + html.substring(cutEnd))
     placeCursorAtOffset(elem, absorbStart)
   }
 
   // ============ CLOZE NAVIGATION ============
 
   /**
-   * Get text position info for a cloze
-   */
-  function getClozeTextPosition(elem, cloze) {
-    const html = elem.innerHTML
-    const htmlBefore = html.substring(0, cloze.index)
-    const temp = document.createElement('div')
-    temp.innerHTML = htmlBefore
-    const textStart = temp.textContent.length
-
-    // Get text length of the cloze content
-    const clozeTemp = document.createElement('div')
-    clozeTemp.innerHTML = cloze.match
-    const clozeTextLen = clozeTemp.textContent.length
-    const textEnd = textStart + clozeTextLen
-
-    return { textStart, textEnd }
-  }
-
-  /**
-   * Jump to the next cloze in field (cursor at end of cloze content)
+   * Jump to the next cloze (cursor at end of cloze content). After the last
+   * cloze, continue in the next field with clozes, else wrap around.
    */
   function jumpToNextCloze(event, elem) {
     const cursorPos = getCursorTextOffset(elem)
     if (cursorPos < 0) return
 
     const allClozes = getAllClozes(elem)
-    if (allClozes.length === 0) return
-
-    // Find the next cloze after cursor position
-    for (const cloze of allClozes) {
-      const pos = getClozeTextPosition(elem, cloze)
-
-      if (pos.textStart > cursorPos) {
-        // Place cursor at end of cloze content
-        placeCursorAtOffset(elem, pos.textEnd)
-        return
-      }
+    const next = allClozes.find(cloze => cloze.textStart > cursorPos)
+    if (next) {
+      placeCursorAtOffset(elem, next.textEnd)
+      return
     }
 
-    // Wrap around to first cloze
-    const firstCloze = allClozes[0]
-    const pos = getClozeTextPosition(elem, firstCloze)
-    placeCursorAtOffset(elem, pos.textEnd)
+    jumpToOtherField(elem, 1, () => {
+      if (allClozes.length > 0) placeCursorAtOffset(elem, allClozes[0].textEnd)
+    })
   }
 
   /**
-   * Jump to the previous cloze in field (cursor at end of cloze content)
+   * Jump to the previous cloze (cursor at end of cloze content). Before the
+   * first cloze, continue in the previous field with clozes, else wrap around.
    */
   function jumpToPrevCloze(event, elem) {
     const cursorPos = getCursorTextOffset(elem)
     if (cursorPos < 0) return
 
     const allClozes = getAllClozes(elem)
-    if (allClozes.length === 0) return
-
-    // Calculate text positions for all clozes
-    const clozePositions = allClozes.map(cloze => {
-      const pos = getClozeTextPosition(elem, cloze)
-      return { cloze, ...pos }
-    })
-
-    // Find the previous cloze before cursor position
-    for (let i = clozePositions.length - 1; i >= 0; i--) {
-      if (clozePositions[i].textStart < cursorPos) {
-        placeCursorAtOffset(elem, clozePositions[i].textEnd)
-        return
-      }
+    const before = allClozes.filter(cloze => cloze.textStart < cursorPos)
+    if (before.length > 0) {
+      placeCursorAtOffset(elem, before[before.length - 1].textEnd)
+      return
     }
 
-    // Wrap around to last cloze
-    const lastPos = clozePositions[clozePositions.length - 1]
-    placeCursorAtOffset(elem, lastPos.textEnd)
+    jumpToOtherField(elem, -1, () => {
+      if (allClozes.length > 0) placeCursorAtOffset(elem, allClozes[allClozes.length - 1].textEnd)
+    })
   }
 
   /**
@@ -1001,6 +1496,206 @@
     placeCursorAtOffset(elem, len)
   }
 
+  // ============ NOTE-WIDE CLOZE TOOLS ============
+
+  // Field to edit once the card is shown again after a note-wide save
+  let pendingFieldFocus = null // { nid, field, offset }
+  // Cursor offset to restore once that field shows its raw html
+  let pendingFieldCursor = null // { field, offset }
+
+  /**
+   * Get the html of every editable field on the card, in document order.
+   * Fields that are not being edited only show rendered html, so raw values come from Python.
+   * @param {HTMLElement} elem - The field being edited, its live html is used
+   * @param {Function} callback - Called with [{field, html}]
+   */
+  function fetchNoteFields (elem, callback) {
+    const current = elem.getAttribute('data-EFDRCEfield')
+    window.pycmd('EFDRCE!notefields', (values) => {
+      const fields = EFDRCE.cardFields
+        .filter(field => field === current || field in values)
+        .map(field => ({ field, html: field === current ? elem.innerHTML : values[field] }))
+      callback(fields)
+    })
+  }
+
+  /**
+   * Save fields of the note in one update, including the field being edited,
+   * then continue editing `focus.field` with the cursor at `focus.offset`
+   * once the card is reloaded.
+   * @param {HTMLElement} elem - The field being edited
+   * @param {Object} values - Encoded field name → new html
+   * @param {Object} focus - {field, offset}
+   */
+  function saveNoteFields (elem, values, focus) {
+    const nid = elem.getAttribute('data-EFDRCEnid')
+    if (!nid) return
+
+    // Leave the field without its own save, it is saved with the others
+    EFDRCE.suppressBlurSave = true
+    if (document.activeElement === elem) {
+      elem.blur()
+    } else {
+      EFDRCE.handleBlur(null, elem)
+    }
+    EFDRCE.suppressBlurSave = false
+
+    values[elem.getAttribute('data-EFDRCEfield')] = elem.innerHTML
+    pendingFieldFocus = { nid, field: focus.field, offset: focus.offset }
+    window.pycmd('EFDRCE!savefields#' + JSON.stringify({ nid: parseInt(nid, 10), fields: values }))
+  }
+
+  /**
+   * Continue editing `target`, another field on the card, at text `offset`.
+   * The field being edited is saved without a reload of the card, so it
+   * shows its raw html until the card is reloaded after leaving `target`.
+   */
+  function focusOtherField (elem, target, offset) {
+    const nid = elem.getAttribute('data-EFDRCEnid')
+    EFDRCE.suppressBlurSave = true
+    elem.blur()
+    EFDRCE.suppressBlurSave = false
+    if (nid) {
+      const values = { [elem.getAttribute('data-EFDRCEfield')]: elem.innerHTML }
+      window.pycmd('EFDRCE!savefields#' + JSON.stringify({ nid: parseInt(nid, 10), fields: values, reload: false }))
+    }
+
+    pendingFieldCursor = { field: target.getAttribute('data-EFDRCEfield'), offset }
+    target.setAttribute('contenteditable', 'true')
+    target.focus()
+  }
+
+  function fieldClozes (html) {
+    return flattenClozes(parseClozes(html).children)
+  }
+
+  /**
+   * Continue in the closest field in `direction` (1 or -1) that has clozes,
+   * at its first or last cloze. Calls `fallback` if no other field has clozes.
+   */
+  function jumpToOtherField (elem, direction, fallback) {
+    if (EFDRCE.cardFields.length < 2) {
+      fallback()
+      return
+    }
+
+    fetchNoteFields(elem, (fields) => {
+      const current = fields.findIndex(f => f.field === elem.getAttribute('data-EFDRCEfield'))
+      for (let step = 1; step < fields.length; step++) {
+        const field = fields[(current + direction * step + fields.length) % fields.length]
+        const clozes = fieldClozes(field.html)
+        if (clozes.length === 0) continue
+
+        const target = direction > 0 ? clozes[0] : clozes[clozes.length - 1]
+        const targetElem = document.querySelector(`[data-EFDRCEfield="${field.field}"]`)
+        if (targetElem && document.activeElement === elem) {
+          focusOtherField(elem, targetElem, target.textEnd)
+        } else {
+          saveNoteFields(elem, {}, { field: field.field, offset: target.textEnd })
+        }
+        return
+      }
+      fallback()
+    })
+  }
+
+  /**
+   * Call `onNumber` with the number one above the highest cloze in any field of the note
+   */
+  function fetchNextNoteNumber (elem, onNumber) {
+    fetchNoteFields(elem, (fields) => {
+      const numbers = fields.flatMap(field => fieldClozes(field.html).map(c => c.number))
+      onNumber(Math.max(0, ...numbers) + 1)
+    })
+  }
+
+  /**
+   * Wrap the selection in a cloze numbered one above the highest in any field of the note
+   */
+  function clozeWithNextNoteNumber (event, elem) {
+    fetchNextNoteNumber(elem, (number) => wrapInCloze(elem, number))
+  }
+
+  /**
+   * Normalize cloze numbers over all fields of the note, in field order.
+   * See normalizedNumbers for the modes.
+   */
+  function normalizeNoteNumbers (elem, mode) {
+    fetchNoteFields(elem, (fields) => {
+      const clozes = fields.flatMap(field => fieldClozes(field.html))
+      const mapping = normalizedNumbers(clozes, mode)
+
+      const values = {}
+      for (const field of fields) {
+        const html = renumberClozes(field.html, cloze => mapping.get(cloze.number))
+        if (html !== field.html) {
+          values[field.field] = html
+        }
+      }
+      if (Object.keys(values).length === 0) {
+        showToast('Cloze numbers are already normalized')
+        return
+      }
+
+      const current = elem.getAttribute('data-EFDRCEfield')
+      const nid = elem.getAttribute('data-EFDRCEnid')
+      const cursorPos = getCursorTextOffset(elem)
+      // Each changed field can be undone once it is edited again
+      for (const field of fields) {
+        if (values[field.field] === undefined) continue
+        if (field.field === current) {
+          saveUndoState(elem)
+        } else {
+          pushUndoState(fieldHistory(nid, field.field), { html: field.html, cursorOffset: -1 })
+        }
+      }
+      if (values[current] !== undefined) {
+        elem.innerHTML = values[current]
+      }
+      const changed = [...mapping].filter(([from, to]) => from !== to)
+      showToast(changed.map(([from, to]) => `c${from} → c${to}`).join(', '))
+      saveNoteFields(elem, values, { field: current, offset: Math.max(0, cursorPos) })
+    })
+  }
+
+  function normalizeNoteCompact (event, elem) {
+    normalizeNoteNumbers(elem, 'compact')
+  }
+
+  function normalizeNoteReadingOrder (event, elem) {
+    normalizeNoteNumbers(elem, 'reading')
+  }
+
+  // Continue editing after a note-wide save reloaded the card
+  const originalServeCardForFocus = EFDRCE.serveCard
+  EFDRCE.serveCard = function (nid, card) {
+    originalServeCardForFocus(nid, card)
+    if (!pendingFieldFocus) return
+
+    const focus = pendingFieldFocus
+    pendingFieldFocus = null
+    if (String(focus.nid) !== String(nid)) return
+
+    const target = document.querySelector(`[data-EFDRCEfield="${focus.field}"]`)
+    if (target) {
+      pendingFieldCursor = { field: focus.field, offset: focus.offset }
+      target.setAttribute('contenteditable', 'true')
+      target.focus()
+    }
+  }
+
+  const originalShowRawFieldForFocus = EFDRCE.showRawField
+  EFDRCE.showRawField = function (encoded, nid, fld) {
+    originalShowRawFieldForFocus(encoded, nid, fld)
+    if (!pendingFieldCursor || pendingFieldCursor.field !== fld) return
+
+    const elem = document.activeElement
+    if (elem && elem.getAttribute('data-EFDRCEfield') === fld) {
+      placeCursorAtOffset(elem, pendingFieldCursor.offset)
+    }
+    pendingFieldCursor = null
+  }
+
   // ============ VISUAL FEATURES ============
 
   // Color palette for cloze numbers
@@ -1065,6 +1760,12 @@
       clozeOverlay.remove()
       clozeOverlay = null
     }
+    if (clozeStatsPanel) {
+      clozeStatsPanel.remove()
+      clozeStatsPanel = null
+    }
+    // Review stats change between cards, they are fetched again next time
+    clozeStatsData = null
     clozeOverlayFieldId = null
   }
 
@@ -1116,7 +1817,9 @@
       html = '<span style="color: #666; font-size: 12px;">No clozes</span>'
     }
 
+    html += `<span class="efdrce-cloze-stats-toggle" style="color: #aaa; font-size: 11px; cursor: pointer;">${clozeStatsExpanded ? '▾' : '▸'} Stats</span>`
     clozeOverlay.innerHTML = html
+    updateClozeStats(elem)
   }
 
   /**
@@ -1155,6 +1858,486 @@
   // Listen for selection changes to update active cloze indicator
   document.addEventListener('selectionchange', onSelectionChange)
 
+  // ============ CLOZE STATISTICS ============
+
+  // Panel above the overlay with statistics per cloze number of the note
+  let clozeStatsPanel = null
+  let clozeStatsExpanded = false
+  // Fetched when the panel is shown: {nid, fields, cards, current, leechFails}.
+  // `fields` holds the html of the other fields, the edited one is read live.
+  let clozeStatsData = null
+  let clozeStatsLoading = false
+
+  /**
+   * Fragments, answer length and hints of each cloze number in the fields
+   * @param {Array} htmls - Html of every field of the note
+   * @returns {Map} - number → {fragments, chars, words, hint}
+   */
+  function clozeNumberStats (htmls) {
+    const stats = new Map()
+    const temp = document.createElement('div')
+    for (const html of htmls) {
+      for (const cloze of fieldClozes(html)) {
+        const stat = stats.get(cloze.number) || { fragments: 0, chars: 0, words: 0, hint: false }
+        // The answer is the content without the markup of nested clozes
+        temp.innerHTML = unwrapClozes(cloze.content)
+        const text = temp.textContent.trim()
+        stat.fragments++
+        stat.chars += text.length
+        stat.words += text ? text.split(/\s+/).length : 0
+        stat.hint = stat.hint || Boolean(cloze.hint && cloze.hint.trim())
+        stats.set(cloze.number, stat)
+      }
+    }
+    return stats
+  }
+
+  function formatInterval (days) {
+    if (days < 30) return `${days}d`
+    if (days < 365) return `${(days / 30).toFixed(1)}mo`
+    return `${(days / 365).toFixed(1)}y`
+  }
+
+  /**
+   * Review stats of a card as table cells: ease, lapses and interval
+   */
+  function cardStatsCells (card, leechFails) {
+    const cell = (content, style = '') => `<td style="padding: 3px 8px; text-align: right; ${style}">${content}</td>`
+    if (!card) return cell('—') + cell('—') + cell('—')
+    if (card.type === 0) return cell('new', 'color: #888;') + cell('—') + cell('—')
+    const lapseStyle = card.lapses >= leechFails
+      ? 'color: #e57373; font-weight: 700;'
+      : card.lapses > 0 ? 'color: #ffb74d;' : ''
+    const interval = card.type === 2 ? formatInterval(card.interval) : 'learning'
+    return cell(`${card.ease}%`) + cell(card.lapses, lapseStyle) + cell(interval)
+  }
+
+  function fetchClozeStats (elem) {
+    const current = elem.getAttribute('data-EFDRCEfield')
+    clozeStatsLoading = true
+    fetchNoteFields(elem, (fields) => {
+      window.pycmd('EFDRCE!clozestats', (data) => {
+        clozeStatsLoading = false
+        clozeStatsData = {
+          nid: elem.getAttribute('data-EFDRCEnid'),
+          fields: fields.filter(f => f.field !== current).map(f => f.html),
+          ...data
+        }
+        updateClozeStats(elem)
+      })
+    })
+  }
+
+  function updateClozeStats (elem) {
+    if (!clozeStatsExpanded || !clozeOverlay) {
+      if (clozeStatsPanel) {
+        clozeStatsPanel.remove()
+        clozeStatsPanel = null
+      }
+      return
+    }
+    if (!clozeStatsPanel) {
+      clozeStatsPanel = EFDRCE.addPanel('efdrce-cloze-stats', `
+        bottom: 44px;
+        left: 50%;
+        transform: translateX(-50%);
+        max-height: 50%;
+        overflow-y: auto;
+        background: rgba(30, 30, 30, 0.95);
+        padding: 8px 12px;
+        font-size: 12px;
+        z-index: 99998;
+        box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+      `)
+    }
+
+    const data = clozeStatsData && clozeStatsData.nid === elem.getAttribute('data-EFDRCEnid') ? clozeStatsData : null
+    if (!data) {
+      clozeStatsPanel.innerHTML = '<span style="color: #888;">Loading…</span>'
+      if (!clozeStatsLoading) fetchClozeStats(elem)
+      return
+    }
+
+    const stats = clozeNumberStats([elem.innerHTML, ...data.fields])
+    // Cards without clozes left show up too, they are empty cards
+    const numbers = [...new Set([...stats.keys(), ...Object.keys(data.cards).map(Number)])].sort((a, b) => a - b)
+    const cursorCloze = getClozeAtCursor(elem)
+    const header = ['Cloze', 'Parts', 'Chars', 'Words', 'Hint', 'Ease', 'Lapses', 'Interval']
+      .map(title => `<th style="padding: 3px 8px; text-align: right; color: #888; font-weight: 500;">${title}</th>`).join('')
+
+    const rows = numbers.map(num => {
+      const stat = stats.get(num)
+      const cell = content => `<td style="padding: 3px 8px; text-align: right;">${content}</td>`
+      const fieldCells = stat
+        ? cell(stat.fragments) + cell(stat.chars) + cell(stat.words) + cell(stat.hint ? '✓' : '')
+        : '<td colspan="4" style="padding: 3px 8px; text-align: right; color: #e57373;">no clozes, empty card</td>'
+      const isCurrent = num === data.current
+      const isAtCursor = cursorCloze && cursorCloze.number === num
+      const rowStyle = isAtCursor ? 'background: rgba(255,255,255,0.08);' : ''
+      return `<tr style="${rowStyle}">
+        <td style="padding: 3px 8px; color: ${getClozeColor(num)}; font-weight: 600;">c${num}${isCurrent ? ' <span style="color: #888; font-weight: 400;">(this card)</span>' : ''}</td>
+        ${fieldCells}
+        ${cardStatsCells(data.cards[num], data.leechFails)}
+      </tr>`
+    }).join('')
+
+    clozeStatsPanel.innerHTML = numbers.length > 0
+      ? `<table style="border-collapse: collapse;"><tr>${header}</tr>${rows}</table>`
+      : '<span style="color: #888;">No clozes</span>'
+  }
+
+  /**
+   * Expand or collapse the statistics panel, showing the overlay if needed
+   */
+  function toggleClozeStats (event, elem) {
+    elem = elem || EFDRCE.editingField()
+    if (!elem) return
+    clozeStatsExpanded = !clozeStatsExpanded
+    if (clozeStatsExpanded && !clozeOverlay) {
+      clozeOverlayEnabled = true
+      showClozeOverlay(elem)
+    } else {
+      updateClozeOverlay(elem)
+    }
+  }
+
+  document.addEventListener('mousedown', (e) => {
+    if (e.target.closest && e.target.closest('#efdrce-cloze-overlay')) e.preventDefault()
+  })
+
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest || !e.target.closest('.efdrce-cloze-stats-toggle')) return
+    const elem = document.querySelector(`[data-EFDRCEfield="${clozeOverlayFieldId}"]`)
+    if (elem) toggleClozeStats(e, elem)
+  })
+
+  // Counts change while typing
+  document.addEventListener('input', (e) => {
+    if (clozeStatsPanel && e.target.getAttribute('data-EFDRCEfield') === clozeOverlayFieldId) {
+      updateClozeStats(e.target)
+    }
+  })
+
+  // ============ CLOZE LINTER ============
+
+  const PUNCTUATION_ONLY_REGEX = /^[\s\p{P}]+$/u
+
+  // Lint panel state
+  let lintPanel = null
+  let lintPanelKeyHandler = null
+  let lintTarget = null // { field, nid, elem }
+  let pendingLintFix = null // { field, nid, id } applied once the field reopens
+
+  /**
+   * Plain text a cloze reveals, with nested cloze markup removed
+   */
+  function clozeAnswerText (cloze) {
+    return stripHtml(unwrapClozes(cloze.content)).trim()
+  }
+
+  // Occlusion boxes hide a part of an image, see occlusion.js
+  function hasImage (html) {
+    return /<img\b|efdrce-occlusion-answer/i.test(html)
+  }
+
+  /**
+   * Set the html of a field and put the cursor back at a text offset
+   */
+  function replaceFieldHtml (elem, html, cursorOffset) {
+    elem.innerHTML = html
+    placeCursorAtOffset(elem, cursorOffset)
+  }
+
+  function removeClozeFix (cloze) {
+    return {
+      label: 'Remove cloze',
+      apply: (elem) => replaceFieldHtml(elem, unwrapClozes(elem.innerHTML, c => c.htmlStart === cloze.htmlStart), cloze.textStart)
+    }
+  }
+
+  /**
+   * Find structural problems in field html
+   * @param {string} html - Field html
+   * @returns {Array} - [{id, severity, message, textStart, fix: {label, apply(elem)} | null}]
+   *   in document order. `id` identifies the problem as long as the html is unchanged.
+   */
+  function lintClozes (html) {
+    const root = parseClozes(html)
+    const clozes = flattenClozes(root.children)
+    const maxLength = EFDRCE.CONF?.cloze_tools?.max_cloze_length || 50
+    const issues = []
+    const add = (type, position, severity, message, fix) => {
+      issues.push({ id: `${type}@${position}`, severity, message, textStart: position, fix: fix || null })
+    }
+
+    // Unbalanced {{ and }}
+    for (const error of root.errors) {
+      if (error.type === 'stray-close') {
+        add(error.type, error.textStart, 'error', '"}}" without a matching cloze opening', {
+          label: 'Remove "}}"',
+          apply: (elem) => {
+            const current = elem.innerHTML
+            replaceFieldHtml(elem, current.substring(0, error.htmlStart) + current.substring(error.htmlStart + 2), error.textStart)
+          }
+        })
+      } else {
+        add(error.type, error.textStart, 'error', 'Cloze is never closed with "}}"', {
+          label: 'Remove opening',
+          apply: (elem) => {
+            const current = elem.innerHTML
+            const opener = current.substring(error.htmlStart).match(CLOZE_OPEN_REGEX)[0]
+            replaceFieldHtml(elem, current.substring(0, error.htmlStart) + current.substring(error.htmlStart + opener.length), error.textStart)
+          }
+        })
+      }
+    }
+
+    // Numbering gaps between the numbers in use. Numbers below the lowest
+    // one may be used in other fields, so they are not reported.
+    const numbers = [...new Set(clozes.map(c => c.number))].sort((a, b) => a - b)
+    for (let i = 1; i < numbers.length; i++) {
+      const missing = numbers[i] - numbers[i - 1] - 1
+      if (missing === 0) continue
+      const first = numbers[i - 1] + 1
+      const range = missing === 1 ? `c${first}` : `c${first}–c${numbers[i] - 1}`
+      const firstAfter = clozes.find(c => c.number === numbers[i])
+      add('gap', firstAfter.textStart, 'warning', `No ${range} between c${numbers[i - 1]} and c${numbers[i]}`, {
+        label: 'Close gap',
+        apply: (elem) => {
+          // Last cloze first, so earlier offsets stay valid while renumbering
+          const later = getAllClozes(elem).filter(c => c.number >= numbers[i])
+          later.sort((a, b) => b.htmlStart - a.htmlStart)
+          for (const cloze of later) {
+            changeClozeNumber(elem, cloze, cloze.number - missing)
+          }
+          placeCursorAtOffset(elem, firstAfter.textStart)
+        }
+      })
+    }
+
+    const seen = new Map()
+    for (const cloze of clozes) {
+      const answer = clozeAnswerText(cloze)
+      const image = hasImage(cloze.content)
+
+      if (!answer && !image) {
+        add('empty', cloze.textStart, 'error', `c${cloze.number} is empty`, removeClozeFix(cloze))
+        continue
+      }
+      if (!image && PUNCTUATION_ONLY_REGEX.test(answer)) {
+        add('punctuation', cloze.textStart, 'warning', `c${cloze.number} only hides "${answer}"`, removeClozeFix(cloze))
+      }
+      if (answer.length > maxLength) {
+        add('long', cloze.textStart, 'warning', `c${cloze.number} is ${answer.length} characters long (max ${maxLength})`)
+      }
+
+      // Identical answers
+      const key = answer.toLowerCase().replace(/\s+/g, ' ')
+      const original = key ? seen.get(key) : null
+      if (original) {
+        const message = original.number === cloze.number
+          ? `c${cloze.number} "${answer}" appears twice`
+          : `c${cloze.number} hides the same "${answer}" as c${original.number}`
+        add('duplicate', cloze.textStart, 'warning', message, removeClozeFix(cloze))
+      } else if (key) {
+        seen.set(key, cloze)
+      }
+
+      // Hints containing the answer
+      const hint = cloze.hint ? stripHtml(cloze.hint).trim().toLowerCase() : ''
+      if (hint && key && hint.includes(key)) {
+        add('hint', cloze.textStart, 'warning', `The hint of c${cloze.number} gives away the answer`, {
+          label: 'Remove hint',
+          apply: (elem) => setClozeHint(elem, cloze, null)
+        })
+      }
+    }
+
+    // LaTeX braces that Anki would read as the cloze end
+    const unsafe = new Set()
+    for (const idx of unsafeBraceIndexes(html)) {
+      const innermost = clozes.filter(c => idx > c.contentStart && idx <= c.htmlEnd - 2).pop()
+      if (innermost) unsafe.add(innermost)
+    }
+    for (const cloze of unsafe) {
+      add('math-braces', cloze.textStart, 'error', `Anki would end c${cloze.number} at a "}}" in its math`, {
+        label: 'Space out braces',
+        apply: (elem) => replaceFieldHtml(elem, mathSafeClozes(elem.innerHTML), cloze.textStart)
+      })
+    }
+
+    issues.sort((a, b) => a.textStart - b.textStart)
+    return issues
+  }
+
+  /**
+   * Render lint results for a field. If the field is no longer being edited,
+   * fixes reopen it and are applied once its raw html is loaded.
+   */
+  function showLintPanel (elem, issues) {
+    lintTarget = {
+      field: elem.getAttribute('data-EFDRCEfield'),
+      nid: elem.getAttribute('data-EFDRCEnid'),
+      elem
+    }
+
+    if (!lintPanel) {
+      lintPanel = EFDRCE.addPanel('efdrce-lint-panel', `
+        top: 10px;
+        right: 10px;
+        width: 340px;
+        max-height: 60%;
+        overflow-y: auto;
+      `)
+      lintPanel.addEventListener('click', onLintPanelClick)
+
+      lintPanelKeyHandler = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault()
+          e.stopPropagation()
+          hideLintPanel()
+        }
+      }
+      document.addEventListener('keydown', lintPanelKeyHandler, true)
+    }
+
+    const rows = issues.map(issue => `
+      <div style="display: flex; align-items: center; gap: 8px; padding: 8px 16px; border-top: 1px solid #3a3a3a;">
+        <span style="color: ${issue.severity === 'error' ? '#e57373' : '#ffb74d'};">${issue.severity === 'error' ? '⛔' : '⚠'}</span>
+        <span class="efdrce-lint-goto" data-offset="${issue.textStart}" style="flex: 1; cursor: pointer;">${EFDRCE.escapeHtml(issue.message)}</span>
+        ${issue.fix
+          ? `<button class="efdrce-lint-fix" data-id="${EFDRCE.escapeHtml(issue.id)}" style="
+              padding: 4px 10px;
+              border: none;
+              border-radius: 4px;
+              background: #444;
+              color: #ccc;
+              cursor: pointer;
+              font-size: 12px;
+              white-space: nowrap;
+            ">${EFDRCE.escapeHtml(issue.fix.label)}</button>`
+          : ''}
+      </div>
+    `).join('')
+
+    lintPanel.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; padding: 12px 16px;">
+        <div style="font-weight: 500; color: #fff;">
+          Cloze Lint · ${EFDRCE.escapeHtml(EFDRCE.decodeFieldName(lintTarget.field))}
+        </div>
+        <button class="efdrce-lint-close" style="border: none; background: transparent; color: #888; font-size: 16px; cursor: pointer;">×</button>
+      </div>
+      ${rows || '<div style="padding: 0 16px 12px; color: #81c784;">No problems found</div>'}
+    `
+  }
+
+  function hideLintPanel () {
+    if (lintPanelKeyHandler) {
+      document.removeEventListener('keydown', lintPanelKeyHandler, true)
+      lintPanelKeyHandler = null
+    }
+    if (lintPanel) {
+      lintPanel.remove()
+      lintPanel = null
+    }
+    lintTarget = null
+  }
+
+  function isEditingLintTarget () {
+    return lintTarget && document.activeElement === lintTarget.elem && lintTarget.elem.isConnected
+  }
+
+  /**
+   * Apply the fix of a problem if it is still found in the field html
+   */
+  function applyLintFix (elem, id) {
+    const issue = lintClozes(elem.innerHTML).find(i => i.id === id)
+    if (issue && issue.fix) {
+      saveUndoState(elem)
+      issue.fix.apply(elem)
+    }
+    showLintPanel(elem, lintClozes(elem.innerHTML))
+  }
+
+  function onLintPanelClick (e) {
+    const target = e.target
+    if (target.classList.contains('efdrce-lint-close')) {
+      hideLintPanel()
+      return
+    }
+    if (target.classList.contains('efdrce-lint-goto')) {
+      if (isEditingLintTarget()) {
+        placeCursorAtOffset(lintTarget.elem, parseInt(target.getAttribute('data-offset')))
+      }
+      return
+    }
+    if (!target.classList.contains('efdrce-lint-fix')) return
+
+    const id = target.getAttribute('data-id')
+    if (isEditingLintTarget()) {
+      applyLintFix(lintTarget.elem, id)
+      return
+    }
+
+    // The field was saved and the card re-rendered: edit the field again
+    const elem = document.querySelector(`[data-EFDRCEfield="${lintTarget.field}"]`)
+    if (!elem) {
+      showToast('Field is no longer shown')
+      return
+    }
+    pendingLintFix = { field: lintTarget.field, nid: lintTarget.nid, id }
+    elem.setAttribute('contenteditable', 'true')
+    elem.focus()
+  }
+
+  /**
+   * Lint the field at cursor and show the results
+   */
+  function lintField (event, elem) {
+    showLintPanel(elem, lintClozes(elem.innerHTML))
+  }
+
+  /**
+   * Lint a field that is about to be saved, showing the panel only if something is wrong
+   */
+  function lintOnBlur (elem) {
+    if (!EFDRCE.CONF?.cloze_tools?.lint_on_blur) return
+    if (!elem.hasAttribute('data-EFDRCEnid')) return
+
+    const issues = lintClozes(elem.innerHTML)
+    if (issues.length > 0) {
+      showLintPanel(elem, issues)
+    } else if (lintTarget && lintTarget.field === elem.getAttribute('data-EFDRCEfield')) {
+      hideLintPanel()
+    }
+  }
+
+  // Apply a pending fix once a reopened field shows its raw html
+  const originalShowRawField = EFDRCE.showRawField
+  EFDRCE.showRawField = function (encoded, nid, fld) {
+    originalShowRawField(encoded, nid, fld)
+    if (!pendingLintFix || pendingLintFix.field !== fld) return
+
+    const fix = pendingLintFix
+    pendingLintFix = null
+    const elem = document.activeElement
+    if (!elem || elem.getAttribute('data-EFDRCEfield') !== fld) return
+    if (String(fix.nid) !== String(nid)) {
+      hideLintPanel()
+      return
+    }
+    applyLintFix(elem, fix.id)
+  }
+
+  // Results of a saved field are stale once another card is shown
+  const originalServeCard = EFDRCE.serveCard
+  EFDRCE.serveCard = function (nid, card) {
+    originalServeCard(nid, card)
+    if (lintTarget && !isEditingLintTarget() && String(lintTarget.nid) !== String(nid)) {
+      hideLintPanel()
+    }
+  }
+
 
 
   /**
@@ -1173,10 +2356,6 @@
    */
   function cleanupVisualFeatures(elem) {
     hideClozeOverlay()
-    // Clear suggestions when leaving field
-    if (suggestionsEnabled) {
-      hideSuggestions(elem)
-    }
   }
 
   // ============ ADVANCED EDITING ============
@@ -1289,389 +2468,413 @@
       </div>
     `
 
-    // Generate preview for each cloze number
-    for (const num of clozeNums) {
-      const color = getClozeColor(num)
-      const previewText = html.replace(/\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g, (match, cNum, content, hint) => {
-        const clozeNum = parseInt(cNum, 10)
-        const temp = document.createElement('div')
-        temp.innerHTML = content
-        const plainContent = temp.textContent || ''
-
-        if (clozeNum === num) {
-          const displayHint = hint || '...'
-          return `<span style="color: ${color}; font-weight: 500;">[${displayHint}]</span>`
-        } else {
-          return plainContent
-        }
-      })
-
-      previewHtml += `
-        <div style="margin-bottom: 12px; padding: 12px; background: #3a3a3a; border-radius: 6px;">
-          <div style="color: ${color}; font-size: 11px; margin-bottom: 6px; font-weight: 600;">Card ${num}</div>
-          <div style="line-height: 1.5;">${previewText}</div>
-        </div>
-      `
-    }
-
-    previewPopup.innerHTML = previewHtml
-
-    document.body.appendChild(previewPopup)
-
-    // Close on Escape or Enter - use capture and prevent propagation
-    const closeHandler = (e) => {
-      if (e.key === 'Escape' || e.key === 'Enter') {
-        e.preventDefault()
-        e.stopPropagation()
-        hideCardPreview()
-        document.removeEventListener('keydown', closeHandler, true)
-      }
-    }
-    document.addEventListener('keydown', closeHandler, true)
-
-    // Close on click outside
-    setTimeout(() => {
-      document.addEventListener('click', function clickOutside(e) {
-        if (previewPopup && !previewPopup.contains(e.target)) {
-          hideCardPreview()
-          document.removeEventListener('click', clickOutside)
-        }
-      })
-    }, 100)
-  }
-
-  function hideCardPreview() {
-    if (previewPopup) {
-      previewPopup.remove()
-      previewPopup = null
-    }
-  }
-
-  /**
-   * Find and replace within clozes only
-   */
-  let findReplacePopup = null
-
-  function showFindReplace(event, elem) {
-    hideFindReplace()
-
-    findReplacePopup = document.createElement('div')
-    findReplacePopup.id = 'efdrce-find-replace-popup'
-    findReplacePopup.style.cssText = `
-      position: fixed;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%, -50%);
-      background: #2a2a2a;
-      color: #e0e0e0;
-      padding: 20px 24px;
-      border-radius: 10px;
-      font-size: 14px;
-      z-index: 99999;
-      box-shadow: 0 4px 20px rgba(0,0,0,0.3);
-      min-width: 320px;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-    `
-
-    findReplacePopup.innerHTML = `
-      <div style="font-size: 13px; font-weight: 500; margin-bottom: 16px; color: #fff;">
-        Find & Replace in Clozes
-      </div>
-      <div style="margin-bottom: 14px;">
-        <input type="text" id="efdrce-find-input" style="
-          width: 100%;
-          padding: 10px 12px;
-          border: none;
-          border-radius: 6px;
-          background: #3a3a3a;
-          color: #fff;
-          font-size: 14px;
-          box-sizing: border-box;
-          outline: none;
-        " placeholder="Find...">
-      </div>
-      <div style="margin-bottom: 16px;">
-        <input type="text" id="efdrce-replace-input" style="
-          width: 100%;
-          padding: 10px 12px;
-          border: none;
-          border-radius: 6px;
-          background: #3a3a3a;
-          color: #fff;
-          font-size: 14px;
-          box-sizing: border-box;
-          outline: none;
-        " placeholder="Replace with...">
-      </div>
-      <div style="display: flex; gap: 10px; justify-content: flex-end;">
-        <button id="efdrce-cancel-btn" style="
-          padding: 8px 16px;
-          border: none;
-          border-radius: 6px;
-          background: #444;
-          color: #ccc;
-          cursor: pointer;
-          font-size: 13px;
-          font-weight: 500;
-        ">Cancel</button>
-        <button id="efdrce-replace-all-btn" style="
-          padding: 8px 16px;
-          border: none;
-          border-radius: 6px;
-          background: #4a9eff;
-          color: #fff;
-          font-weight: 500;
-          cursor: pointer;
-          font-size: 13px;
-        ">Replace All</button>
-      </div>
-      <div id="efdrce-replace-result" style="margin-top: 12px; font-size: 12px; color: #888; text-align: center;"></div>
-    `
-
-    document.body.appendChild(findReplacePopup)
-
-    const findInput = document.getElementById('efdrce-find-input')
-    const replaceInput = document.getElementById('efdrce-replace-input')
-    const replaceBtn = document.getElementById('efdrce-replace-all-btn')
-    const cancelBtn = document.getElementById('efdrce-cancel-btn')
-    const resultDiv = document.getElementById('efdrce-replace-result')
-
-    findInput.focus()
-
-    replaceBtn.addEventListener('click', () => {
-      const findText = findInput.value
-      const replaceText = replaceInput.value
-
-      if (!findText) return
-
-      const html = elem.innerHTML
-      let count = 0
-
-      // Replace only within cloze content
-      const newHtml = html.replace(/(\{\{c\d+::)(.*?)((?:::.*?)?\}\})/g, (match, prefix, content, suffix) => {
-        if (content.includes(findText)) {
-          const newContent = content.split(findText).join(replaceText)
-          count += (content.split(findText).length - 1)
-          return prefix + newContent + suffix
-        }
-        return match
+    // Generate preview for each cloze number
+    for (const num of clozeNums) {
+      const color = getClozeColor(num)
+      const previewText = renderClozeCard(html, num, cloze => {
+        const displayHint = cloze.hint || '...'
+        return `<span style="color: ${color}; font-weight: 500;">[${displayHint}]</span>`
       })
 
-      if (count > 0) {
-        elem.innerHTML = newHtml
-        resultDiv.textContent = `Replaced ${count} occurrence${count > 1 ? 's' : ''}`
-        resultDiv.style.color = '#81c784'
-      } else {
-        resultDiv.textContent = 'No matches found in clozes'
-        resultDiv.style.color = '#e57373'
-      }
-    })
+      previewHtml += `
+        <div style="margin-bottom: 12px; padding: 12px; background: #3a3a3a; border-radius: 6px;">
+          <div style="color: ${color}; font-size: 11px; margin-bottom: 6px; font-weight: 600;">Card ${num}</div>
+          <div style="line-height: 1.5;">${previewText}</div>
+        </div>
+      `
+    }
+
+    previewPopup.innerHTML = previewHtml
 
-    cancelBtn.addEventListener('click', hideFindReplace)
+    document.body.appendChild(previewPopup)
 
-    // Close on Escape
+    // Close on Escape or Enter - use capture and prevent propagation
     const closeHandler = (e) => {
-      if (e.key === 'Escape') {
-        hideFindReplace()
-        document.removeEventListener('keydown', closeHandler)
-        elem.focus()
+      if (e.key === 'Escape' || e.key === 'Enter') {
+        e.preventDefault()
+        e.stopPropagation()
+        hideCardPreview()
+        document.removeEventListener('keydown', closeHandler, true)
       }
     }
-    document.addEventListener('keydown', closeHandler)
+    document.addEventListener('keydown', closeHandler, true)
+
+    // Close on click outside
+    setTimeout(() => {
+      document.addEventListener('click', function clickOutside(e) {
+        if (previewPopup && !previewPopup.contains(e.target)) {
+          hideCardPreview()
+          document.removeEventListener('click', clickOutside)
+        }
+      })
+    }, 100)
   }
 
-  function hideFindReplace() {
-    if (findReplacePopup) {
-      findReplacePopup.remove()
-      findReplacePopup = null
+  function hideCardPreview() {
+    if (previewPopup) {
+      previewPopup.remove()
+      previewPopup = null
     }
   }
 
-  // ============ SMART FEATURES ============
+  // ============ FIND & REPLACE ============
+  //
+  // Like the command palette, the panel takes the keys at document level so
+  // focus stays in the field. Matches are searched in the text of the field
+  // within a scope, highlighted, and replaced one by one or all at once.
+
+  const FIND_SCOPES = [
+    { value: 'content', label: 'Cloze content' },
+    { value: 'hints', label: 'Hints' },
+    { value: 'outside', label: 'Outside clozes' },
+    { value: 'field', label: 'Whole field' }
+  ]
+  const FIND_HIGHLIGHT = 'efdrce-find'
+  const FIND_HIGHLIGHT_ACTIVE = 'efdrce-find-active'
+
+  let findReplacePopup = null
+  let findKeyHandler = null
+  // {field, find, replace, box, regex, matchCase, wholeWord, scope, from, matches, current, error}
+  let findState = null
 
-  let suggestionsEnabled = false
-  let originalFieldHtml = null
-  let suggestionsFieldId = null
+  function escapeRegExp (str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }
 
   /**
-   * Toggle cloze candidate suggestions
-   * Highlights: bold/italic text, Capitalized Words, numbers, dates
+   * @returns {RegExp|null} - null if there is nothing to find
+   * @throws {SyntaxError} - For an invalid regex
    */
-  function toggleClozeSuggestions(event, elem) {
-    if (suggestionsEnabled && suggestionsFieldId === elem.getAttribute('data-EFDRCEfield')) {
-      // Turn off - restore original HTML
-      hideSuggestions(elem)
-    } else {
-      // Turn on - show suggestions
-      showSuggestions(elem)
+  function findRegExp (state) {
+    if (!state.find) return null
+    const source = state.regex ? state.find : escapeRegExp(state.find)
+    const flags = 'g' + (state.matchCase ? '' : 'i')
+    if (state.wholeWord) {
+      return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`, flags + 'u')
     }
+    return new RegExp(source, flags)
   }
 
-  function showSuggestions(elem) {
-    // Store original state
-    suggestionsFieldId = elem.getAttribute('data-EFDRCEfield')
-    originalFieldHtml = elem.innerHTML
-    suggestionsEnabled = true
-
-    // Get text content and find candidates
-    const html = elem.innerHTML
-
-    // Don't highlight inside existing clozes
-    // Process the HTML to highlight candidates outside of clozes
-    let result = ''
-    let lastIndex = 0
-    const clozeRegex = /\{\{c\d+::.*?(?:::.*?)?\}\}/g
-    let match
-
-    while ((match = clozeRegex.exec(html)) !== null) {
-      // Process text before this cloze
-      const beforeCloze = html.substring(lastIndex, match.index)
-      result += highlightCandidates(beforeCloze)
-      // Keep cloze as-is
-      result += match[0]
-      lastIndex = match.index + match[0].length
+  /**
+   * Text ranges [start, end) of the field in a scope. Cloze markup is never
+   * part of the cloze content, hints or outside scopes.
+   */
+  function scopeRanges (elem, scope) {
+    const textLength = elem.textContent.length
+    if (scope === 'field') return [[0, textLength]]
+    const top = parseClozes(elem.innerHTML).children
+    const all = flattenClozes(top)
+
+    if (scope === 'hints') {
+      return all.filter(cloze => cloze.hint !== null).map(cloze => [cloze.contentTextEnd + 2, cloze.textEnd - 2])
+    }
+    if (scope === 'outside') {
+      const ranges = []
+      let pos = 0
+      for (const cloze of top) {
+        ranges.push([pos, cloze.textStart])
+        pos = cloze.textEnd
+      }
+      ranges.push([pos, textLength])
+      return ranges.filter(([start, end]) => end > start)
+    }
+    // Content of the outer clozes, without the markup and hints of nested ones
+    const ranges = []
+    for (const cloze of top) {
+      let pos = cloze.contentTextStart
+      for (const nested of flattenClozes(cloze.children)) {
+        if (nested.textStart < pos) continue
+        ranges.push([pos, nested.textStart], [nested.contentTextStart, nested.contentTextEnd])
+        pos = nested.textEnd
+      }
+      ranges.push([pos, cloze.contentTextEnd])
     }
-    // Process remaining text after last cloze
-    result += highlightCandidates(html.substring(lastIndex))
-
-    elem.innerHTML = result
+    return ranges.filter(([start, end]) => end > start)
   }
 
-  function hideSuggestions(elem) {
-    if (originalFieldHtml !== null) {
-      elem.innerHTML = originalFieldHtml
+  /**
+   * @returns {Array} - Matches [{start, end, groups}], groups as returned by exec
+   */
+  function findMatches (elem, state) {
+    const regex = findRegExp(state)
+    if (!regex) return []
+    const text = elem.textContent
+    const matches = []
+    for (const [start, end] of scopeRanges(elem, state.scope)) {
+      const part = text.substring(start, end)
+      regex.lastIndex = 0
+      let match
+      while ((match = regex.exec(part)) !== null) {
+        if (match[0].length === 0) {
+          regex.lastIndex++
+          continue
+        }
+        matches.push({ start: start + match.index, end: start + match.index + match[0].length, groups: match })
+      }
     }
-    suggestionsEnabled = false
-    originalFieldHtml = null
-    suggestionsFieldId = null
+    return matches.sort((a, b) => a.start - b.start)
   }
 
-  function highlightCandidates(text) {
-    // First, highlight content inside bold/italic/underline tags
-    text = text.replace(/(<(?:b|strong|i|em|u)(?:\s[^>]*)?>)(.*?)(<\/(?:b|strong|i|em|u)>)/gi, (match, openTag, content, closeTag) => {
-      // Don't double-highlight if already wrapped
-      if (content.includes('efdrce-suggestion')) return match
-      const plainContent = content.replace(/<[^>]+>/g, '').trim()
-      if (!plainContent) return match
-      return `${openTag}<span class="efdrce-suggestion" style="background: rgba(255, 215, 0, 0.3); border-radius: 2px; cursor: pointer;" data-suggestion-type="formatted">${content}</span>${closeTag}`
+  /**
+   * The replacement of a match, with $1, $<name>, $& and $$ in regex mode
+   */
+  function expandReplacement (state, groups) {
+    if (!state.regex) return state.replace
+    return state.replace.replace(/\$(\$|&|<([^>]*)>|(\d{1,2}))/g, (token, what, name, digits) => {
+      if (what === '$') return '$'
+      if (what === '&') return groups[0]
+      if (name !== undefined) return (groups.groups && groups.groups[name]) || ''
+      const index = parseInt(digits, 10)
+      if (index < groups.length) return groups[index] || ''
+      // "$12" with one group is group 1 followed by "2"
+      const single = parseInt(digits[0], 10)
+      return single > 0 && single < groups.length ? (groups[single] || '') + digits.substring(1) : token
     })
-
-    // Then process remaining text between tags
-    const tagRegex = /<[^>]+>/g
-    let result = ''
-    let lastIndex = 0
-    let match
-
-    while ((match = tagRegex.exec(text)) !== null) {
-      // Process text before this tag
-      const beforeTag = text.substring(lastIndex, match.index)
-      result += highlightTextCandidates(beforeTag)
-      // Keep tag as-is
-      result += match[0]
-      lastIndex = match.index + match[0].length
-    }
-    // Process remaining text
-    result += highlightTextCandidates(text.substring(lastIndex))
-
-    return result
   }
 
-  function highlightTextCandidates(text) {
-    if (!text.trim()) return text
-
-    // Patterns to highlight (in order of priority)
-    const patterns = [
-      // Dates: various formats
-      { regex: /\b\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4}\b/g, type: 'date' },
-      { regex: /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2}(?:,?\s+\d{4})?\b/gi, type: 'date' },
-      { regex: /\b\d{1,2}\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?(?:\s+\d{4})?\b/gi, type: 'date' },
-      // Years
-      { regex: /\b(?:19|20)\d{2}\b/g, type: 'number' },
-      // Numbers with units (expanded)
-      { regex: /\b\d+(?:\.\d+)?(?:\s*)?(?:%|mg|kg|ml|mL|cm|mm|m|km|g|lb|oz|hrs?|mins?|secs?|mmHg|bpm|years?|months?|weeks?|days?|times?)\b/gi, type: 'number' },
-      // Decimal numbers
-      { regex: /\b\d+\.\d+\b/g, type: 'number' },
-      // Standalone numbers (2+ digits)
-      { regex: /\b\d{2,}\b/g, type: 'number' },
-      // Acronyms (2+ caps)
-      { regex: /\b[A-Z]{2,}\b/g, type: 'acronym' },
-      // Capitalized phrases (2+ words)
-      { regex: /\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)+\b/g, type: 'term' },
-      // Single capitalized words (3+ chars, not common words)
-      { regex: /\b[A-Z][a-z]{2,}\b/g, type: 'term' },
-      // Words with mixed case (like iPhone, macOS)
-      { regex: /\b[a-z]+[A-Z][a-zA-Z]*\b/g, type: 'term' },
-      // Hyphenated terms
-      { regex: /\b[A-Za-z]+-[A-Za-z]+(?:-[A-Za-z]+)*\b/g, type: 'term' },
-    ]
-
-    // Track positions to highlight
-    const highlights = []
-
-    for (const pattern of patterns) {
-      let m
-      const regex = new RegExp(pattern.regex.source, pattern.regex.flags)
-      while ((m = regex.exec(text)) !== null) {
-        // Check if this position overlaps with existing highlight
-        const start = m.index
-        const end = start + m[0].length
-        const overlaps = highlights.some(h =>
-          (start >= h.start && start < h.end) || (end > h.start && end <= h.end)
-        )
-        if (!overlaps) {
-          highlights.push({ start, end, text: m[0], type: pattern.type })
-        }
+  /**
+   * Search again after the field, the query or an option changed. The
+   * current match is the first one at or after `findState.from`.
+   */
+  function updateFindMatches () {
+    const state = findState
+    try {
+      state.matches = findMatches(state.field, state)
+      state.error = null
+    } catch (err) {
+      state.matches = []
+      state.error = err.message
+    }
+    const index = state.matches.findIndex(match => match.start >= state.from)
+    state.current = state.matches.length ? (index === -1 ? 0 : index) : -1
+    showFindMatches()
+    renderFindReplace()
+  }
+
+  function showFindMatches () {
+    const { field, matches, current } = findState
+    const map = buildOffsetMap(field)
+    const ranges = matches.map(match => textRange(map, match.start, match.end))
+    if (window.CSS && CSS.highlights) {
+      CSS.highlights.set(FIND_HIGHLIGHT, new Highlight(...ranges))
+      if (current >= 0) {
+        CSS.highlights.set(FIND_HIGHLIGHT_ACTIVE, new Highlight(ranges[current]))
+      } else {
+        CSS.highlights.delete(FIND_HIGHLIGHT_ACTIVE)
       }
     }
-
-    // Sort by position
-    highlights.sort((a, b) => a.start - b.start)
-
-    // Build result with highlights
-    let result = ''
-    let pos = 0
-    for (const h of highlights) {
-      result += text.substring(pos, h.start)
-      result += `<span class="efdrce-suggestion" style="background: rgba(255, 215, 0, 0.3); border-radius: 2px; cursor: pointer;" data-suggestion-type="${h.type}">${h.text}</span>`
-      pos = h.end
+    // Selecting the match scrolls to it, and shows it without highlights
+    if (current >= 0) {
+      const selection = window.getSelection()
+      selection.removeAllRanges()
+      selection.addRange(ranges[current])
+    }
+  }
+
+  function moveFindMatch (step) {
+    const { matches, current } = findState
+    if (matches.length === 0) return
+    const next = (current + step + matches.length) % matches.length
+    findState.from = matches[next].start
+    findState.current = next
+    showFindMatches()
+    renderFindReplace()
+  }
+
+  function replaceMatch (map, match) {
+    const range = textRange(map, match.start, match.end)
+    range.deleteContents()
+    const replacement = expandReplacement(findState, match.groups)
+    if (replacement) range.insertNode(document.createTextNode(replacement))
+    return replacement
+  }
+
+  function replaceCurrent () {
+    const { field, matches, current } = findState
+    if (current < 0) return
+    const match = matches[current]
+    saveUndoState(field)
+    const replacement = replaceMatch(buildOffsetMap(field), match)
+    field.normalize()
+    // Continue after the replacement, it is not searched again
+    findState.from = match.start + replacement.length
+    updateFindMatches()
+  }
+
+  function replaceAll () {
+    const { field, matches } = findState
+    if (matches.length === 0) return
+    saveUndoState(field)
+    // From the last match back, so the offsets of earlier ones stay valid
+    for (const match of [...matches].reverse()) {
+      replaceMatch(buildOffsetMap(field), match)
+    }
+    field.normalize()
+    findState.from = 0
+    updateFindMatches()
+    showToast(`Replaced ${matches.length} match${matches.length === 1 ? '' : 'es'}`)
+  }
+
+  function renderFindReplace () {
+    if (!findReplacePopup) return
+    const state = findState
+    const box = (name, label, value) => `
+      <div style="
+        padding: 8px 10px;
+        margin-bottom: 8px;
+        border-radius: 6px;
+        background: #3a3a3a;
+        min-height: 18px;
+        border: 1px solid ${state.box === name ? '#4a9eff' : 'transparent'};
+        white-space: pre-wrap;
+        word-break: break-all;
+      "><span style="color: #888;">${label}</span> ${EFDRCE.escapeHtml(value)}${state.box === name ? '<span style="color: #4a9eff;">|</span>' : ''}</div>
+    `
+    const toggle = (on, label, key) => `
+      <span class="efdrce-find-toggle" data-toggle="${key}" style="
+        padding: 2px 8px;
+        border-radius: 4px;
+        cursor: pointer;
+        background: ${on ? '#4a9eff' : '#444'};
+        color: ${on ? '#fff' : '#aaa'};
+      " title="Alt+${key.toUpperCase()}">${label}</span>
+    `
+    const scope = FIND_SCOPES.find(item => item.value === state.scope)
+
+    let status
+    if (state.error) {
+      status = `<span style="color: #e57373;">${EFDRCE.escapeHtml(state.error)}</span>`
+    } else if (!state.find) {
+      status = 'Type to find'
+    } else if (state.matches.length === 0) {
+      status = `<span style="color: #e57373;">No matches in ${scope.label.toLowerCase()}</span>`
+    } else if (state.current < 0) {
+      status = `${state.matches.length} match${state.matches.length === 1 ? '' : 'es'}`
+    } else {
+      const match = state.matches[state.current]
+      status = `${state.current + 1} of ${state.matches.length}: ` +
+        `<span style="color: #e57373; text-decoration: line-through;">${EFDRCE.escapeHtml(match.groups[0])}</span> → ` +
+        `<span style="color: #81c784;">${EFDRCE.escapeHtml(expandReplacement(state, match.groups))}</span>`
     }
-    result += text.substring(pos)
-
-    return result
-  }
-
-  function showSuggestionsToast(message) {
-    const existing = document.getElementById('efdrce-suggestions-toast')
-    if (existing) existing.remove()
 
-    const toast = document.createElement('div')
-    toast.id = 'efdrce-suggestions-toast'
-    toast.textContent = message
-    toast.style.cssText = `
-      position: fixed;
-      bottom: 60px;
-      left: 50%;
-      transform: translateX(-50%);
-      background: #333;
-      color: #fff;
-      padding: 8px 16px;
-      border-radius: 6px;
-      font-size: 13px;
-      z-index: 99999;
-      opacity: 0;
-      transition: opacity 0.2s;
+    findReplacePopup.innerHTML = `
+      <div style="font-size: 13px; font-weight: 500; margin-bottom: 10px; color: #fff;">Find & Replace</div>
+      ${box('find', 'Find:', state.find)}
+      ${box('replace', 'Replace:', state.replace)}
+      <div style="display: flex; gap: 6px; flex-wrap: wrap; font-size: 11px; margin-bottom: 10px;">
+        ${toggle(state.regex, '.* Regex', 'r')}
+        ${toggle(state.matchCase, 'Aa Case', 'c')}
+        ${toggle(state.wholeWord, 'Whole word', 'w')}
+        <span class="efdrce-find-toggle" data-toggle="s" style="padding: 2px 8px; border-radius: 4px; cursor: pointer; background: #444; color: #fff;" title="Alt+S">${scope.label} ▾</span>
+      </div>
+      <div style="font-size: 12px; color: #aaa; margin-bottom: 8px; word-break: break-all;">${status}</div>
+      <div style="font-size: 11px; color: #666;">
+        Enter replace · ↓ skip · ↑ back · Ctrl+Enter replace all · Tab switch box · Esc close
+      </div>
     `
-    document.body.appendChild(toast)
+  }
 
-    requestAnimationFrame(() => {
-      toast.style.opacity = '1'
-      setTimeout(() => {
-        toast.style.opacity = '0'
-        setTimeout(() => toast.remove(), 200)
-      }, 2000)
+  function toggleFindOption (key) {
+    const state = findState
+    if (key === 'r') state.regex = !state.regex
+    if (key === 'c') state.matchCase = !state.matchCase
+    if (key === 'w') state.wholeWord = !state.wholeWord
+    if (key === 's') {
+      const index = FIND_SCOPES.findIndex(item => item.value === state.scope)
+      state.scope = FIND_SCOPES[(index + 1) % FIND_SCOPES.length].value
+    }
+    updateFindMatches()
+  }
+
+  function onFindKeydown (e) {
+    e.preventDefault()
+    e.stopPropagation()
+    e.stopImmediatePropagation()
+    const state = findState
+
+    const option = e.altKey && !e.ctrlKey && e.code.match(/^Key([RCWS])$/)
+    if (option) {
+      toggleFindOption(option[1].toLowerCase())
+    } else if (e.key === 'Escape') {
+      hideFindReplace()
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      replaceAll()
+    } else if (e.key === 'Enter') {
+      replaceCurrent()
+    } else if (e.key === 'ArrowDown' || e.key === 'F3') {
+      moveFindMatch(e.shiftKey ? -1 : 1)
+    } else if (e.key === 'ArrowUp') {
+      moveFindMatch(-1)
+    } else if (e.key === 'Tab') {
+      state.box = state.box === 'find' ? 'replace' : 'find'
+      renderFindReplace()
+    } else if (e.key === 'Backspace') {
+      state[state.box] = state[state.box].slice(0, -1)
+      if (state.box === 'find') updateFindMatches()
+      else renderFindReplace()
+    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      state[state.box] += e.key
+      if (state.box === 'find') updateFindMatches()
+      else renderFindReplace()
+    }
+  }
+
+  function showFindReplace (event, elem) {
+    hideFindReplace()
+    const sel = getSelectionTextRange(elem)
+    const selected = window.getSelection().toString()
+    findState = {
+      field: elem,
+      // A selection within one line is what to find
+      find: sel && selected && !selected.includes('\n') ? selected : '',
+      replace: '',
+      box: 'find',
+      regex: false,
+      matchCase: false,
+      wholeWord: false,
+      scope: 'content',
+      from: sel ? sel.start : Math.max(0, getCursorTextOffset(elem)),
+      matches: [],
+      current: -1,
+      error: null
+    }
+
+    findReplacePopup = EFDRCE.addPanel('efdrce-find-replace-popup', `
+      top: 10px;
+      right: 10px;
+      width: 360px;
+      padding: 14px 16px;
+    `)
+    findReplacePopup.addEventListener('mousedown', (e) => {
+      const toggle = e.target.closest('.efdrce-find-toggle')
+      if (toggle) toggleFindOption(toggle.getAttribute('data-toggle'))
     })
+    findKeyHandler = onFindKeydown
+    document.addEventListener('keydown', findKeyHandler, true)
+    updateFindMatches()
+  }
+
+  function hideFindReplace () {
+    if (findKeyHandler) {
+      document.removeEventListener('keydown', findKeyHandler, true)
+      findKeyHandler = null
+    }
+    if (window.CSS && CSS.highlights) {
+      CSS.highlights.delete(FIND_HIGHLIGHT)
+      CSS.highlights.delete(FIND_HIGHLIGHT_ACTIVE)
+    }
+    if (findReplacePopup) {
+      findReplacePopup.remove()
+      findReplacePopup = null
+    }
+    findState = null
   }
 
+  // The panel belongs to the field being edited
+  document.addEventListener('focusout', (e) => {
+    if (findState && e.target === findState.field) hideFindReplace()
+  })
+
   // ============ COMMAND PALETTE ============
   //
   // Focus NEVER leaves the editable field. All typing is captured via a
@@ -1685,7 +2888,69 @@
   let paletteKeyHandler = null
   let paletteClickHandler = null
   let savedSelectionRange = null
+  // Command whose argument the palette asks for, see `arg` in getCommands
+  let paletteArgCommand = null
+  // Names of the commands used last, most recent first, kept across sessions
+  let recentCommandNames = []
+  const RECENT_COMMANDS_SHOWN = 5
+  // Commands of note type scripts and other add-ons, see EFDRCE.api.registerCommand
+  const customCommands = []
+
+  /**
+   * Add a command to the palette, replacing one with the same name
+   * @param {Object} command - {name, desc, shortcut, action(event, elem)}
+   */
+  function registerCommand (command) {
+    unregisterCommand(command.name)
+    customCommands.push(command)
+  }
 
+  function unregisterCommand (name) {
+    const index = customCommands.findIndex(cmd => cmd.name === name)
+    if (index !== -1) customCommands.splice(index, 1)
+  }
+
+  // ============ COMMANDS WITH ARGUMENTS ============
+
+  function renumberTo (event, elem, value) {
+    const cloze = getClozeAtCursor(elem)
+    const number = parseInt(value, 10)
+    if (!cloze) {
+      showToast('Place cursor inside a cloze')
+    } else if (!number) {
+      showToast('Enter a cloze number')
+    } else if (number !== cloze.number) {
+      changeClozeNumber(elem, cloze, number)
+    }
+  }
+
+  function setHintTo (event, elem, value) {
+    const cloze = getClozeAtCursor(elem)
+    if (!cloze) {
+      showToast('Place cursor inside a cloze')
+      return
+    }
+    setClozeHint(elem, cloze, value.trim())
+  }
+
+  function currentHint (elem) {
+    const cloze = getClozeAtCursor(elem)
+    return cloze && cloze.hint ? cloze.hint : ''
+  }
+
+  function formattingChoices () {
+    return Object.entries(EFDRCE.CONF.special_formatting || {}).map(([key, format]) => ({
+      name: key,
+      desc: format.arg ? `${format.command} ${format.arg.value}` : format.command,
+      value: key
+    }))
+  }
+
+  /**
+   * Commands of the palette. A command with `arg` asks for it in the palette
+   * first: {type: 'number' | 'text' | 'choice', prompt, initial(elem), choices()},
+   * and gets it as the third argument of its action.
+   */
   function getCommands() {
     const shortcuts = EFDRCE.CONF?.cloze_tools?.shortcuts || {}
     return [
@@ -1694,9 +2959,16 @@
       { name: 'Remove Same Number', desc: 'Remove all clozes with same number', shortcut: shortcuts.remove_same_number, action: removeClozesOfSameNumber },
       { name: 'Increment Number', desc: 'Increase cloze number by 1', shortcut: shortcuts.increment, action: incrementClozeNumber },
       { name: 'Decrement Number', desc: 'Decrease cloze number by 1', shortcut: shortcuts.decrement, action: decrementClozeNumber },
-      { name: 'Renumber Cloze', desc: 'Set cloze to specific number (1-9)', shortcut: shortcuts.renumber, action: startRenumberSequence },
+      { name: 'Renumber Cloze', desc: 'Set cloze to a specific number', shortcut: shortcuts.renumber, action: startRenumberSequence },
+      { name: 'Renumber to…', desc: 'Type the new number of the cloze at the cursor', arg: { type: 'number', prompt: 'Cloze number' }, action: renumberTo },
+      { name: 'Normalize Numbering (Compact)', desc: 'Close gaps in cloze numbers, keeping their order', action: normalizeCompact },
+      { name: 'Normalize Numbering (Reading Order)', desc: 'Number clozes by first appearance', action: normalizeReadingOrder },
+      { name: 'Normalize Numbering in Note (Compact)', desc: 'Close gaps in cloze numbers across all fields', action: normalizeNoteCompact },
+      { name: 'Normalize Numbering in Note (Reading Order)', desc: 'Number clozes by first appearance across all fields', action: normalizeNoteReadingOrder },
+      { name: 'New Cloze (Next in Note)', desc: 'Cloze selection with the next number free in all fields', shortcut: shortcuts.cloze_next_in_note, action: clozeWithNextNoteNumber },
       { name: 'Add Hint', desc: 'Add or edit hint for cloze', shortcut: shortcuts.add_hint, action: addHint },
       { name: 'Remove Hint', desc: 'Remove hint from cloze', shortcut: shortcuts.remove_hint, action: removeHint },
+      { name: 'Set Hint…', desc: 'Type the hint of the cloze at the cursor, empty to remove it', arg: { type: 'text', prompt: 'Hint', initial: currentHint }, action: setHintTo },
       { name: 'Word Count Hint', desc: 'Set hint to word count', shortcut: shortcuts.word_count_hint, action: addWordCountHint },
       { name: 'Hint from Selection', desc: 'Use selected text as hint', shortcut: shortcuts.hint_from_selection, action: hintFromSelection },
       { name: 'Split Cloze', desc: 'Split cloze at selection', shortcut: shortcuts.split_cloze, action: splitCloze },
@@ -1704,27 +2976,140 @@
       { name: 'Move Out of Cloze', desc: 'Move selection out of cloze', shortcut: shortcuts.move_out_of_cloze, action: moveOutOfCloze },
       { name: 'Move Into Cloze', desc: 'Expand cloze to include selection', shortcut: shortcuts.move_into_cloze, action: moveIntoCloze },
       { name: 'Image to Cloze', desc: 'Wrap image in cloze', shortcut: shortcuts.image_to_cloze, action: imageToClose },
+      { name: 'Image Occlusion', desc: 'Draw cloze boxes over the image at the cursor', shortcut: shortcuts.image_occlusion, action: () => EFDRCE.toggleImageOcclusion() },
       { name: 'Jump to Next Cloze', desc: 'Move cursor to next cloze', shortcut: shortcuts.jump_next_cloze, action: jumpToNextCloze },
       { name: 'Jump to Previous Cloze', desc: 'Move cursor to previous cloze', shortcut: shortcuts.jump_prev_cloze, action: jumpToPrevCloze },
       { name: 'Jump to Beginning', desc: 'Move cursor to start of field', shortcut: shortcuts.jump_to_beginning, action: jumpToBeginning },
       { name: 'Jump to End', desc: 'Move cursor to end of field', shortcut: shortcuts.jump_to_end, action: jumpToEnd },
       { name: 'Toggle Overlay', desc: 'Show/hide cloze info overlay', shortcut: shortcuts.toggle_overlay, action: toggleClozeOverlay },
+      { name: 'Fix Leech', desc: 'Mark the cloze of this card and suggest how to make it easier', shortcut: shortcuts.fix_leech, action: () => EFDRCE.fixLeech() },
+      { name: 'Cloze Statistics', desc: 'Length, hints and review stats of each cloze number in the note', shortcut: shortcuts.cloze_stats, action: toggleClozeStats },
       { name: 'Copy Cloze Content', desc: 'Copy inner text of cloze', shortcut: shortcuts.copy_cloze_content, action: copyClozeContent },
       { name: 'Preview Card', desc: 'Preview how card will look', shortcut: shortcuts.preview_card, action: showCardPreview },
-      { name: 'Find & Replace', desc: 'Find/replace in clozes only', shortcut: shortcuts.find_replace, action: showFindReplace },
-      { name: 'Suggest Clozes', desc: 'Highlight potential cloze candidates', shortcut: shortcuts.suggest_clozes, action: toggleClozeSuggestions },
+      { name: 'Lint Clozes', desc: 'Check clozes for problems and fix them', shortcut: shortcuts.lint_clozes, action: lintField },
+      { name: 'Find & Replace', desc: 'Find/replace with regex, in clozes, hints or the whole field', shortcut: shortcuts.find_replace, action: showFindReplace },
+      { name: 'Suggest Clozes', desc: 'Highlight cloze candidates, click one or press Enter to cloze it', shortcut: shortcuts.suggest_clozes, action: () => EFDRCE.toggleClozeSuggestions() },
+      { name: 'Accept All Suggestions', desc: 'Cloze every suggested candidate, each with its own number', action: () => EFDRCE.acceptAllSuggestions() },
+      { name: 'Cloze Glossary Terms', desc: 'Cloze every term of the deck or note type glossary in the field', shortcut: shortcuts.glossary_cloze, action: () => EFDRCE.clozeGlossaryTerms() },
       { name: 'Replay Question', desc: 'Show front of card', shortcut: shortcuts.replay_question, action: replayQuestion },
+      { name: 'Session Edit Log', desc: 'Review and revert edits saved this session', shortcut: EFDRCE.CONF.shortcuts['edit-log'], action: () => EFDRCE.toggleEditLog() },
+      { name: 'Toggle Markdown Mode', desc: 'Turn **bold**, *italic*, `code`, ==highlight== and lists into html while typing', shortcut: EFDRCE.CONF.shortcuts.markdown, action: () => EFDRCE.toggleMarkdownMode() },
+      { name: 'Convert Field from Markdown', desc: 'Turn the markdown in the whole field into html', action: () => EFDRCE.convertFieldFromMarkdown() },
+      { name: 'Paste as Plain Text', desc: 'Paste the clipboard text without formatting', shortcut: EFDRCE.CONF.shortcuts['paste-plain'], action: () => EFDRCE.pastePlainText() },
+      { name: 'Smart Paste as Clozes', desc: 'Paste a list or table with each item or a column clozed', shortcut: shortcuts.smart_paste, action: () => EFDRCE.smartPaste() },
+      { name: 'Paste Preview', desc: 'Show what the paste rules do to the clipboard', action: () => EFDRCE.previewPaste() },
+      { name: 'Toggle Modal Editing', desc: 'Vim-like normal mode: single keys jump between and edit clozes, i to type', shortcut: EFDRCE.CONF.shortcuts.modal, action: () => EFDRCE.toggleModalEditing() },
+      { name: 'Apply Formatting…', desc: 'Apply an entry of the Formatting tab to the selection', arg: { type: 'choice', prompt: 'Formatting', choices: formattingChoices }, action: (event, elem, key) => EFDRCE.applyFormatting(key) },
+      { name: 'Keyboard Shortcuts', desc: 'Rebind shortcuts, record key sequences and see conflicts', action: () => EFDRCE.showKeymap() },
+      { name: 'Toggle Spell Check', desc: 'Underline misspelled words, ignoring cloze markup', shortcut: EFDRCE.CONF.shortcuts.spellcheck, action: () => EFDRCE.toggleSpellcheck() },
+      ...customCommands
     ]
   }
 
-  function getFilteredCommands() {
+  // ============ FUZZY MATCHING ============
+
+  function isSubsequence (query, text, from) {
+    let i = from
+    for (const ch of query) {
+      i = text.indexOf(ch, i)
+      if (i === -1) return false
+      i++
+    }
+    return true
+  }
+
+  function isWordStart (text, i) {
+    return i === 0 || !/[a-z0-9]/.test(text[i - 1])
+  }
+
+  /**
+   * Match the characters of `query` in order anywhere in `text`. Characters
+   * right after the previous match or at the start of a word score higher,
+   * and are preferred where the rest of the query still matches after them.
+   * @returns {Object|null} - {score, indices} or null if it doesn't match
+   */
+  function fuzzyMatch (query, text) {
+    const q = query.toLowerCase().replace(/\s+/g, '')
+    const t = text.toLowerCase()
+    if (!q) return { score: 0, indices: [] }
+    if (!isSubsequence(q, t, 0)) return null
+
+    const indices = []
+    let score = 0
+    for (let k = 0; k < q.length; k++) {
+      const last = indices.length ? indices[indices.length - 1] : -1
+      let pick = t.indexOf(q[k], last + 1)
+      for (let i = pick; i !== -1; i = t.indexOf(q[k], i + 1)) {
+        if (i === last + 1 || isWordStart(t, i)) {
+          if (isSubsequence(q.slice(k + 1), t, i + 1)) pick = i
+          break
+        }
+      }
+      score += 1
+      if (pick === last + 1 && last !== -1) score += 3
+      if (isWordStart(t, pick)) score += 4
+      if (pick === 0) score += 2
+      indices.push(pick)
+    }
+    // Tighter and shorter matches first
+    score -= (indices[indices.length - 1] - indices[0]) * 0.1 + t.length * 0.01
+    return { score, indices }
+  }
+
+  function highlightMatch (text, indices) {
+    const matched = new Set(indices)
+    return [...text].map((ch, i) => matched.has(i)
+      ? `<span style="color: #66b3da; font-weight: 600;">${EFDRCE.escapeHtml(ch)}</span>`
+      : EFDRCE.escapeHtml(ch)).join('')
+  }
+
+  /**
+   * Rank entries by how well their name, or else their description, matches the filter
+   * @param {Array} entries - [{name, desc}]
+   * @returns {Array} - [{entry, nameIndices, descIndices}], best first
+   */
+  function rankEntries (entries, filter) {
+    const ranked = []
+    entries.forEach((entry, order) => {
+      const name = fuzzyMatch(filter, entry.name)
+      const desc = name ? null : fuzzyMatch(filter, entry.desc || '')
+      if (name) {
+        ranked.push({ entry, order, score: name.score, nameIndices: name.indices, descIndices: [] })
+      } else if (desc) {
+        ranked.push({ entry, order, score: desc.score / 2 - 5, nameIndices: [], descIndices: desc.indices })
+      }
+    })
+    return ranked.sort((a, b) => b.score - a.score || a.order - b.order)
+  }
+
+  // ============ PALETTE ============
+
+  /**
+   * Rows of the palette that can be selected, with the section each belongs to
+   * @returns {Array} - [{entry, section, nameIndices, descIndices}]
+   */
+  function getPaletteItems () {
+    const plain = (entry, section) => ({ entry, section, nameIndices: [], descIndices: [] })
+
+    if (paletteArgCommand) {
+      if (paletteArgCommand.arg.type !== 'choice') return []
+      return rankEntries(paletteArgCommand.arg.choices(), commandPaletteFilter)
+        .map(item => ({ ...item, section: null }))
+    }
+
     const commands = getCommands()
-    const f = commandPaletteFilter.toLowerCase()
-    if (!f) return commands
-    return commands.filter(cmd =>
-      cmd.name.toLowerCase().includes(f) ||
-      cmd.desc.toLowerCase().includes(f)
-    )
+    if (commandPaletteFilter) {
+      return rankEntries(commands, commandPaletteFilter).map(item => ({ ...item, section: null }))
+    }
+    const recent = recentCommandNames
+      .map(name => commands.find(cmd => cmd.name === name))
+      .filter(Boolean)
+      .slice(0, RECENT_COMMANDS_SHOWN)
+    if (recent.length === 0) return commands.map(cmd => plain(cmd, null))
+    return [
+      ...recent.map(cmd => plain(cmd, 'Recently used')),
+      ...commands.filter(cmd => !recent.includes(cmd)).map(cmd => plain(cmd, 'All commands'))
+    ]
   }
 
   function renderPalette() {
@@ -1734,20 +3119,39 @@
     if (!searchDisplay || !resultsDiv) return
 
     // Update search display
+    const arg = paletteArgCommand && paletteArgCommand.arg
+    const prompt = arg ? `<span style="color: #66b3da;">${EFDRCE.escapeHtml(arg.prompt)}:</span> ` : ''
     if (commandPaletteFilter) {
-      searchDisplay.textContent = commandPaletteFilter
+      searchDisplay.innerHTML = prompt + EFDRCE.escapeHtml(commandPaletteFilter)
       searchDisplay.style.color = '#fff'
     } else {
-      searchDisplay.textContent = 'Type to search commands...'
+      searchDisplay.innerHTML = prompt + (arg ? '' : 'Type to search commands...')
       searchDisplay.style.color = '#888'
     }
 
-    const filtered = getFilteredCommands()
-    if (selectedCommandIndex >= filtered.length) {
-      selectedCommandIndex = Math.max(0, filtered.length - 1)
+    const items = getPaletteItems()
+    if (selectedCommandIndex >= items.length) {
+      selectedCommandIndex = Math.max(0, items.length - 1)
+    }
+
+    if (arg && arg.type !== 'choice') {
+      resultsDiv.innerHTML = `
+        <div style="padding: 4px 16px 8px; font-size: 12px; color: #888; text-align: left;">
+          ${EFDRCE.escapeHtml(paletteArgCommand.desc)} · Enter to apply · Esc to go back
+        </div>
+      `
+      return
     }
 
-    resultsDiv.innerHTML = filtered.map((cmd, i) => `
+    let section = null
+    resultsDiv.innerHTML = items.map((item, i) => {
+      const cmd = item.entry
+      let header = ''
+      if (item.section && item.section !== section) {
+        section = item.section
+        header = `<div style="padding: 6px 16px 2px; font-size: 11px; color: #666; text-transform: uppercase; text-align: left;">${section}</div>`
+      }
+      return `${header}
       <div class="efdrce-palette-item" data-index="${i}" style="
         padding: 10px 16px;
         cursor: pointer;
@@ -1758,24 +3162,25 @@
         background: ${i === selectedCommandIndex ? '#3a3a3a' : 'transparent'};
       ">
         <div style="flex: 1; text-align: left;">
-          <div style="font-weight: 500; color: #fff; text-align: left;">${cmd.name}</div>
-          <div style="font-size: 12px; color: #888; margin-top: 2px; text-align: left;">${cmd.desc}</div>
+          <div style="font-weight: 500; color: #fff; text-align: left;">${highlightMatch(cmd.name, item.nameIndices)}</div>
+          <div style="font-size: 12px; color: #888; margin-top: 2px; text-align: left;">${highlightMatch(cmd.desc || '', item.descIndices)}</div>
         </div>
-        ${cmd.shortcut ? `<div style="font-size: 11px; color: #666; background: #333; padding: 3px 8px; border-radius: 4px; white-space: nowrap; margin-left: 12px;">${cmd.shortcut}</div>` : ''}
+        ${cmd.shortcut ? `<div style="font-size: 11px; color: #666; background: #333; padding: 3px 8px; border-radius: 4px; white-space: nowrap; margin-left: 12px;">${EFDRCE.escapeHtml(cmd.shortcut)}</div>` : ''}
       </div>
-    `).join('')
+    `
+    }).join('')
 
     // Click handlers — use mousedown to prevent field blur
-    resultsDiv.querySelectorAll('.efdrce-palette-item').forEach((item, idx) => {
-      item.addEventListener('mousedown', (e) => {
+    resultsDiv.querySelectorAll('.efdrce-palette-item').forEach((elem, idx) => {
+      elem.addEventListener('mousedown', (e) => {
         e.preventDefault()
         e.stopPropagation()
-        executeCommand(filtered[idx])
+        selectPaletteItem(items[idx])
       })
-      item.addEventListener('mouseenter', () => {
+      elem.addEventListener('mouseenter', () => {
         selectedCommandIndex = idx
-        const items = resultsDiv.querySelectorAll('.efdrce-palette-item')
-        items.forEach((el, j) => {
+        const rows = resultsDiv.querySelectorAll('.efdrce-palette-item')
+        rows.forEach((el, j) => {
           el.style.background = j === idx ? '#3a3a3a' : 'transparent'
         })
       })
@@ -1786,7 +3191,46 @@
     if (selected) selected.scrollIntoView({ block: 'nearest' })
   }
 
-  function executeCommand(cmd) {
+  /**
+   * Ask for the argument of a command in the palette
+   */
+  function startArgPrompt (cmd) {
+    paletteArgCommand = cmd
+    commandPaletteFilter = cmd.arg.initial ? cmd.arg.initial(commandPaletteField) || '' : ''
+    selectedCommandIndex = 0
+    renderPalette()
+  }
+
+  function endArgPrompt () {
+    paletteArgCommand = null
+    commandPaletteFilter = ''
+    selectedCommandIndex = 0
+    renderPalette()
+  }
+
+  function selectPaletteItem (item) {
+    if (!item) return
+    if (paletteArgCommand) {
+      executeCommand(paletteArgCommand, item.entry.value)
+    } else {
+      executeCommand(item.entry)
+    }
+  }
+
+  function addRecentCommand (name) {
+    recentCommandNames = [name, ...recentCommandNames.filter(other => other !== name)]
+    window.pycmd('EFDRCE!recentcommand#' + name)
+  }
+
+  /**
+   * Run a command, or ask for its argument first
+   * @param {*} value - Argument of the command, if it takes one
+   */
+  function executeCommand(cmd, value) {
+    if (cmd && cmd.arg && value === undefined) {
+      startArgPrompt(cmd)
+      return
+    }
     const field = commandPaletteField
     const range = savedSelectionRange
     hideCommandPalette()
@@ -1799,8 +3243,8 @@
           sel.addRange(range)
         }
       }
-      saveUndoState(field)
-      cmd.action(null, field)
+      addRecentCommand(cmd.name)
+      withUndoState(field, () => cmd.action(null, field, value))
     }
   }
 
@@ -1812,6 +3256,7 @@
 
     commandPaletteField = elem
     commandPaletteFilter = ''
+    paletteArgCommand = null
     selectedCommandIndex = 0
 
     // Save current selection — focus stays in the field the entire time
@@ -1878,22 +3323,29 @@
       e.stopPropagation()
       e.stopImmediatePropagation()
 
+      const arg = paletteArgCommand && paletteArgCommand.arg
+
       if (e.key === 'Escape') {
-        hideCommandPalette()
+        if (arg) {
+          endArgPrompt()
+        } else {
+          hideCommandPalette()
+        }
         return
       }
 
       if (e.key === 'Enter') {
-        const filtered = getFilteredCommands()
-        if (filtered.length > 0 && selectedCommandIndex < filtered.length) {
-          executeCommand(filtered[selectedCommandIndex])
+        if (arg && arg.type !== 'choice') {
+          executeCommand(paletteArgCommand, commandPaletteFilter)
+        } else {
+          selectPaletteItem(getPaletteItems()[selectedCommandIndex])
         }
         return
       }
 
       if (e.key === 'ArrowDown') {
-        const filtered = getFilteredCommands()
-        selectedCommandIndex = Math.min(selectedCommandIndex + 1, filtered.length - 1)
+        const items = getPaletteItems()
+        selectedCommandIndex = Math.min(selectedCommandIndex + 1, items.length - 1)
         renderPalette()
         return
       }
@@ -1909,12 +3361,15 @@
           commandPaletteFilter = commandPaletteFilter.slice(0, -1)
           selectedCommandIndex = 0
           renderPalette()
+        } else if (arg) {
+          endArgPrompt()
         }
         return
       }
 
       // Printable character — append to filter
       if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (arg && arg.type === 'number' && !/\d/.test(e.key)) return
         commandPaletteFilter += e.key
         selectedCommandIndex = 0
         renderPalette()
@@ -1949,6 +3404,14 @@
     commandPaletteField = null
     savedSelectionRange = null
     commandPaletteFilter = ''
+    paletteArgCommand = null
+  }
+
+  /**
+   * Called from reviewer.py with the commands used last, most recent first
+   */
+  EFDRCE.setupCommandPalette = function (recent) {
+    recentCommandNames = recent
   }
 
   // ============ CARD NAVIGATION ============
@@ -1970,14 +3433,11 @@
    * @param {string} hint - The new hint text
    */
   function setClozeHint(elem, cloze, hint) {
-    const newCloze = hint
-      ? `{{c${cloze.number}::${cloze.content}::${hint}}}`
-      : `{{c${cloze.number}::${cloze.content}}}`
-
+    // Replace everything between the content and the closing }}
     const html = elem.innerHTML
-    const before = html.substring(0, cloze.htmlStart)
-    const after = html.substring(cloze.htmlEnd)
-    elem.innerHTML = before + newCloze + after
+    const before = html.substring(0, cloze.contentEnd)
+    const after = html.substring(cloze.htmlEnd - 2)
+    elem.innerHTML = before + (hint ? `::${hint}` : '') + after
 
     placeCursorAtOffset(elem, cloze.textStart)
     return true
@@ -2117,20 +3577,8 @@
         const allClozes = getAllClozes(elem)
         const cloze = allClozes[hintPreviewClozeIndex]
         if (cloze) {
-          // Calculate text position after the cloze
-          const html = elem.innerHTML
-          const htmlBefore = html.substring(0, cloze.index)
-          const temp = document.createElement('div')
-          temp.innerHTML = htmlBefore
-          const textBefore = temp.textContent.length
-
-          // Get text length of the full cloze
-          const clozeTemp = document.createElement('div')
-          clozeTemp.innerHTML = cloze.match
-          const clozeTextLen = clozeTemp.textContent.length
-
           // Position cursor right after the cloze
-          placeCursorAtOffset(elem, textBefore + clozeTextLen)
+          placeCursorAtOffset(elem, cloze.textEnd)
         }
       }
       hideHintPreview()
@@ -2158,25 +3606,11 @@
       return
     }
 
-    // Track which occurrence we're on
-    let occurrenceCount = 0
-
-    // Replace all clozes for preview - hide ALL clozes with same number (like real card)
-    const regex = /\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g
-    const previewText = html.replace(regex, (match, num, content, hint) => {
-      const clozeNum = parseInt(num, 10)
-      const plainContent = stripHtml(content)
-      const currentIndex = occurrenceCount
-      occurrenceCount++
-
-      if (clozeNum === hintPreviewClozeNumber) {
-        // ALL clozes with this number should be hidden (like real card review)
-        const displayHint = hint || '...'
-        return `<span style="color: #4fc3f7; font-weight: 500;">[${displayHint}]</span>`
-      } else {
-        // Other numbered clozes - show content normally
-        return plainContent
-      }
+    // Hide ALL clozes with same number (like real card review),
+    // other numbered clozes show their content normally
+    const previewText = renderClozeCard(html, hintPreviewClozeNumber, cloze => {
+      const displayHint = cloze.hint || '...'
+      return `<span style="color: #4fc3f7; font-weight: 500;">[${displayHint}]</span>`
     })
 
     preview.innerHTML = previewText
@@ -2225,22 +3659,14 @@
     }
     if (clozeIndex === -1) clozeIndex = 0 // Last resort fallback
 
-    const html = elem.innerHTML
-
-    // Build new cloze with :: at end (or keep existing hint)
-    const newCloze = cloze.hint
-      ? `{{c${cloze.number}::${cloze.content}::${cloze.hint}}}`
-      : `{{c${cloze.number}::${cloze.content}::}}`
-
-    // Replace only this cloze
-    const before = html.substring(0, cloze.htmlStart)
-    const after = html.substring(cloze.htmlEnd)
-    elem.innerHTML = before + newCloze + after
+    // Add :: after the content unless the cloze already has a hint separator
+    if (cloze.hint === null) {
+      const html = elem.innerHTML
+      elem.innerHTML = html.substring(0, cloze.contentEnd) + '::' + html.substring(cloze.contentEnd)
+    }
 
-    // Position cursor right before the closing }}
-    // The cursor should be after :: (where hint goes)
-    const hintStartPos = cloze.textStart + `{{c${cloze.number}::`.length + stripHtml(cloze.content).length + '::'.length
-    const hintEndPos = hintStartPos + (cloze.hint ? cloze.hint.length : 0)
+    // Position cursor right before the closing }}, after any existing hint
+    const hintEndPos = cloze.hint === null ? cloze.textEnd : cloze.textEnd - 2
 
     // Place cursor at hint position and ensure focus
     placeCursorAtOffset(elem, hintEndPos)
@@ -2269,118 +3695,125 @@
     }
 
     if (shortcuts.remove_single) {
-      EFDRCE.registerShortcut(shortcuts.remove_single, withUndo(removeClozeAtCursorOrSelection))
+      EFDRCE.registerShortcut(shortcuts.remove_single, withUndo(removeClozeAtCursorOrSelection), 'cloze_tools.shortcuts.remove_single')
     }
 
     if (shortcuts.remove_all) {
-      EFDRCE.registerShortcut(shortcuts.remove_all, withUndo(removeAllClozesInField))
+      EFDRCE.registerShortcut(shortcuts.remove_all, withUndo(removeAllClozesInField), 'cloze_tools.shortcuts.remove_all')
     }
 
     if (shortcuts.remove_same_number) {
-      EFDRCE.registerShortcut(shortcuts.remove_same_number, withUndo(removeClozesOfSameNumber))
+      EFDRCE.registerShortcut(shortcuts.remove_same_number, withUndo(removeClozesOfSameNumber), 'cloze_tools.shortcuts.remove_same_number')
     }
 
     // Numbering shortcuts
+    if (shortcuts.cloze_next_in_note) {
+      EFDRCE.registerShortcut(shortcuts.cloze_next_in_note, withUndo(clozeWithNextNoteNumber), 'cloze_tools.shortcuts.cloze_next_in_note')
+    }
+
     if (shortcuts.increment) {
-      EFDRCE.registerShortcut(shortcuts.increment, withUndo(incrementClozeNumber))
+      EFDRCE.registerShortcut(shortcuts.increment, withUndo(incrementClozeNumber), 'cloze_tools.shortcuts.increment')
     }
 
     if (shortcuts.decrement) {
-      EFDRCE.registerShortcut(shortcuts.decrement, withUndo(decrementClozeNumber))
+      EFDRCE.registerShortcut(shortcuts.decrement, withUndo(decrementClozeNumber), 'cloze_tools.shortcuts.decrement')
     }
 
     if (shortcuts.renumber) {
-      EFDRCE.registerShortcut(shortcuts.renumber, withUndo(startRenumberSequence))
+      EFDRCE.registerShortcut(shortcuts.renumber, withUndo(startRenumberSequence), 'cloze_tools.shortcuts.renumber')
     }
 
     // Hint shortcuts
     if (shortcuts.add_hint) {
-      EFDRCE.registerShortcut(shortcuts.add_hint, withUndo(addHint))
+      EFDRCE.registerShortcut(shortcuts.add_hint, withUndo(addHint), 'cloze_tools.shortcuts.add_hint')
     }
 
     if (shortcuts.remove_hint) {
-      EFDRCE.registerShortcut(shortcuts.remove_hint, withUndo(removeHint))
+      EFDRCE.registerShortcut(shortcuts.remove_hint, withUndo(removeHint), 'cloze_tools.shortcuts.remove_hint')
     }
 
     if (shortcuts.word_count_hint) {
-      EFDRCE.registerShortcut(shortcuts.word_count_hint, withUndo(addWordCountHint))
+      EFDRCE.registerShortcut(shortcuts.word_count_hint, withUndo(addWordCountHint), 'cloze_tools.shortcuts.word_count_hint')
     }
 
     if (shortcuts.hint_from_selection) {
-      EFDRCE.registerShortcut(shortcuts.hint_from_selection, withUndo(hintFromSelection))
+      EFDRCE.registerShortcut(shortcuts.hint_from_selection, withUndo(hintFromSelection), 'cloze_tools.shortcuts.hint_from_selection')
     }
 
     // Card navigation - register both on field and globally
     if (shortcuts.replay_question) {
-      EFDRCE.registerShortcut(shortcuts.replay_question, replayQuestion)
-      setupGlobalReplayShortcut(shortcuts.replay_question)
+      EFDRCE.registerShortcut(shortcuts.replay_question, replayQuestion, 'cloze_tools.shortcuts.replay_question')
+      setupGlobalReplayShortcut()
     }
 
     // Structure shortcuts
     if (shortcuts.split_cloze) {
-      EFDRCE.registerShortcut(shortcuts.split_cloze, withUndo(splitCloze))
+      EFDRCE.registerShortcut(shortcuts.split_cloze, withUndo(splitCloze), 'cloze_tools.shortcuts.split_cloze')
     }
 
     if (shortcuts.merge_clozes) {
-      EFDRCE.registerShortcut(shortcuts.merge_clozes, withUndo(mergeClozes))
+      EFDRCE.registerShortcut(shortcuts.merge_clozes, withUndo(mergeClozes), 'cloze_tools.shortcuts.merge_clozes')
     }
 
     if (shortcuts.move_out_of_cloze) {
-      EFDRCE.registerShortcut(shortcuts.move_out_of_cloze, withUndo(moveOutOfCloze))
+      EFDRCE.registerShortcut(shortcuts.move_out_of_cloze, withUndo(moveOutOfCloze), 'cloze_tools.shortcuts.move_out_of_cloze')
     }
 
     if (shortcuts.move_into_cloze) {
-      EFDRCE.registerShortcut(shortcuts.move_into_cloze, moveIntoCloze)
+      EFDRCE.registerShortcut(shortcuts.move_into_cloze, moveIntoCloze, 'cloze_tools.shortcuts.move_into_cloze')
     }
 
     if (shortcuts.image_to_cloze) {
-      EFDRCE.registerShortcut(shortcuts.image_to_cloze, withUndo(imageToClose))
+      EFDRCE.registerShortcut(shortcuts.image_to_cloze, withUndo(imageToClose), 'cloze_tools.shortcuts.image_to_cloze')
     }
 
     // Navigation shortcuts
     if (shortcuts.jump_next_cloze) {
-      EFDRCE.registerShortcut(shortcuts.jump_next_cloze, jumpToNextCloze)
+      EFDRCE.registerShortcut(shortcuts.jump_next_cloze, jumpToNextCloze, 'cloze_tools.shortcuts.jump_next_cloze')
     }
 
     if (shortcuts.jump_prev_cloze) {
-      EFDRCE.registerShortcut(shortcuts.jump_prev_cloze, jumpToPrevCloze)
+      EFDRCE.registerShortcut(shortcuts.jump_prev_cloze, jumpToPrevCloze, 'cloze_tools.shortcuts.jump_prev_cloze')
     }
 
     if (shortcuts.jump_to_beginning) {
-      EFDRCE.registerShortcut(shortcuts.jump_to_beginning, jumpToBeginning)
+      EFDRCE.registerShortcut(shortcuts.jump_to_beginning, jumpToBeginning, 'cloze_tools.shortcuts.jump_to_beginning')
     }
 
     if (shortcuts.jump_to_end) {
-      EFDRCE.registerShortcut(shortcuts.jump_to_end, jumpToEnd)
+      EFDRCE.registerShortcut(shortcuts.jump_to_end, jumpToEnd, 'cloze_tools.shortcuts.jump_to_end')
     }
 
     // Visual features
     if (shortcuts.toggle_overlay) {
-      EFDRCE.registerShortcut(shortcuts.toggle_overlay, toggleClozeOverlay)
+      EFDRCE.registerShortcut(shortcuts.toggle_overlay, toggleClozeOverlay, 'cloze_tools.shortcuts.toggle_overlay')
+    }
+
+    if (shortcuts.cloze_stats) {
+      EFDRCE.registerShortcut(shortcuts.cloze_stats, toggleClozeStats, 'cloze_tools.shortcuts.cloze_stats')
     }
 
     // Advanced editing
     if (shortcuts.copy_cloze_content) {
-      EFDRCE.registerShortcut(shortcuts.copy_cloze_content, copyClozeContent)
+      EFDRCE.registerShortcut(shortcuts.copy_cloze_content, copyClozeContent, 'cloze_tools.shortcuts.copy_cloze_content')
     }
 
     if (shortcuts.preview_card) {
-      EFDRCE.registerShortcut(shortcuts.preview_card, showCardPreview)
+      EFDRCE.registerShortcut(shortcuts.preview_card, showCardPreview, 'cloze_tools.shortcuts.preview_card')
     }
 
     if (shortcuts.find_replace) {
-      EFDRCE.registerShortcut(shortcuts.find_replace, withUndo(showFindReplace))
+      EFDRCE.registerShortcut(shortcuts.find_replace, showFindReplace, 'cloze_tools.shortcuts.find_replace')
     }
 
-    // Smart features
-    if (shortcuts.suggest_clozes) {
-      EFDRCE.registerShortcut(shortcuts.suggest_clozes, withUndo(toggleClozeSuggestions))
+    if (shortcuts.lint_clozes) {
+      EFDRCE.registerShortcut(shortcuts.lint_clozes, lintField, 'cloze_tools.shortcuts.lint_clozes')
     }
 
     // UI
     if (shortcuts.command_palette) {
-      EFDRCE.registerShortcut(shortcuts.command_palette, showCommandPalette)
-      setupGlobalCommandPalette(shortcuts.command_palette)
+      EFDRCE.registerShortcut(shortcuts.command_palette, showCommandPalette, 'cloze_tools.shortcuts.command_palette')
+      setupGlobalCommandPalette()
     }
   }
 
@@ -2394,57 +3827,18 @@
   const originalHandleBlur = EFDRCE.handleBlur
   EFDRCE.handleBlur = function(event, target) {
     cleanupVisualFeatures(target)
+    lintOnBlur(target)
     originalHandleBlur(event, target)
   }
 
   /**
-   * Parse shortcut string into scutInfo object (same format as EFDRCE.shortcuts)
-   */
-  function parseShortcut(shortcut) {
-    const specialCharCodes = {
-      '-': 'minus', '=': 'equal', '[': 'bracketleft', ']': 'bracketright',
-      ';': 'semicolon', "'": 'quote', '`': 'backquote', '\\': 'backslash',
-      ',': 'comma', '.': 'period', '/': 'slash'
-    }
-    const shortcutKeys = shortcut.toLowerCase().split(/[+]/).map(key => key.trim())
-    const scutInfo = {
-      ctrl: shortcutKeys.includes('ctrl'),
-      shift: shortcutKeys.includes('shift'),
-      alt: shortcutKeys.includes('alt')
-    }
-    let mainKey = shortcutKeys[shortcutKeys.length - 1]
-    if (mainKey.length === 1) {
-      if (/\d/.test(mainKey)) {
-        mainKey = 'digit' + mainKey
-      } else if (/[a-zA-Z]/.test(mainKey)) {
-        mainKey = 'key' + mainKey
-      } else if (specialCharCodes[mainKey]) {
-        mainKey = specialCharCodes[mainKey]
-      }
-    }
-    scutInfo.key = mainKey
-    return scutInfo
-  }
-
-  /**
-   * Check if event matches shortcut info
-   */
-  function matchShortcut(event, scutInfo) {
-    if (scutInfo.key !== event.code.toLowerCase()) return false
-    if (scutInfo.ctrl !== (event.ctrlKey || event.metaKey)) return false
-    if (scutInfo.shift !== event.shiftKey) return false
-    if (scutInfo.alt !== event.altKey) return false
-    return true
-  }
-
-  /**
-   * Setup global keyboard listener for replay question
+   * Setup global keyboard listener for replay question.
+   * The keys are looked up in the keymap on each press, so rebinding them works.
    */
-  function setupGlobalReplayShortcut(shortcutStr) {
-    const scutInfo = parseShortcut(shortcutStr)
-
+  function setupGlobalReplayShortcut() {
     document.addEventListener('keydown', (event) => {
-      if (matchShortcut(event, scutInfo)) {
+      const scutInfo = EFDRCE.findShortcut('cloze_tools.shortcuts.replay_question')
+      if (scutInfo && EFDRCE.matchShortcut(event, scutInfo)) {
         event.preventDefault()
         event.stopPropagation()
         replayQuestion(event, null)
@@ -2452,13 +3846,10 @@
     }, true)
   }
 
-  function setupGlobalCommandPalette(shortcutStr) {
+  function setupGlobalCommandPalette() {
     document.addEventListener('keydown', (event) => {
-      // Check for Ctrl+. (or Cmd+. on Mac)
-      const isCtrlOrCmd = event.ctrlKey || event.metaKey
-      const isPeriod = event.key === '.' || event.code === 'Period'
-
-      if (isCtrlOrCmd && isPeriod && !event.shiftKey && !event.altKey) {
+      const scutInfo = EFDRCE.findShortcut('cloze_tools.shortcuts.command_palette')
+      if (scutInfo && EFDRCE.matchShortcut(event, scutInfo)) {
         event.preventDefault()
         event.stopPropagation()
         // Find an editable field to use
@@ -2483,7 +3874,14 @@
   EFDRCE.clozeTools = {
     getClozeAtCursor,
     getAllClozes,
+    fieldClozes,
+    parseClozes,
+    findMathRegions,
+    buildOffsetMap,
+    textRange,
+    placeCursorAtOffset,
     stripClozeMarkup,
+    unwrapClozes,
     removeClozeAtCursorOrSelection,
     removeAllClozesInField,
     removeClozesOfSameNumber,
@@ -2491,6 +3889,16 @@
     incrementClozeNumber,
     decrementClozeNumber,
     startRenumberSequence,
+    swapClozeNumbers,
+    renumberClozes,
+    normalizeCompact,
+    normalizeReadingOrder,
+    normalizeNoteCompact,
+    normalizeNoteReadingOrder,
+    clozeWithNextNoteNumber,
+    fetchNextNoteNumber,
+    wrapInCloze,
+    mathSafeClozes,
     setClozeHint,
     addHint,
     removeHint,
@@ -2508,6 +3916,8 @@
     jumpToPrevCloze,
     jumpToBeginning,
     jumpToEnd,
+    lintClozes,
+    lintField,
     toggleClozeOverlay,
     showClozeOverlay,
     hideClozeOverlay,
@@ -2517,10 +3927,14 @@
     hideCardPreview,
     showFindReplace,
     hideFindReplace,
-    toggleClozeSuggestions,
-    showSuggestions,
-    hideSuggestions,
     showCommandPalette,
-    hideCommandPalette
+    hideCommandPalette,
+    registerCommand,
+    unregisterCommand,
+    saveUndoState,
+    withUndoState,
+    showToast,
+    undoClozeEdit,
+    redoClozeEdit
   }
 })()
@@ -0,0 +1,259 @@
+/* global EFDRCE */
+
+/**
+ * Session Edit Log for EFDRCE
+ * Shows every field edit saved in this session as a word-level diff,
+ * with a revert button that saves the old value again.
+ * The log itself is kept in reviewer.py, which outlives the webview.
+ */
+(function () {
+  let panel = null
+  let panelKeyHandler = null
+
+  // Unchanged words shown around each change
+  const DIFF_CONTEXT = 8
+
+  /**
+   * Split field html into tags, entities, cloze markup, whitespace and words
+   */
+  function tokenize (html) {
+    return html.match(/<[^>]*>|&#?\w+;|\{\{c\d+::|::|\}\}|\s+|[^\s<&{}:]+|[<&{}:]/g) || []
+  }
+
+  // Largest LCS table of a diff. Above it lines are compared instead of
+  // words, and if there are too many lines the changed part is replaced whole.
+  const MAX_DIFF_CELLS = 1000000
+
+  /**
+   * Longest common subsequence diff of two lists
+   * @param {Function} emit - (type, item) for every item in order, type is
+   *   'equal', 'del' or 'ins'
+   */
+  function lcsDiff (a, b, emit) {
+    const cols = b.length + 1
+    const lcs = new Uint32Array((a.length + 1) * cols)
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = a[i] === b[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1])
+      }
+    }
+
+    let i = 0
+    let j = 0
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        emit('equal', a[i])
+        i++
+        j++
+      } else if (i < a.length && (j === b.length || lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1])) {
+        emit('del', a[i])
+        i++
+      } else {
+        emit('ins', b[j])
+        j++
+      }
+    }
+  }
+
+  /**
+   * Group tokens into lines, ending at line breaks and block ends
+   * @returns {Array} - Lines as token lists
+   */
+  function splitLines (tokens) {
+    const lines = [[]]
+    for (const token of tokens) {
+      lines[lines.length - 1].push(token)
+      if (token.includes('\n') || /^<(?:br|\/div|\/p|\/li|\/tr)\b/i.test(token)) lines.push([])
+    }
+    return lines.filter(line => line.length > 0)
+  }
+
+  /**
+   * Diff two token lists into runs of {type: 'equal'|'del'|'ins', tokens}
+   */
+  function diffTokens (a, b) {
+    // Common prefix and suffix are cheap, the middle goes through LCS
+    let start = 0
+    while (start < a.length && start < b.length && a[start] === b[start]) start++
+    let endA = a.length
+    let endB = b.length
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--
+      endB--
+    }
+
+    const runs = []
+    const push = (type, token) => {
+      const last = runs[runs.length - 1]
+      if (last && last.type === type) {
+        last.tokens.push(token)
+      } else {
+        runs.push({ type, tokens: [token] })
+      }
+    }
+
+    const midA = a.slice(start, endA)
+    const midB = b.slice(start, endB)
+    a.slice(0, start).forEach(token => push('equal', token))
+    if (midA.length * midB.length <= MAX_DIFF_CELLS) {
+      lcsDiff(midA, midB, push)
+    } else {
+      const linesA = splitLines(midA)
+      const linesB = splitLines(midB)
+      if (linesA.length * linesB.length <= MAX_DIFF_CELLS) {
+        const text = new Map([...linesA, ...linesB].map(line => [line.join(''), line]))
+        lcsDiff(linesA.map(line => line.join('')), linesB.map(line => line.join('')), (type, key) => {
+          text.get(key).forEach(token => push(type, token))
+        })
+      } else {
+        midA.forEach(token => push('del', token))
+        midB.forEach(token => push('ins', token))
+      }
+    }
+    a.slice(endA).forEach(token => push('equal', token))
+    return runs
+  }
+
+  function renderTokens (tokens, changed) {
+    return tokens.map(token => {
+      if (token[0] === '<' && token.length > 1) {
+        // Unchanged tags are left out, changed ones are shown as source
+        return changed ? `<code style="font-size: 11px;">${EFDRCE.escapeHtml(token)}</code>` : ''
+      }
+      // Entities are already valid html
+      return /^&#?\w+;$/.test(token) ? token : EFDRCE.escapeHtml(token)
+    }).join('')
+  }
+
+  /**
+   * Render a word-level diff of two html strings
+   */
+  function renderDiff (before, after) {
+    const runs = diffTokens(tokenize(before), tokenize(after))
+    return runs.map((run, idx) => {
+      if (run.type === 'del') {
+        return `<del style="background: rgba(229, 115, 115, 0.3); color: #e57373;">${renderTokens(run.tokens, true)}</del>`
+      }
+      if (run.type === 'ins') {
+        return `<ins style="background: rgba(129, 199, 132, 0.3); color: #81c784; text-decoration: none;">${renderTokens(run.tokens, true)}</ins>`
+      }
+      // Collapse long unchanged runs, keeping some context around changes
+      const words = run.tokens.filter(token => token[0] !== '<' || token.length === 1)
+      if (words.length <= DIFF_CONTEXT * 2) return renderTokens(run.tokens, false)
+      const head = idx === 0 ? [] : words.slice(0, DIFF_CONTEXT)
+      const tail = idx === runs.length - 1 ? [] : words.slice(-DIFF_CONTEXT)
+      return renderTokens(head, false) + '<span style="color: #666;"> … </span>' + renderTokens(tail, false)
+    }).join('')
+  }
+
+  function renderEntry (entry) {
+    const time = new Date(entry.time * 1000).toLocaleTimeString()
+    return `
+      <div style="padding: 12px 16px; border-top: 1px solid #3a3a3a;">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+          <div style="font-size: 12px; color: #888;">
+            <span style="color: #fff; font-weight: 500;">${EFDRCE.escapeHtml(entry.field)}</span>
+            · note ${entry.nid} · ${time}
+          </div>
+          <button class="efdrce-edit-log-revert" data-id="${entry.id}" style="
+            padding: 4px 10px;
+            border: none;
+            border-radius: 4px;
+            background: #444;
+            color: #ccc;
+            cursor: pointer;
+            font-size: 12px;
+          ">Revert</button>
+        </div>
+        <div style="line-height: 1.5; word-break: break-word; font-size: 13px;">${renderDiff(entry.before, entry.after)}</div>
+      </div>
+    `
+  }
+
+  function hideEditLog () {
+    if (panelKeyHandler) {
+      document.removeEventListener('keydown', panelKeyHandler, true)
+      panelKeyHandler = null
+    }
+    if (panel) {
+      panel.remove()
+      panel = null
+    }
+  }
+
+  /**
+   * Called from reviewer.py with the edits saved in this session
+   * @param {Array} entries - [{id, nid, field, before, after, time}], oldest first
+   */
+  EFDRCE.renderEditLog = function (entries) {
+    if (!panel) {
+      panel = document.createElement('div')
+      panel.id = 'efdrce-edit-log'
+      // Not EFDRCE.addPanel: the log is read outside of editing, its text can be selected
+      panel.className = 'efdrce-panel'
+      panel.style.cssText = `
+        top: 0;
+        right: 0;
+        bottom: 0;
+        width: 420px;
+        border-radius: 0;
+        font-size: 14px;
+        box-shadow: -4px 0 24px rgba(0,0,0,0.4);
+        overflow-y: auto;
+      `
+      document.body.appendChild(panel)
+
+      panel.addEventListener('click', (e) => {
+        if (e.target.id === 'efdrce-edit-log-close') {
+          hideEditLog()
+        } else if (e.target.classList.contains('efdrce-edit-log-revert')) {
+          window.pycmd('EFDRCE!revert#' + e.target.getAttribute('data-id'))
+        }
+      })
+
+      // Close on Escape
+      panelKeyHandler = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault()
+          e.stopPropagation()
+          hideEditLog()
+        }
+      }
+      document.addEventListener('keydown', panelKeyHandler, true)
+    }
+
+    const items = entries.map(renderEntry).reverse()
+    panel.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; padding: 16px;">
+        <div style="font-size: 13px; font-weight: 500; color: #fff;">Session Edit Log (${entries.length})</div>
+        <button id="efdrce-edit-log-close" style="
+          border: none;
+          background: transparent;
+          color: #888;
+          font-size: 18px;
+          cursor: pointer;
+        ">×</button>
+      </div>
+      ${items.length > 0 ? items.join('') : '<div style="padding: 0 16px; color: #888;">No edits saved yet</div>'}
+    `
+  }
+
+  EFDRCE.toggleEditLog = function () {
+    if (panel) {
+      hideEditLog()
+    } else {
+      window.pycmd('EFDRCE!editlog')
+    }
+  }
+
+  EFDRCE.hideEditLog = hideEditLog
+
+  EFDRCE.setupEditLog = function () {
+    const shortcut = EFDRCE.CONF.shortcuts['edit-log']
+    if (shortcut) {
+      EFDRCE.registerShortcut(shortcut, () => EFDRCE.toggleEditLog(), 'shortcuts.edit-log')
+    }
+  }
+})()
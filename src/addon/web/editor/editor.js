@@ -154,6 +154,135 @@
         }
     }
 
+    // User paste rules from the "paste_rules" config, applied on top of the filter mode.
+    function tagAction(rules, tagName) {
+        var _a;
+        for (const [name, action] of Object.entries((_a = rules.tags) !== null && _a !== void 0 ? _a : {})) {
+            if (name.toUpperCase() === tagName) {
+                return action;
+            }
+        }
+        return undefined;
+    }
+    function keptAttributeNames(rules, tagName) {
+        var _a;
+        const names = [];
+        for (const [name, attributes] of Object.entries((_a = rules.attributes) !== null && _a !== void 0 ? _a : {})) {
+            if (name === "*" || name.toUpperCase() === tagName) {
+                names.push(...attributes.map((attribute) => attribute.toLowerCase()));
+            }
+        }
+        return names;
+    }
+    /**
+     * Tag actions decide first, then the filter mode runs and the attributes and
+     * styles allowed by the rules are put back on elements the mode kept.
+     */
+    const filterElementWithRules = (rules, modeFilter) => (element) => {
+        var _a;
+        const action = tagAction(rules, element.tagName);
+        if (action === "strip") {
+            removeNode(element);
+            return;
+        }
+        if (action === "unwrap") {
+            element.replaceWith(...element.childNodes);
+            return;
+        }
+        const attributeNames = keptAttributeNames(rules, element.tagName);
+        const attributes = [...element.attributes]
+            .filter((attr) => attributeNames.includes(attr.name.toLowerCase()))
+            .map((attr) => [attr.name, attr.value]);
+        const styleNames = (_a = rules.styles) !== null && _a !== void 0 ? _a : [];
+        const style = element.style;
+        const styles = style
+            ? Array.from(style)
+                .filter((property) => styleNames.includes(property))
+                .map((property) => [property, style.getPropertyValue(property)])
+            : [];
+        const parent = element.parentNode;
+        if (action === "allow") {
+            for (const attr of [...element.attributes]) {
+                element.removeAttributeNode(attr);
+            }
+        }
+        else {
+            modeFilter(element);
+        }
+        // The filter mode removed or unwrapped the element
+        if (element.parentNode !== parent) {
+            return;
+        }
+        for (const [name, value] of attributes) {
+            element.setAttribute(name, value);
+        }
+        if (styleNames.length > 0 && style) {
+            element.removeAttribute("style");
+            for (const [property, value] of styles) {
+                style.setProperty(property, value);
+            }
+        }
+    };
+    /**
+     * @returns the replacements as regexes, and an error message for each invalid pattern
+     */
+    function compileReplacements(rules) {
+        var _a;
+        const regexes = [];
+        const errors = [];
+        for (const { pattern, replacement, flags = "" } of (_a = rules.replacements) !== null && _a !== void 0 ? _a : []) {
+            try {
+                const allFlags = flags.includes("g") ? flags : flags + "g";
+                regexes.push([new RegExp(pattern, allFlags), replacement !== null && replacement !== void 0 ? replacement : ""]);
+            }
+            catch (error) {
+                errors.push(`${pattern}: ${error.message}`);
+            }
+        }
+        return { regexes, errors };
+    }
+    function replaceText(text, regexes) {
+        for (const [regex, replacement] of regexes) {
+            text = text.replace(regex, replacement);
+        }
+        return text;
+    }
+    // Removed when a replacement leaves them empty
+    const inlineTags = ["A", "B", "EM", "FONT", "I", "SPAN", "STRONG", "SUB", "SUP", "U"];
+    /**
+     * Run the replacements on every text node. An inline element left empty by
+     * them, like <sup>[12]</sup> without its citation, is removed too.
+     */
+    function replaceInTextNodes(fragment, regexes) {
+        if (regexes.length === 0) {
+            return;
+        }
+        const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+        for (const node of textNodes) {
+            const replaced = replaceText(node.data, regexes);
+            if (replaced === node.data) {
+                continue;
+            }
+            if (replaced !== "") {
+                node.data = replaced;
+                continue;
+            }
+            let parent = node.parentNode;
+            removeNode(node);
+            while (parent &&
+                parent.childNodes.length === 0 &&
+                inlineTags.includes(parent.tagName)) {
+                const next = parent.parentNode;
+                removeNode(parent);
+                parent = next;
+            }
+        }
+    }
+
     // Copyright: Ankitects Pty Ltd and contributors
     var FilterMode;
     (function (FilterMode) {
@@ -178,13 +307,14 @@
         [FilterMode.Extended]: trim,
         [FilterMode.Internal]: trim,
     };
-    function filterHTML(html, internal, extended) {
+    function filterHTML(html, internal, extended, rules = {}) {
         const template = document.createElement("template");
         template.innerHTML = html;
         const mode = getFilterMode(internal, extended);
         const content = template.content;
-        const filter = filterNode(filters[mode]);
+        const filter = filterNode(filterElementWithRules(rules, filters[mode]));
         filter(content);
+        replaceInTextNodes(content, compileReplacements(rules).regexes);
         return outputHTMLProcessors[mode](template.innerHTML);
     }
     function getFilterMode(internal, extended) {
@@ -222,9 +352,9 @@
     }
 
     // Copyright: Ankitects Pty Ltd and contributors
-    function wrappedExceptForWhitespace(text, front, back) {
+    function wrappedExceptForWhitespace(text, front, back, transform) {
         const match = text.match(/^(\s*)([^]*?)(\s*)$/);
-        return match[1] + front + match[2] + back + match[3];
+        return match[1] + transform(front + match[2] + back) + match[3];
     }
     function moveCursorInside(selection, postfix) {
         const range = getRange(selection);
@@ -233,7 +363,7 @@
         selection.removeAllRanges();
         selection.addRange(range);
     }
-    function wrapInternal(base, front, back, plainText) {
+    function wrapInternal(base, front, back, plainText, { moveCursor = true, transform = (wrapped) => wrapped } = {}) {
         const selection = getSelection(base);
         const range = getRange(selection);
         if (!range) {
@@ -244,15 +374,14 @@
         const span = document.createElement("span");
         span.appendChild(content);
         if (plainText) {
-            const new_ = wrappedExceptForWhitespace(span.innerText, front, back);
+            const new_ = wrappedExceptForWhitespace(span.innerText, front, back, transform);
             document.execCommand("inserttext", false, new_);
         }
         else {
-            const new_ = wrappedExceptForWhitespace(span.innerHTML, front, back);
+            const new_ = wrappedExceptForWhitespace(span.innerHTML, front, back, transform);
             document.execCommand("inserthtml", false, new_);
         }
-        if (wasCollapsed &&
-            /* ugly solution: treat <anki-mathjax> differently than other wraps */ !front.includes("<anki-mathjax")) {
+        if (wasCollapsed && moveCursor) {
             moveCursorInside(selection, back);
         }
     }
@@ -263,12 +392,39 @@
         // modified - removed saveField call
         document.execCommand(cmd, false, arg);
     }
-    window.EFDRCE.pasteHTML = function (html, internal, extendedMode) {
-        html = filterHTML(html, internal, extendedMode);
+    function pasteRules() {
+        var _a, _b;
+        return (_b = (_a = window.EFDRCE.CONF) === null || _a === void 0 ? void 0 : _a.paste_rules) !== null && _b !== void 0 ? _b : {};
+    }
+    // modified - extended mode and user rules come from the paste_rules config
+    window.EFDRCE.filterPaste = function (html, internal, extended) {
+        var _a;
+        const rules = pasteRules();
+        return filterHTML(html, internal, (_a = extended !== null && extended !== void 0 ? extended : rules.extended) !== null && _a !== void 0 ? _a : false, rules);
+    };
+    window.EFDRCE.pasteHTML = function (html, internal) {
+        html = window.EFDRCE.filterPaste(html, internal);
+        if (html !== "") {
+            setFormat("inserthtml", html);
+        }
+    };
+    function escapeHTML(text) {
+        return text
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;");
+    }
+    // Paste text without formatting, after the text replacements of the rules
+    window.EFDRCE.pasteText = function (text) {
+        const { regexes } = compileReplacements(pasteRules());
+        const html = escapeHTML(replaceText(text, regexes)).replace(/\r?\n/g, "<br>");
         if (html !== "") {
             setFormat("inserthtml", html);
         }
     };
+    window.EFDRCE.pasteRuleErrors = function () {
+        return compileReplacements(pasteRules()).errors;
+    };
     window.EFDRCE.wrapInternal = wrapInternal;
 
     exports.setFormat = setFormat;
@@ -2,6 +2,13 @@
   window.EFDRCE = {}
   const EFDRCE = window.EFDRCE
   EFDRCE.shortcuts = []
+  // Editable fields of the shown card in document order, set in serveCard
+  EFDRCE.cardFields = []
+  // Cloze number (ord) and lapses of the shown card, set in serveCard.
+  // ord is null for cards of other note types.
+  EFDRCE.card = null
+  // Set while the caller saves the field itself, so leaving it doesn't save it again
+  EFDRCE.suppressBlurSave = false
 
   const removeSpan = function (el) {
     // removes all span code because depending on the note type
@@ -30,12 +37,12 @@
       highest += 1
     }
     highest = Math.max(1, highest)
-    EFDRCE.wrapInternal(el, '{{c' + highest + '::', '}}', false)
+    EFDRCE.clozeTools.wrapInCloze(el, highest)
     event.preventDefault()
   }
 
-  const ctrlLinkEnable = function () {
-    const links = document.querySelectorAll('[data-EFDRCEfield] a')
+  const ctrlLinkEnable = function (field) {
+    const links = field.querySelectorAll('a')
     for (const el of links) {
       el.setAttribute('contenteditable', 'false')
     }
@@ -48,6 +55,55 @@
     }
   }
 
+  /**
+   * Setting of a field: the override for its note type or field from the
+   * config, which reviewer.py puts in data-EFDRCEconf, else the global value
+   */
+  EFDRCE.fieldConf = function (el, key) {
+    const field = el && el.closest && el.closest('[data-EFDRCEfield]')
+    const overrides = field && field.getAttribute('data-EFDRCEconf')
+    if (overrides) {
+      const value = JSON.parse(overrides)[key]
+      if (value !== undefined) return value
+    }
+    return EFDRCE.CONF[key]
+  }
+
+  // Ids of the cloze tool shortcuts turned off for the field with "disabled_shortcuts"
+  const disabledShortcuts = function (el) {
+    const names = EFDRCE.fieldConf(el, 'disabled_shortcuts') || []
+    return names.map(name => `cloze_tools.shortcuts.${name}`)
+  }
+
+  /**
+   * Field being edited, if any
+   */
+  EFDRCE.editingField = function () {
+    return document.querySelector('[data-EFDRCEfield][contenteditable="true"]:focus')
+  }
+
+  EFDRCE.escapeHtml = function (str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+  }
+
+  /**
+   * Add a panel to the page, styled by .efdrce-panel in global_card.css
+   * @param {string} id - Id of the panel element
+   * @param {string} cssText - Position, size and other styles of this panel
+   * @returns {HTMLDivElement} The panel
+   */
+  EFDRCE.addPanel = function (id, cssText) {
+    const panel = document.createElement('div')
+    panel.id = id
+    panel.className = 'efdrce-panel'
+    panel.style.cssText = cssText
+    // Clicking the panel must keep focus in the field: leaving the field
+    // saves it and reloads the card, which would close the panel
+    panel.addEventListener('mousedown', (e) => e.preventDefault())
+    document.body.appendChild(panel)
+    return panel
+  }
+
   const b64DecodeUnicode = function (str) {
     return decodeURIComponent(window.atob(str).split('').map(function (c) {
       return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2)
@@ -55,12 +111,17 @@
   }
 
   /* Event Handlers */
-  EFDRCE.handlePaste = function (e) {
-    if (!EFDRCE.CONF.process_paste) {
+  EFDRCE.handlePaste = function (e, target) {
+    if (!EFDRCE.fieldConf(target, 'process_paste')) {
       return
     }
     const paste = (e.clipboardData || window.clipboardData)
     if (paste.types.length === 0 || (paste.types.length === 1 && paste.types[0] === 'text/plain')) {
+      // Plain text still goes through the text replacements of the paste rules
+      if (paste.types.length === 1 && EFDRCE.CONF.paste_rules?.replacements?.length) {
+        e.preventDefault()
+        EFDRCE.pasteText(paste.getData('text/plain'))
+      }
       return
     }
     e.preventDefault()
@@ -68,13 +129,8 @@
   }
 
   EFDRCE.handleKeydown = function (ev, target) {
-    for (const scutInfo of EFDRCE.shortcuts) {
-      if (matchShortcut(ev, scutInfo)) {
-        const handled = scutInfo.handler(ev, target)
-        if (handled !== -1) {
-          ev.preventDefault()
-        }
-      }
+    if (!isModifierKey(ev.code)) {
+      dispatchShortcut(ev, target)
     }
     if (isCtrlKey(ev.code)) EFDRCE.ctrldown()
     ev.stopPropagation()
@@ -132,13 +188,20 @@
     }
 
     const el = target
-    if (EFDRCE.CONF.remove_span) {
+    if (EFDRCE.fieldConf(el, 'remove_span')) {
       removeSpan(el)
     }
     el.setAttribute('contenteditable', 'false')
+    pendingChords = []
+    if (EFDRCE.suppressBlurSave) {
+      EFDRCE.cleanResize(el)
+      return
+    }
     if (el.hasAttribute('data-EFDRCEnid')) {
       EFDRCE.cleanResize(el)
-      window.pycmd('EFDRCE#' + el.getAttribute('data-EFDRCEnid') + '#' + el.getAttribute('data-EFDRCEfield') + '#' + el.innerHTML)
+      const nid = el.getAttribute('data-EFDRCEnid')
+      const fld = el.getAttribute('data-EFDRCEfield')
+      window.pycmd('EFDRCE#' + nid + '#' + fld + '#' + el.innerHTML)
     }
     window.pycmd('EFDRCE!reload')
   }
@@ -158,37 +221,216 @@
     '/': 'slash'
   }
 
-  const registerShortcut = function (shortcut, handler) {
-    const shortcutKeys = shortcut.toLowerCase().split(/[+]/).map(key => key.trim())
-    const modKeys = ['ctrl', 'shift', 'alt']
-    const scutInfo = {}
-    modKeys.forEach(modKey => { scutInfo[modKey] = shortcutKeys.includes(modKey) })
-    let mainKey = shortcutKeys[shortcutKeys.length - 1]
-    if (mainKey.length === 1) {
-      if (/\d/.test(mainKey)) {
-        mainKey = 'digit' + mainKey
-      } else if (/[a-zA-Z]/.test(mainKey)) {
-        mainKey = 'key' + mainKey
-      } else {
-        const code = specialCharCodes[mainKey]
-        if (code) {
-          mainKey = code
+  /**
+   * Parse a shortcut like "Ctrl + Shift + K", or a sequence of chords
+   * separated by spaces like "Ctrl + K Ctrl + C"
+   * @returns {Array} - Chords [{ctrl, shift, alt, key}], key as a lowercase event.code
+   */
+  const parseShortcut = function (shortcut) {
+    const chords = shortcut.trim().replace(/\s*\+\s*/g, '+').split(/\s+/).filter(Boolean)
+    return chords.map(chord => {
+      const keys = chord.toLowerCase().split('+')
+      let mainKey = keys[keys.length - 1]
+      if (mainKey.length === 1) {
+        if (/\d/.test(mainKey)) {
+          mainKey = 'digit' + mainKey
+        } else if (/[a-zA-Z]/.test(mainKey)) {
+          mainKey = 'key' + mainKey
+        } else if (specialCharCodes[mainKey]) {
+          mainKey = specialCharCodes[mainKey]
         }
       }
+      return {
+        ctrl: keys.includes('ctrl'),
+        shift: keys.includes('shift'),
+        alt: keys.includes('alt'),
+        key: mainKey
+      }
+    })
+  }
+
+  const chordId = function (chord) {
+    return `${chord.ctrl ? 'ctrl+' : ''}${chord.shift ? 'shift+' : ''}${chord.alt ? 'alt+' : ''}${chord.key}`
+  }
+
+  const sequenceId = function (chords) {
+    return chords.map(chordId).join(' ')
+  }
+
+  const eventChord = function (event) {
+    return {
+      ctrl: event.ctrlKey || event.metaKey,
+      shift: event.shiftKey,
+      alt: event.altKey,
+      key: event.code.toLowerCase()
+    }
+  }
+
+  /**
+   * Shortcut text of chords, in the format of the config
+   */
+  const formatShortcut = function (chords) {
+    const codeChars = Object.fromEntries(Object.entries(specialCharCodes).map(([char, code]) => [code, char]))
+    // Saved by name, a quote or backslash would need escaping wherever the
+    // shortcut is written
+    delete codeChars.quote
+    delete codeChars.backslash
+    return chords.map(chord => {
+      let key = chord.key.replace(/^(key|digit)(.)$/, '$2')
+      key = codeChars[key] || (key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1))
+      return [chord.ctrl && 'Ctrl', chord.shift && 'Shift', chord.alt && 'Alt', key].filter(Boolean).join(' + ')
+    }).join(' ')
+  }
+
+  /**
+   * Add a shortcut to the keymap
+   * @param {string} shortcut - Keys, see parseShortcut
+   * @param {Function} handler - (event, field), return -1 to let the key through
+   * @param {string} id - Config path of the shortcut, like
+   *   "cloze_tools.shortcuts.add_hint". Shortcuts with an id can be rebound
+   *   and are named in conflicts.
+   * @param {string} mode - Only active in this mode, see EFDRCE.shortcutMode.
+   *   Where keys are the same, it takes precedence over shortcuts of all modes.
+   */
+  const registerShortcut = function (shortcut, handler, id = null, mode = null) {
+    const scutInfo = {
+      id,
+      shortcut,
+      chords: parseShortcut(shortcut || ''),
+      handler,
+      mode
     }
-    scutInfo.key = mainKey
-    scutInfo.handler = handler
     EFDRCE.shortcuts.push(scutInfo)
   }
   // Expose registerShortcut to notetype JS
   EFDRCE.registerShortcut = registerShortcut
+  EFDRCE.parseShortcut = parseShortcut
+  EFDRCE.formatShortcut = formatShortcut
 
+  /**
+   * Whether a key event is a shortcut of one chord, for listeners outside the fields
+   */
   const matchShortcut = function (event, scutInfo) {
-    if (scutInfo.key !== event.code.toLowerCase()) return false
-    if (scutInfo.ctrl !== (event.ctrlKey || event.metaKey)) return false
-    if (scutInfo.shift !== event.shiftKey) return false
-    if (scutInfo.alt !== event.altKey) return false
-    return true
+    return scutInfo.chords.length === 1 && chordId(scutInfo.chords[0]) === chordId(eventChord(event))
+  }
+  EFDRCE.matchShortcut = matchShortcut
+
+  EFDRCE.findShortcut = function (id) {
+    return EFDRCE.shortcuts.find(scutInfo => scutInfo.id === id)
+  }
+
+  // Chords typed so far of a sequence like "Ctrl + K Ctrl + C"
+  let pendingChords = []
+
+  // Mode whose shortcuts are active besides those of all modes, like the
+  // normal mode of modal editing. null for none.
+  EFDRCE.shortcutMode = null
+
+  const shortcutToast = function (message) {
+    if (EFDRCE.clozeTools) EFDRCE.clozeTools.showToast(message)
+  }
+
+  /**
+   * Run the shortcuts a key completes. A key that starts a longer sequence
+   * waits for the next one.
+   */
+  const dispatchShortcut = function (ev, target) {
+    const disabled = disabledShortcuts(target)
+    const typed = [...pendingChords, eventChord(ev)]
+    const typedId = sequenceId(typed)
+    const active = EFDRCE.shortcuts.filter(scutInfo => scutInfo.chords.length > 0 && !disabled.includes(scutInfo.id) &&
+      (scutInfo.mode === null || scutInfo.mode === EFDRCE.shortcutMode))
+    let complete = active.filter(scutInfo => sequenceId(scutInfo.chords) === typedId)
+    if (complete.some(scutInfo => scutInfo.mode !== null)) {
+      complete = complete.filter(scutInfo => scutInfo.mode !== null)
+    }
+    const started = active.filter(scutInfo => sequenceId(scutInfo.chords).startsWith(typedId + ' '))
+
+    if (complete.length > 0) {
+      pendingChords = []
+      for (const scutInfo of complete) {
+        const handled = scutInfo.handler(ev, target)
+        if (handled !== -1) {
+          ev.preventDefault()
+        }
+      }
+    } else if (started.length > 0) {
+      pendingChords = typed
+      ev.preventDefault()
+      shortcutToast(`${formatShortcut(typed)} was pressed, waiting for the next key`)
+    } else if (pendingChords.length > 0) {
+      pendingChords = []
+      ev.preventDefault()
+      shortcutToast(`${formatShortcut(typed)} is not a shortcut`)
+    }
+  }
+
+  /**
+   * Shortcuts that can't all work: the same keys for more than one action,
+   * or keys that also start a sequence of another action. Shortcuts of a
+   * mode only conflict with others of that mode.
+   * @returns {Array} - [{shortcut, ids}], ids of shortcuts without one are their keys
+   */
+  EFDRCE.shortcutConflicts = function () {
+    const bySequence = new Map()
+    for (const scutInfo of EFDRCE.shortcuts) {
+      if (scutInfo.chords.length === 0) continue
+      const key = `${scutInfo.mode || ''}|${sequenceId(scutInfo.chords)}`
+      if (!bySequence.has(key)) bySequence.set(key, { chords: scutInfo.chords, ids: new Set() })
+      bySequence.get(key).ids.add(scutInfo.id || scutInfo.shortcut)
+    }
+    const conflicts = []
+    for (const [key, { chords, ids }] of bySequence) {
+      const prefixed = [...bySequence].filter(([other]) => other.startsWith(key + ' ')).flatMap(([, other]) => [...other.ids])
+      if (ids.size + prefixed.length > 1) {
+        conflicts.push({ shortcut: formatShortcut(chords), ids: [...ids, ...prefixed] })
+      }
+    }
+    return conflicts
+  }
+
+  /**
+   * Called from reviewer.py once all shortcuts are registered
+   * @param {string} id - Only report the conflicts of this shortcut
+   */
+  EFDRCE.reportShortcutConflicts = function (id = null) {
+    const conflicts = EFDRCE.shortcutConflicts().filter(conflict => id === null || conflict.ids.includes(id))
+    if (conflicts.length === 1) {
+      shortcutToast(`Shortcut conflict: ${conflicts[0].shortcut} is used by ${conflicts[0].ids.join(', ')}`)
+    } else if (conflicts.length > 1) {
+      shortcutToast(`${conflicts.length} shortcut conflicts, see Keyboard Shortcuts in the command palette`)
+    }
+  }
+
+  /**
+   * Bind the shortcut with `id` to other keys and save them in the config
+   * @param {string} id - Config path of the shortcut
+   * @param {string} shortcut - New keys, "" to unbind
+   */
+  EFDRCE.rebindShortcut = function (id, shortcut) {
+    const chords = parseShortcut(shortcut)
+    for (const scutInfo of EFDRCE.shortcuts) {
+      if (scutInfo.id === id) {
+        scutInfo.shortcut = shortcut
+        scutInfo.chords = chords
+      }
+    }
+    const path = id.split('.')
+    const parent = path.slice(0, -1).reduce((obj, key) => obj && obj[key], EFDRCE.CONF)
+    if (parent) parent[path[path.length - 1]] = shortcut
+    window.pycmd('EFDRCE!setshortcut#' + JSON.stringify({ key: id, shortcut }))
+  }
+
+  /**
+   * Apply an entry of "special_formatting" to the selection
+   */
+  EFDRCE.applyFormatting = function (key) {
+    const format = EFDRCE.CONF.special_formatting[key]
+    if (format.arg) {
+      document.execCommand(format.command, false, format.arg.value)
+    } else {
+      document.execCommand(format.command, false)
+    }
   }
 
   const registerFormattingShortcut = function () {
@@ -198,13 +440,7 @@
         continue
       }
       const shortcut = format.shortcut
-      registerShortcut(shortcut, () => {
-        if (format.arg) {
-          document.execCommand(format.command, false, format.arg.value)
-        } else {
-          document.execCommand(format.command, false)
-        }
-      }) // spread args list
+      registerShortcut(shortcut, () => EFDRCE.applyFormatting(key), `special_formatting.${key}.shortcut`)
     }
   }
 
@@ -212,6 +448,10 @@
     return ['ControlLeft', 'MetaLeft', 'ControlRight', 'MetaRight'].includes(keycode)
   }
 
+  const isModifierKey = function (keycode) {
+    return isCtrlKey(keycode) || ['ShiftLeft', 'ShiftRight', 'AltLeft', 'AltRight'].includes(keycode)
+  }
+
   window.addEventListener('keydown', function (ev) {
     if (isCtrlKey(ev.code)) {
       EFDRCE.ctrldown()
@@ -225,9 +465,8 @@
   })
 
   /* Called from reviewer.py */
-  EFDRCE.registerConfig = function (confStr) {
-    EFDRCE.CONF = JSON.parse(confStr)
-    EFDRCE.CONF.span = (EFDRCE.CONF.tag === 'span')
+  EFDRCE.registerConfig = function (conf) {
+    EFDRCE.CONF = conf
     EFDRCE.resizeImageMode = EFDRCE.CONF.resize_image_default_state
   }
 
@@ -236,20 +475,20 @@
     registerShortcut(EFDRCE.CONF.shortcuts['image-resize'], (event) => {
       EFDRCE.resizeImageMode = !EFDRCE.resizeImageMode
       EFDRCE.maybeResizeOrClean()
-    })
+    }, 'shortcuts.image-resize')
     registerShortcut(EFDRCE.CONF.shortcuts.cloze, (event, el) => {
       wrapCloze(event, el, false)
-    })
+    }, 'shortcuts.cloze')
     registerShortcut(EFDRCE.CONF.shortcuts['cloze-alt'], (event, el) => {
       wrapCloze(event, el, true)
-    })
+    }, 'shortcuts.cloze-alt')
     registerShortcut('Backspace', (event, el) => {
-      if (EFDRCE.CONF.span) return
-      if (EFDRCE.CONF.remove_span) setTimeout(() => removeSpan(el), 0)
+      if (EFDRCE.fieldConf(el, 'tag') === 'span') return
+      if (EFDRCE.fieldConf(el, 'remove_span')) setTimeout(() => removeSpan(el), 0)
       return -1
     })
     registerShortcut('Delete', (event, el) => {
-      if (EFDRCE.CONF.remove_span) setTimeout(() => removeSpan(el), 0)
+      if (EFDRCE.fieldConf(el, 'remove_span')) setTimeout(() => removeSpan(el), 0)
       return -1
     })
     registerShortcut('Escape', (event, el) => {
@@ -267,10 +506,16 @@
     ['onkeypress', 'handleKeyPress']
   ]
 
-  EFDRCE.serveCard = function () { // fld: string
+  EFDRCE.serveCard = function (nid, card) { // nid: note id of the shown card
+    EFDRCE.card = card || null
     const els = document.querySelectorAll('[data-EFDRCEfield]')
+    EFDRCE.cardFields = []
     for (const el of els) {
-      if (EFDRCE.CONF.ctrl_click) {
+      const fld = el.getAttribute('data-EFDRCEfield')
+      if (!EFDRCE.cardFields.includes(fld)) {
+        EFDRCE.cardFields.push(fld)
+      }
+      if (EFDRCE.fieldConf(el, 'ctrl_click')) {
         const fldName = b64DecodeUnicode(el.getAttribute('data-EFDRCEfield'))
         el.setAttribute('data-placeholder', fldName)
       } else {
@@ -283,7 +528,17 @@
   }
 
   EFDRCE.ctrldown = function () {
-    if (EFDRCE.CONF.ctrl_click) {
+    const els = document.querySelectorAll('[data-EFDRCEfield]')
+    let ctrlClick = false
+    for (const el of els) {
+      if (EFDRCE.fieldConf(el, 'ctrl_click')) {
+        ctrlClick = true
+        el.setAttribute('contenteditable', 'true')
+      } else {
+        ctrlLinkEnable(el) // Ctrl + Click on a link to click a link
+      }
+    }
+    if (ctrlClick) {
       // Set 'data-EFDRCE-ctrl' attribute on '#q' element
       // which is reset when card or side changes.
       // It can be used for styling in note type templates
@@ -291,32 +546,37 @@
       if (qEl !== null) {
         qEl.setAttribute('data-efdrce-ctrl', 'true')
       }
-
-      const els = document.querySelectorAll('[data-EFDRCEfield]')
-      for (const el of els) {
-        el.setAttribute('contenteditable', 'true')
-      }
-    } else {
-      ctrlLinkEnable() // Ctrl + Click on a link to click a link
     }
   }
 
   EFDRCE.ctrlup = function () {
-    if (EFDRCE.CONF.ctrl_click) {
-      const qEl = document.getElementById('qa')
-      if (qEl !== null) {
-        qEl.removeAttribute('data-efdrce-ctrl')
-      }
+    const qEl = document.getElementById('qa')
+    if (qEl !== null) {
+      qEl.removeAttribute('data-efdrce-ctrl')
+    }
 
-      const els = document.querySelectorAll('[data-EFDRCEfield]')
-      for (const el of els) {
-        if (el !== document.activeElement) {
-          el.setAttribute('contenteditable', 'false')
-        }
+    const els = document.querySelectorAll('[data-EFDRCEfield]')
+    for (const el of els) {
+      if (EFDRCE.fieldConf(el, 'ctrl_click') && el !== document.activeElement) {
+        el.setAttribute('contenteditable', 'false')
       }
-    } else {
-      ctrlLinkDisable()
     }
+    ctrlLinkDisable()
+  }
+
+  /**
+   * Called from reviewer.py once a save of fields of note `nid` is done
+   * @param {string[]} flds - Base64 encoded names of the fields
+   * @param {boolean} changed - Whether the save changed them, false if they
+   *   were already the same
+   */
+  EFDRCE.fieldsSaved = function (nid, flds, changed) {}
+
+  /**
+   * Note field name from the base64 name of data-EFDRCEfield
+   */
+  EFDRCE.decodeFieldName = function (fld) {
+    return b64DecodeUnicode(fld)
   }
 
   EFDRCE.showRawField = function (encoded, nid, fld) {
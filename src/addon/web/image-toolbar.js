@@ -0,0 +1,382 @@
+/* global $, EFDRCE */
+
+/**
+ * Image Toolbar for EFDRCE
+ * Shows a toolbar over the image at the cursor in the field being edited, to
+ * crop, rotate, flip and edit the alt text of the image. Edits are CSS on the
+ * img, so the image file never changes: crop is clip-path, rotation and flip
+ * are a transform.
+ * resize.js keeps these styles when it restores the original img.
+ */
+(function () {
+  // clip-path works in every client that shows the card, AnkiMobile and
+  // AnkiWeb included. Crops made with object-view-box are still read.
+  const CROP_PROPERTY = 'clip-path'
+  const CROP_PROPERTIES = ['object-view-box', 'clip-path']
+  const CROP_REGEX = /inset\(([\d.]+)%\s+([\d.]+)%\s+([\d.]+)%\s+([\d.]+)%\)/
+
+  let toolbar = null
+  let toolbarImg = null
+  let toolbarField = null
+  // Alt text being typed: {value}. Keys are captured so focus stays in the field.
+  let altEditor = null
+  // Crop in progress: {img, overlay, box, saved}
+  let cropper = null
+
+  function round (value) {
+    return Math.round(value * 100) / 100
+  }
+
+  // ============ TRANSFORM ============
+
+  function getTransform (img) {
+    const scale = img.style.transform.match(/scale\((-?1),\s*(-?1)\)/)
+    return {
+      rotation: EFDRCE.imageRotation(img),
+      flipX: Boolean(scale && scale[1] === '-1'),
+      flipY: Boolean(scale && scale[2] === '-1')
+    }
+  }
+
+  function setTransform (img, { rotation, flipX, flipY }) {
+    const parts = []
+    if (rotation) parts.push(`rotate(${rotation}deg)`)
+    if (flipX || flipY) parts.push(`scale(${flipX ? -1 : 1}, ${flipY ? -1 : 1})`)
+    img.style.transform = parts.join(' ')
+    // A resizable img has its margins on the wrapper, resize.js fits it when restoring
+    if (!img.hasAttribute('data-EFDRCEImgId')) {
+      EFDRCE.fitRotatedImage(img, img.offsetWidth, img.offsetHeight)
+    }
+  }
+
+  function rotate (img, degrees) {
+    const transform = getTransform(img)
+    transform.rotation = (transform.rotation + degrees + 360) % 360
+    setTransform(img, transform)
+  }
+
+  /**
+   * Flip as seen on screen, so a flip of an image on its side flips the other axis
+   */
+  function flip (img, horizontal) {
+    const transform = getTransform(img)
+    const sideways = transform.rotation === 90 || transform.rotation === 270
+    if (horizontal !== sideways) {
+      transform.flipX = !transform.flipX
+    } else {
+      transform.flipY = !transform.flipY
+    }
+    setTransform(img, transform)
+  }
+
+  // ============ CROP ============
+
+  /**
+   * @returns {Array} - [top, right, bottom, left] insets in percent
+   */
+  function getCrop (img) {
+    for (const prop of CROP_PROPERTIES) {
+      const match = img.style.getPropertyValue(prop).match(CROP_REGEX)
+      if (match) return match.slice(1).map(parseFloat)
+    }
+    return [0, 0, 0, 0]
+  }
+
+  function setCrop (img, insets) {
+    CROP_PROPERTIES.forEach(prop => img.style.removeProperty(prop))
+    if (insets.some(inset => inset > 0)) {
+      img.style.setProperty(CROP_PROPERTY, `inset(${insets.map(inset => round(inset) + '%').join(' ')})`)
+    }
+  }
+
+  function hideCropper () {
+    if (cropper) {
+      cropper.overlay.remove()
+      cropper = null
+    }
+  }
+
+  /**
+   * Show the whole image with a box over the part that is kept
+   */
+  function startCrop () {
+    let img = toolbarImg
+    const field = toolbarField
+
+    // The crop box needs the image without its resize wrapper
+    if (img.hasAttribute('data-EFDRCEImgId')) {
+      const idx = [...field.querySelectorAll('img')].indexOf(img)
+      EFDRCE.resizeImageMode = false
+      EFDRCE.cleanResize(field)
+      img = field.querySelectorAll('img')[idx]
+    }
+
+    const saved = {
+      transform: img.style.transform,
+      crop: CROP_PROPERTIES.map(prop => img.style.getPropertyValue(prop)),
+      width: img.style.width,
+      height: img.style.height
+    }
+    const [top, right, bottom, left] = getCrop(img)
+
+    img.style.transform = ''
+    setCrop(img, [0, 0, 0, 0])
+    hideToolbar()
+
+    const rect = img.getBoundingClientRect()
+    const overlay = document.createElement('div')
+    overlay.id = 'efdrce-crop-overlay'
+    overlay.style.cssText = `
+      position: fixed;
+      left: ${rect.left}px;
+      top: ${rect.top}px;
+      width: ${rect.width}px;
+      height: ${rect.height}px;
+      z-index: 99998;
+      cursor: crosshair;
+    `
+    const box = document.createElement('div')
+    box.style.cssText = `
+      position: absolute;
+      left: ${left}%;
+      top: ${top}%;
+      width: ${100 - left - right}%;
+      height: ${100 - top - bottom}%;
+      box-sizing: border-box;
+      border: 2px solid #66b3da;
+      box-shadow: 0 0 0 9999px rgba(0, 0, 0, 0.5);
+      cursor: move;
+    `
+    overlay.appendChild(box)
+    document.body.appendChild(overlay)
+    // Keep focus in the field, see EFDRCE.addPanel
+    overlay.addEventListener('mousedown', (e) => e.preventDefault())
+    box.addEventListener('mousedown', (e) => onCropBoxMouseDown(e, overlay, box))
+
+    $(box).resizable({
+      containment: 'parent',
+      handles: 'n, e, s, w, ne, se, sw, nw',
+      minWidth: 10,
+      minHeight: 10
+    })
+    cropper = { img, field, overlay, box, saved }
+  }
+
+  function onCropBoxMouseDown (event, overlay, box) {
+    if (event.target !== box) return
+    const startX = event.clientX - box.offsetLeft
+    const startY = event.clientY - box.offsetTop
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max)
+    const onMove = (e) => {
+      box.style.left = clamp(e.clientX - startX, overlay.clientWidth - box.offsetWidth) + 'px'
+      box.style.top = clamp(e.clientY - startY, overlay.clientHeight - box.offsetHeight) + 'px'
+    }
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove, true)
+      document.removeEventListener('mouseup', onUp, true)
+    }
+    document.addEventListener('mousemove', onMove, true)
+    document.addEventListener('mouseup', onUp, true)
+  }
+
+  function applyCrop () {
+    const { img, field, overlay, box, saved } = cropper
+    const width = overlay.clientWidth
+    const height = overlay.clientHeight
+    const left = box.offsetLeft / width * 100
+    const top = box.offsetTop / height * 100
+    const right = 100 - left - box.offsetWidth / width * 100
+    const bottom = 100 - top - box.offsetHeight / height * 100
+
+    // Undo goes back to the image before cropping
+    const current = { transform: img.style.transform, width: img.style.width, height: img.style.height }
+    restoreSaved(img, saved)
+    EFDRCE.clozeTools.saveUndoState(field)
+    Object.assign(img.style, current)
+
+    const insets = [top, right, bottom, left].map(inset => Math.max(0, inset))
+    setCrop(img, insets)
+    img.style.transform = saved.transform
+    hideCropper()
+  }
+
+  function restoreSaved (img, saved) {
+    img.style.transform = saved.transform
+    img.style.width = saved.width
+    img.style.height = saved.height
+    CROP_PROPERTIES.forEach((prop, idx) => img.style.setProperty(prop, saved.crop[idx]))
+  }
+
+  function cancelCrop () {
+    restoreSaved(cropper.img, cropper.saved)
+    hideCropper()
+  }
+
+  // ============ TOOLBAR ============
+
+  const BUTTONS = [
+    { action: 'crop', label: '✂', title: 'Crop (Enter to apply, Escape to cancel)' },
+    { action: 'rotate-left', label: '⟲', title: 'Rotate left' },
+    { action: 'rotate-right', label: '⟳', title: 'Rotate right' },
+    { action: 'flip-h', label: '⇋', title: 'Flip horizontally' },
+    { action: 'flip-v', label: '⇅', title: 'Flip vertically' },
+    { action: 'alt', label: 'Alt', title: 'Edit alt text' },
+    { action: 'reset', label: 'Reset', title: 'Remove crop, rotation and flip' }
+  ]
+
+  function renderToolbar () {
+    const buttonStyle = `
+      padding: 4px 8px;
+      border: none;
+      border-radius: 4px;
+      background: #3a3a3a;
+      color: #e0e0e0;
+      cursor: pointer;
+      font-size: 13px;
+    `
+    if (altEditor) {
+      toolbar.innerHTML = `
+        <span style="color: #888;">Alt:</span>
+        <span style="color: #fff; min-width: 120px; border-bottom: 1px solid #66b3da;">${EFDRCE.escapeHtml(altEditor.value)}<span style="color: #66b3da;">|</span></span>
+        <span style="color: #666; font-size: 11px;">Enter to save · Esc to cancel</span>
+      `
+      return
+    }
+    toolbar.innerHTML = BUTTONS.map(button => `
+      <button data-action="${button.action}" title="${button.title}" style="${buttonStyle}">${button.label}</button>
+    `).join('')
+  }
+
+  function positionToolbar () {
+    if (!toolbar || !toolbarImg) return
+    const rect = toolbarImg.getBoundingClientRect()
+    const height = toolbar.offsetHeight
+    const top = rect.top - height - 6 >= 0 ? rect.top - height - 6 : rect.bottom + 6
+    toolbar.style.top = top + 'px'
+    toolbar.style.left = Math.max(0, rect.left) + 'px'
+  }
+
+  function showToolbar (field, img) {
+    toolbarField = field
+    toolbarImg = img
+    if (!toolbar) {
+      toolbar = EFDRCE.addPanel('efdrce-image-toolbar', `
+        display: flex;
+        gap: 4px;
+        align-items: center;
+        max-width: none;
+        padding: 4px;
+        border-radius: 6px;
+        z-index: 99997;
+        box-shadow: 0 2px 12px rgba(0,0,0,0.3);
+      `)
+      toolbar.addEventListener('click', onToolbarClick)
+    }
+    renderToolbar()
+    positionToolbar()
+  }
+
+  function hideToolbar () {
+    altEditor = null
+    if (toolbar) {
+      toolbar.remove()
+      toolbar = null
+    }
+    toolbarImg = null
+  }
+
+  function onToolbarClick (event) {
+    const button = event.target.closest('[data-action]')
+    if (!button || !toolbarImg) return
+    const action = button.getAttribute('data-action')
+    const img = toolbarImg
+
+    if (action === 'crop') {
+      startCrop()
+      return
+    }
+    if (action === 'alt') {
+      altEditor = { value: img.getAttribute('alt') || '' }
+      renderToolbar()
+      return
+    }
+
+    EFDRCE.clozeTools.saveUndoState(toolbarField)
+    if (action === 'rotate-left') {
+      rotate(img, -90)
+    } else if (action === 'rotate-right') {
+      rotate(img, 90)
+    } else if (action === 'flip-h') {
+      flip(img, true)
+    } else if (action === 'flip-v') {
+      flip(img, false)
+    } else if (action === 'reset') {
+      setCrop(img, [0, 0, 0, 0])
+      setTransform(img, { rotation: 0, flipX: false, flipY: false })
+      if (!img.getAttribute('style')) img.removeAttribute('style')
+    }
+    positionToolbar()
+  }
+
+  function onKeyDown (event) {
+    if (cropper) {
+      if (event.key === 'Enter') {
+        applyCrop()
+      } else if (event.key === 'Escape') {
+        cancelCrop()
+      }
+      // Nothing else reaches the field while cropping
+      event.preventDefault()
+      event.stopPropagation()
+      return
+    }
+
+    if (!altEditor) return
+    if (event.key === 'Enter') {
+      EFDRCE.clozeTools.saveUndoState(toolbarField)
+      const alt = altEditor.value.trim()
+      if (alt) {
+        toolbarImg.setAttribute('alt', alt)
+      } else {
+        toolbarImg.removeAttribute('alt')
+      }
+      altEditor = null
+    } else if (event.key === 'Escape') {
+      altEditor = null
+    } else if (event.key === 'Backspace') {
+      altEditor.value = altEditor.value.slice(0, -1)
+    } else if (event.key.length === 1 && !event.ctrlKey && !event.metaKey) {
+      altEditor.value += event.key
+    } else if (!['Shift', 'Alt', 'Control', 'Meta'].includes(event.key)) {
+      return
+    }
+    event.preventDefault()
+    event.stopPropagation()
+    renderToolbar()
+  }
+
+  function updateToolbar () {
+    if (cropper || altEditor) return
+    const field = EFDRCE.editingField()
+    const img = field && EFDRCE.CONF.image_toolbar ? EFDRCE.imageAtSelection(field) : null
+    // Occlusion boxes are placed over the image as it is
+    if (img && !img.closest('.efdrce-occlusion')) {
+      showToolbar(field, img)
+    } else {
+      hideToolbar()
+    }
+  }
+
+  document.addEventListener('selectionchange', updateToolbar)
+  document.addEventListener('keydown', onKeyDown, true)
+  window.addEventListener('scroll', () => {
+    if (cropper) cancelCrop()
+    positionToolbar()
+  }, true)
+
+  document.addEventListener('focusout', (e) => {
+    if (!e.target.hasAttribute || !e.target.hasAttribute('data-EFDRCEfield')) return
+    if (cropper) cancelCrop()
+    hideToolbar()
+  })
+})()
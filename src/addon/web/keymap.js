@@ -0,0 +1,250 @@
+/* global EFDRCE */
+
+/**
+ * Keyboard shortcuts panel for EFDRCE
+ * Lists every shortcut of the config with its keys and conflicts. Enter
+ * records new keys for the selected one: a single chord, or a sequence of
+ * two like "Ctrl + K Ctrl + C". Like the command palette, the panel takes
+ * all keys before they reach the field, so focus stays in it.
+ */
+(function () {
+  // Chords of a sequence typed within this time belong together
+  const SEQUENCE_TIMEOUT = 1000
+  const MAX_CHORDS = 2
+
+  let panel = null
+  let panelKeyHandler = null
+  let filter = ''
+  let selectedIndex = 0
+  // Shortcut being recorded: {id, chords, timer}
+  let capture = null
+
+  const MODIFIER_CODES = ['ControlLeft', 'ControlRight', 'MetaLeft', 'MetaRight', 'ShiftLeft', 'ShiftRight', 'AltLeft', 'AltRight']
+
+  /**
+   * Every shortcut of the config, whether it is registered or not
+   * @returns {Array} - [{id, shortcut, disabled}]
+   */
+  function configShortcuts () {
+    const conf = EFDRCE.CONF
+    const entries = []
+    for (const [name, shortcut] of Object.entries(conf.shortcuts || {})) {
+      entries.push({ id: `shortcuts.${name}`, shortcut })
+    }
+    for (const [name, shortcut] of Object.entries(conf.cloze_tools?.shortcuts || {})) {
+      entries.push({ id: `cloze_tools.shortcuts.${name}`, shortcut })
+    }
+    for (const [name, shortcut] of Object.entries(conf.modal_editing?.keys || {})) {
+      entries.push({ id: `modal_editing.keys.${name}`, shortcut })
+    }
+    for (const [name, format] of Object.entries(conf.special_formatting || {})) {
+      entries.push({ id: `special_formatting.${name}.shortcut`, shortcut: format.shortcut, disabled: !format.enabled })
+    }
+    return entries
+  }
+
+  function filteredShortcuts () {
+    const f = filter.toLowerCase()
+    return configShortcuts().filter(entry => !f ||
+      entry.id.toLowerCase().includes(f) || (entry.shortcut || '').toLowerCase().includes(f))
+  }
+
+  function conflictsOf (id) {
+    return EFDRCE.shortcutConflicts().filter(conflict => conflict.ids.includes(id))
+  }
+
+  function render () {
+    if (!panel) return
+    const entries = filteredShortcuts()
+    selectedIndex = Math.min(selectedIndex, Math.max(0, entries.length - 1))
+    const rows = entries.map((entry, idx) => {
+      const conflicts = conflictsOf(entry.id)
+      const others = conflicts.flatMap(conflict => conflict.ids).filter(id => id !== entry.id)
+      const recording = capture && capture.id === entry.id
+      const keys = recording
+        ? (capture.chords.length ? EFDRCE.formatShortcut(capture.chords) + ' …' : 'Press keys…')
+        : (entry.shortcut || '—')
+      let note = ''
+      if (others.length) {
+        note = `<span style="color: #e57373;" title="${EFDRCE.escapeHtml(others.join(', '))}">conflicts with ${others.length}</span>`
+      } else if (entry.disabled) {
+        note = '<span style="color: #666;">disabled</span>'
+      }
+      return `
+        <div class="efdrce-keymap-item" data-index="${idx}" style="
+          padding: 6px 12px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 8px;
+          cursor: pointer;
+          background: ${idx === selectedIndex ? '#3a3a3a' : 'transparent'};
+        ">
+          <div style="flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: #fff;">${EFDRCE.escapeHtml(entry.id)}</div>
+          <div style="font-size: 11px;">${note}</div>
+          <div style="font-size: 11px; color: ${recording ? '#66b3da' : '#aaa'}; background: #333; padding: 3px 8px; border-radius: 4px; white-space: nowrap;">${EFDRCE.escapeHtml(keys)}</div>
+        </div>
+      `
+    }).join('')
+
+    panel.querySelector('#efdrce-keymap-filter').textContent = filter || 'Type to filter shortcuts...'
+    panel.querySelector('#efdrce-keymap-filter').style.color = filter ? '#fff' : '#888'
+    const list = panel.querySelector('#efdrce-keymap-list')
+    list.innerHTML = rows
+    const selected = list.querySelectorAll('.efdrce-keymap-item')[selectedIndex]
+    if (selected) selected.scrollIntoView({ block: 'nearest' })
+  }
+
+  function hideKeymap () {
+    stopCapture()
+    if (panelKeyHandler) {
+      window.removeEventListener('keydown', panelKeyHandler, true)
+      panelKeyHandler = null
+    }
+    if (panel) {
+      panel.remove()
+      panel = null
+    }
+  }
+
+  // ============ CAPTURE ============
+
+  function stopCapture () {
+    if (capture) clearTimeout(capture.timer)
+    capture = null
+  }
+
+  function finishCapture () {
+    const { id, chords } = capture
+    stopCapture()
+    if (chords.length > 0) setShortcut(id, EFDRCE.formatShortcut(chords))
+    render()
+  }
+
+  function setShortcut (id, shortcut) {
+    const registered = Boolean(EFDRCE.findShortcut(id))
+    EFDRCE.rebindShortcut(id, shortcut)
+    const conflicts = conflictsOf(id)
+    if (!shortcut) {
+      EFDRCE.clozeTools.showToast(`Removed the shortcut of ${id}`)
+    } else if (conflicts.length) {
+      EFDRCE.clozeTools.showToast(`${shortcut} is also used by ${conflicts[0].ids.filter(other => other !== id).join(', ')}`)
+    } else if (!registered) {
+      EFDRCE.clozeTools.showToast(`${id} is ${shortcut} from the next review session`)
+    } else {
+      EFDRCE.clozeTools.showToast(`${id} is ${shortcut}`)
+    }
+  }
+
+  function captureKey (e) {
+    if (MODIFIER_CODES.includes(e.code)) return
+    if (e.key === 'Escape') {
+      stopCapture()
+      render()
+      return
+    }
+    // A key that types text, without Ctrl or Alt, would be taken from every
+    // field. Only the keys of normal mode and later keys of a sequence can be.
+    const types = e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey
+    if (types && capture.chords.length === 0 && !capture.id.startsWith('modal_editing.keys.')) {
+      EFDRCE.clozeTools.showToast('Add Ctrl or Alt to a key that types text')
+      return
+    }
+    clearTimeout(capture.timer)
+    capture.chords.push({
+      ctrl: e.ctrlKey || e.metaKey,
+      shift: e.shiftKey,
+      alt: e.altKey,
+      key: e.code.toLowerCase()
+    })
+    if (capture.chords.length >= MAX_CHORDS) {
+      finishCapture()
+      return
+    }
+    capture.timer = setTimeout(finishCapture, SEQUENCE_TIMEOUT)
+    render()
+  }
+
+  function startCapture (entry) {
+    stopCapture()
+    capture = { id: entry.id, chords: [], timer: null }
+    render()
+  }
+
+  // ============ PANEL ============
+
+  function onKeydown (e) {
+    e.preventDefault()
+    e.stopPropagation()
+    e.stopImmediatePropagation()
+
+    if (capture) {
+      captureKey(e)
+      return
+    }
+    const entries = filteredShortcuts()
+    if (e.key === 'Escape') {
+      hideKeymap()
+    } else if (e.key === 'Enter') {
+      if (entries[selectedIndex]) startCapture(entries[selectedIndex])
+    } else if (e.key === 'Delete') {
+      if (entries[selectedIndex]) setShortcut(entries[selectedIndex].id, '')
+      render()
+    } else if (e.key === 'ArrowDown') {
+      selectedIndex = Math.min(selectedIndex + 1, entries.length - 1)
+      render()
+    } else if (e.key === 'ArrowUp') {
+      selectedIndex = Math.max(selectedIndex - 1, 0)
+      render()
+    } else if (e.key === 'Backspace') {
+      filter = filter.slice(0, -1)
+      selectedIndex = 0
+      render()
+    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      filter += e.key
+      selectedIndex = 0
+      render()
+    }
+  }
+
+  EFDRCE.showKeymap = function () {
+    if (panel) {
+      hideKeymap()
+      return
+    }
+    filter = ''
+    selectedIndex = 0
+    panel = EFDRCE.addPanel('efdrce-keymap', `
+      top: 15%;
+      left: 50%;
+      transform: translateX(-50%);
+      width: 520px;
+    `)
+    panel.innerHTML = `
+      <div style="padding: 12px 12px 8px;">
+        <div style="font-size: 13px; font-weight: 500; color: #fff; margin-bottom: 8px;">Keyboard Shortcuts</div>
+        <div id="efdrce-keymap-filter" style="padding: 8px 12px; border-radius: 6px; background: #3a3a3a; min-height: 18px;"></div>
+      </div>
+      <div id="efdrce-keymap-list" style="max-height: 50vh; overflow-y: auto;"></div>
+      <div style="font-size: 11px; color: #666; padding: 8px 12px;">
+        Enter to record keys, up to ${MAX_CHORDS} in a row · Delete to remove · Esc to close
+      </div>
+    `
+    panel.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('.efdrce-keymap-item')
+      if (!item || capture) return
+      selectedIndex = parseInt(item.getAttribute('data-index'), 10)
+      startCapture(filteredShortcuts()[selectedIndex])
+    })
+    // On window, so recording gets keys before the global shortcut listeners of the document
+    panelKeyHandler = onKeydown
+    window.addEventListener('keydown', panelKeyHandler, true)
+    render()
+  }
+
+  const originalServeCard = EFDRCE.serveCard
+  EFDRCE.serveCard = function (nid, card) {
+    originalServeCard(nid, card)
+    hideKeymap()
+  }
+})()
@@ -0,0 +1,290 @@
+/* global EFDRCE, CSS, Highlight, MutationObserver */
+
+/**
+ * Leech fixing for EFDRCE
+ * Cards that lapsed often get a banner. "Fix" opens the field with the cloze
+ * of the card, marks its fragments and lists what usually helps: splitting
+ * it, adding a hint or moving context out of it. The actions are the usual
+ * cloze tools, run on the marked cloze.
+ */
+(function () {
+  const HIGHLIGHT_NAME = 'efdrce-leech'
+
+  let banner = null
+  let panel = null
+  // Leech being fixed: {field, number, observer}
+  let fixing = null
+  // Field to start fixing once it shows its raw html: {field, number}
+  let pendingFix = null
+  // Card whose banner was closed, it stays closed on the answer
+  let dismissedCard = null
+
+  function isLeech (card) {
+    const conf = EFDRCE.CONF.leech || {}
+    return Boolean(card && conf.flag !== false && card.lapses >= (conf.min_lapses || 1))
+  }
+
+  // ============ BANNER ============
+
+  function hideBanner () {
+    if (banner) {
+      banner.remove()
+      banner = null
+    }
+  }
+
+  function showBanner (card) {
+    hideBanner()
+    banner = EFDRCE.addPanel('efdrce-leech-banner', `
+      top: 10px;
+      right: 10px;
+      padding: 6px 10px;
+      background: rgba(30, 30, 30, 0.9);
+      color: #fff;
+      border-radius: 16px;
+      font-size: 12px;
+      z-index: 99998;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    `)
+    banner.innerHTML = `
+      <span style="color: #e57373;">⚠ Leech</span>
+      <span>${card.ord ? `c${card.ord} lapsed` : 'Lapsed'} ${card.lapses} time${card.lapses === 1 ? '' : 's'}</span>
+      ${card.ord ? '<span class="efdrce-leech-fix" style="color: #66b3da; cursor: pointer; font-weight: 600;">Fix</span>' : ''}
+      <span class="efdrce-leech-dismiss" style="color: #888; cursor: pointer;">×</span>
+    `
+    banner.addEventListener('click', (e) => {
+      if (e.target.closest('.efdrce-leech-fix')) EFDRCE.fixLeech()
+      if (e.target.closest('.efdrce-leech-dismiss')) {
+        dismissedCard = card.id
+        hideBanner()
+      }
+    })
+  }
+
+  // ============ FIX FLOW ============
+
+  function leechClozes (field, number) {
+    return EFDRCE.clozeTools.getAllClozes(field).filter(cloze => cloze.number === number)
+  }
+
+  function clozeRange (map, cloze) {
+    const start = map.textToDom(cloze.textStart)
+    const end = map.textToDom(cloze.textEnd)
+    const range = document.createRange()
+    range.setStart(start.node, start.offset)
+    range.setEnd(end.node, end.offset)
+    return range
+  }
+
+  function markClozes () {
+    if (!fixing || !window.CSS || !CSS.highlights) return
+    const map = EFDRCE.clozeTools.buildOffsetMap(fixing.field)
+    const ranges = leechClozes(fixing.field, fixing.number).map(cloze => clozeRange(map, cloze))
+    CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(...ranges))
+  }
+
+  /**
+   * Put the caret in the first fragment of the leech cloze, or the next one
+   * after the caret
+   */
+  function moveToFragment (next) {
+    const { field, number } = fixing
+    const clozes = leechClozes(field, number)
+    if (clozes.length === 0) return
+    const atCursor = EFDRCE.clozeTools.getClozeAtCursor(field)
+    let index = 0
+    if (next && atCursor) {
+      index = Math.max(0, clozes.findIndex(cloze => cloze.textStart > atCursor.textStart))
+    }
+    EFDRCE.clozeTools.placeCursorAtOffset(field, clozes[index].contentTextStart)
+  }
+
+  /**
+   * What usually helps with this cloze, by how long its fragments are and
+   * whether they have a hint
+   */
+  function advice (clozes) {
+    const temp = document.createElement('div')
+    const words = clozes.map(cloze => {
+      temp.innerHTML = EFDRCE.clozeTools.stripClozeMarkup(cloze.match)
+      const text = temp.textContent.trim()
+      return text ? text.split(/\s+/).length : 0
+    })
+    const maxLength = EFDRCE.CONF.cloze_tools?.max_cloze_length || 50
+    const longest = Math.max(0, ...clozes.map(cloze => cloze.contentTextEnd - cloze.contentTextStart))
+    return {
+      words: words.reduce((a, b) => a + b, 0),
+      split: Math.max(0, ...words) > 3,
+      hint: clozes.every(cloze => !cloze.hint || !cloze.hint.trim()),
+      moveOut: longest > maxLength / 2
+    }
+  }
+
+  function hidePanel () {
+    if (panel) {
+      panel.remove()
+      panel = null
+    }
+  }
+
+  function renderPanel () {
+    const { field, number } = fixing
+    const clozes = leechClozes(field, number)
+    const shortcuts = EFDRCE.CONF.cloze_tools?.shortcuts || {}
+    const tips = advice(clozes)
+    const action = (name, label, shortcut, help, recommended) => `
+      <div class="efdrce-leech-action" data-action="${name}" style="padding: 6px 8px; border-radius: 4px; cursor: pointer;">
+        <div>
+          ${label}
+          ${shortcut ? `<span style="color: #888; font-size: 11px; margin-left: 6px;">${shortcut}</span>` : ''}
+          ${recommended ? '<span style="color: #81c784; font-size: 11px; margin-left: 6px;">suggested</span>' : ''}
+        </div>
+        <div style="color: #888; font-size: 11px;">${help}</div>
+      </div>
+    `
+    panel.innerHTML = `
+      <div style="font-size: 13px; font-weight: 500; color: #fff; margin-bottom: 4px;">Fix leech: c${number}</div>
+      <div style="color: #aaa; font-size: 12px; margin-bottom: 8px;">
+        ${clozes.length} fragment${clozes.length === 1 ? '' : 's'} · ${tips.words} word${tips.words === 1 ? '' : 's'} · ${tips.hint ? 'no hint' : 'has a hint'}
+      </div>
+      ${action('split', 'Split cloze', shortcuts.split_cloze, 'Select the first part of the cloze to ask for it on its own', tips.split)}
+      ${action('hint', 'Add hint', shortcuts.add_hint, 'Add a hint to the cloze at the cursor', tips.hint)}
+      ${action('moveout', 'Move context out', shortcuts.move_out_of_cloze, 'Select words of the cloze that are context, not answer', tips.moveOut)}
+      ${action('next', 'Next fragment', '', 'Move the cursor to the next fragment of the cloze', false)}
+      <div style="font-size: 11px; color: #666; margin-top: 8px;">Esc to close · leaving the field saves it</div>
+    `
+  }
+
+  function runAction (name) {
+    const { field, number } = fixing
+    const tools = EFDRCE.clozeTools
+    const atCursor = tools.getClozeAtCursor(field)
+    if (name === 'next') {
+      moveToFragment(true)
+      return
+    }
+    if (!atCursor || atCursor.number !== number) moveToFragment(false)
+
+    const selection = window.getSelection()
+    if ((name === 'split' || name === 'moveout') && selection.isCollapsed) {
+      tools.showToast('Select part of the cloze first')
+      return
+    }
+    tools.saveUndoState(field)
+    if (name === 'split') tools.splitCloze(null, field)
+    if (name === 'hint') tools.addHint(null, field)
+    if (name === 'moveout') tools.moveOutOfCloze(null, field)
+  }
+
+  function stopFix () {
+    if (!fixing) return
+    fixing.observer.disconnect()
+    document.removeEventListener('keydown', onKeydown, true)
+    fixing = null
+    hidePanel()
+    if (window.CSS && CSS.highlights) CSS.highlights.delete(HIGHLIGHT_NAME)
+  }
+
+  function onKeydown (e) {
+    if (e.key !== 'Escape' || !panel) return
+    e.preventDefault()
+    e.stopPropagation()
+    stopFix()
+  }
+
+  function startFix (field, number) {
+    stopFix()
+    hideBanner()
+    if (leechClozes(field, number).length === 0) {
+      EFDRCE.clozeTools.showToast(`No c${number} cloze in this field`)
+      return
+    }
+    // The cloze tools replace the field html, the marks follow the changes
+    const observer = new MutationObserver(() => {
+      markClozes()
+      renderPanel()
+    })
+    observer.observe(field, { childList: true, characterData: true, subtree: true })
+    fixing = { field, number, observer }
+
+    panel = EFDRCE.addPanel('efdrce-leech-panel', `
+      top: 10px;
+      right: 10px;
+      width: 300px;
+      padding: 12px;
+    `)
+    panel.addEventListener('click', (e) => {
+      const action = e.target.closest('.efdrce-leech-action')
+      if (action && fixing) runAction(action.getAttribute('data-action'))
+    })
+    document.addEventListener('keydown', onKeydown, true)
+
+    renderPanel()
+    markClozes()
+    moveToFragment(false)
+  }
+
+  /**
+   * Find the field with the cloze of the current card and start fixing it there
+   */
+  EFDRCE.fixLeech = function () {
+    const card = EFDRCE.card
+    if (!card || !card.ord) return
+    const field = EFDRCE.editingField()
+    if (field && leechClozes(field, card.ord).length > 0) {
+      startFix(field, card.ord)
+      return
+    }
+
+    // Fields that are not being edited only show rendered html
+    window.pycmd('EFDRCE!notefields', (values) => {
+      const fld = EFDRCE.cardFields.find(fld => fld in values &&
+        EFDRCE.clozeTools.fieldClozes(values[fld]).some(cloze => cloze.number === card.ord))
+      const elem = fld && document.querySelector(`[data-EFDRCEfield="${fld}"]`)
+      if (!elem) {
+        EFDRCE.clozeTools.showToast(`No editable field has the c${card.ord} cloze`)
+        return
+      }
+      pendingFix = { field: fld, number: card.ord }
+      elem.setAttribute('contenteditable', 'true')
+      elem.focus()
+    })
+  }
+
+  // Fix the field once its raw html replaced the rendered card
+  const originalShowRawField = EFDRCE.showRawField
+  EFDRCE.showRawField = function (encoded, nid, fld) {
+    originalShowRawField(encoded, nid, fld)
+    if (!pendingFix || pendingFix.field !== fld) return
+    const { number } = pendingFix
+    pendingFix = null
+    const elem = EFDRCE.editingField()
+    if (elem && elem.getAttribute('data-EFDRCEfield') === fld) startFix(elem, number)
+  }
+
+  const originalServeCard = EFDRCE.serveCard
+  EFDRCE.serveCard = function (nid, card) {
+    originalServeCard(nid, card)
+    stopFix()
+    pendingFix = null
+    if (isLeech(card) && card.id !== dismissedCard) {
+      showBanner(card)
+    } else {
+      hideBanner()
+    }
+  }
+
+  document.addEventListener('focusout', (e) => {
+    if (fixing && e.target === fixing.field) stopFix()
+  })
+
+  EFDRCE.setupLeech = function () {
+    const shortcut = EFDRCE.CONF.cloze_tools?.shortcuts?.fix_leech
+    if (shortcut) {
+      EFDRCE.registerShortcut(shortcut, () => EFDRCE.fixLeech(), 'cloze_tools.shortcuts.fix_leech')
+    }
+  }
+})()
@@ -0,0 +1,362 @@
+/* global EFDRCE, Node */
+
+/**
+ * Markdown for EFDRCE
+ * In markdown mode, **bold**, *italic*, `code` and ==highlight== are turned
+ * into html as the closing mark is typed, and a line started with "- " or
+ * "1. " becomes a list. "Convert Field from Markdown" does the same for the
+ * whole field. Cloze markup and MathJax are left as they are.
+ */
+(function () {
+  let markdownMode = false
+
+  // Inline marks, in the order they are converted. Text between the marks
+  // can't hold braces, so a match never takes in cloze markup.
+  const INLINE_RULES = [
+    { tag: 'code', source: '`([^`{}\\n]+)`' },
+    { tag: 'b', source: '\\*\\*([^*{}\\n]+?)\\*\\*' },
+    { tag: 'i', source: '(?<![*\\w])\\*([^*\\s{}](?:[^*{}\\n]*?[^*\\s{}])?)\\*(?!\\*)' },
+    { tag: 'mark', source: '==([^={}\\n]+?)==' }
+  ]
+
+  // Kept as they are by the whole field conversion: code, tags, math and cloze markup
+  const PROTECTED = /(<code\b[^>]*>[^]*?<\/code>|<[^>]*>|\\\([^]*?\\\)|\\\[[^]*?\\\]|\{\{c\d+::|::|\}\})/
+
+  function openTag (tag) {
+    if (tag !== 'mark') return `<${tag}>`
+    // Highlight the way Anki's editor does, with a background color
+    const color = EFDRCE.CONF.markdown?.highlight_color || '#ffff00'
+    return `<span style="background-color: ${color};">`
+  }
+
+  function closeTag (tag) {
+    return tag === 'mark' ? '</span>' : `</${tag}>`
+  }
+
+  function isEditableField (elem) {
+    return elem && elem.hasAttribute('data-EFDRCEfield') && elem.getAttribute('contenteditable') === 'true'
+  }
+
+  // ============ WHOLE FIELD ============
+
+  /**
+   * Apply `fn` to the text between protected parts of the html
+   */
+  function mapText (html, fn) {
+    return html.split(PROTECTED).map((part, idx) => idx % 2 ? part : fn(part)).join('')
+  }
+
+  function convertInline (html) {
+    for (const rule of INLINE_RULES) {
+      const regex = new RegExp(rule.source, 'g')
+      html = mapText(html, text => text.replace(regex, (match, content) => {
+        return content.includes('::') ? match : openTag(rule.tag) + content + closeTag(rule.tag)
+      }))
+    }
+    return html
+  }
+
+  // Blocks kept as they are by the whole field conversion
+  const KEPT_BLOCKS = ['UL', 'OL', 'TABLE', 'PRE', 'BLOCKQUOTE']
+
+  /**
+   * Lines of the html of a <div> or <p>. A trailing <br> doesn't start a
+   * line, so Chromium's empty line <div><br></div> is one empty line.
+   */
+  function blockLines (html) {
+    const lines = html.split(/<br\s*\/?>/i)
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop()
+    return lines
+  }
+
+  /**
+   * Split field html into parts: lines not in a block, as strings,
+   * {node, lines} for a <div> or <p>, and {block} for lists, tables and
+   * other blocks already in the field, which are kept as they are.
+   */
+  function fieldParts (elem) {
+    const parts = []
+    let current = ''
+    let loose = false
+    const flush = () => {
+      parts.push(current)
+      current = ''
+      loose = false
+    }
+    for (const node of elem.childNodes) {
+      if (node.nodeName === 'BR') {
+        flush()
+      } else if (node.nodeName === 'DIV' || node.nodeName === 'P') {
+        if (loose) flush()
+        parts.push({ node, lines: blockLines(node.innerHTML) })
+      } else if (KEPT_BLOCKS.includes(node.nodeName)) {
+        if (loose) flush()
+        parts.push({ block: node.outerHTML })
+      } else {
+        current += node.nodeType === Node.TEXT_NODE ? escapeText(node.data) : node.outerHTML || ''
+        loose = true
+      }
+    }
+    if (loose) flush()
+    return parts
+  }
+
+  function escapeText (str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  }
+
+  // Chromium keeps the space after a list marker as &nbsp; in the html
+  const SPACE = '(?:\\s|&nbsp;)'
+  const BULLET_REGEX = new RegExp(`^${SPACE}*[-*+]${SPACE}+(.*)$`)
+  const NUMBERED_REGEX = new RegExp(`^${SPACE}*\\d+[.)]${SPACE}+(.*)$`)
+  const BOLD_START_REGEX = new RegExp(`^${SPACE}*\\*\\*`)
+
+  /**
+   * @returns {Object|null} - {tag, content} if the line is a markdown list item
+   */
+  function listItem (line) {
+    const bullet = line.match(BULLET_REGEX)
+    if (bullet && !BOLD_START_REGEX.test(line)) return { tag: 'ul', content: bullet[1] }
+    const numbered = line.match(NUMBERED_REGEX)
+    return numbered ? { tag: 'ol', content: numbered[1] } : null
+  }
+
+  /**
+   * Tag of the list if every line of the <div> or <p> is an item of one list
+   */
+  function blockListTag (part) {
+    const items = part.lines.map(listItem)
+    return items.every(item => item && item.tag === items[0].tag) ? items[0].tag : null
+  }
+
+  function listHtml (tag, items) {
+    return `<${tag}>${items.map(item => `<li>${convertInline(item)}</li>`).join('')}</${tag}>`
+  }
+
+  /**
+   * Turn markdown lists and inline marks of lines into html
+   * @returns {Object} - {out, converted}: out has html lines and {tag, items} lists
+   */
+  function convertLines (lines) {
+    const out = []
+    let list = null
+    let converted = false
+    for (const line of lines) {
+      const item = listItem(line)
+      if (item) {
+        if (!list || list.tag !== item.tag) {
+          list = { tag: item.tag, items: [] }
+          out.push(list)
+        }
+        list.items.push(item.content)
+        converted = true
+      } else {
+        list = null
+        const html = convertInline(line)
+        converted = converted || html !== line
+        out.push(html)
+      }
+    }
+    return { out, converted }
+  }
+
+  /**
+   * Lines are separated with <br>, lists need none around them
+   */
+  function joinLines (out) {
+    return out.map((part, idx) => {
+      if (typeof part !== 'string') return listHtml(part.tag, part.items)
+      return typeof out[idx + 1] === 'string' ? part + '<br>' : part
+    }).join('')
+  }
+
+  /**
+   * Html of a <div> or <p> with the converted lines, keeping its attributes.
+   * A list can't be in a <p>, so the lines around it get a <p> each side.
+   */
+  function blockHtml (node, out) {
+    if (node.nodeName !== 'P') {
+      const copy = node.cloneNode(false)
+      copy.innerHTML = joinLines(out)
+      return copy.outerHTML
+    }
+    let html = ''
+    let lines = []
+    const flush = () => {
+      if (lines.length === 0) return
+      const copy = node.cloneNode(false)
+      copy.innerHTML = joinLines(lines)
+      html += copy.outerHTML
+      lines = []
+    }
+    for (const part of out) {
+      if (typeof part === 'string') {
+        lines.push(part)
+      } else {
+        flush()
+        html += listHtml(part.tag, part.items)
+      }
+    }
+    flush()
+    return html
+  }
+
+  /**
+   * @returns {string|null} - Field html with markdown lists and inline marks
+   *   turned into html, null if the field has no markdown. A <div> or <p>
+   *   keeps its attributes, only its content is converted. Blocks that are
+   *   each a markdown list item, the way Chromium puts every line in a <div>,
+   *   become one list.
+   */
+  function markdownToHtml (elem) {
+    const parts = fieldParts(elem)
+    let html = ''
+    let converted = false
+    for (let idx = 0; idx < parts.length; idx++) {
+      const part = parts[idx]
+      if (typeof part === 'string') {
+        // A run of lines outside of blocks
+        const lines = [part]
+        while (typeof parts[idx + 1] === 'string') lines.push(parts[++idx])
+        const result = convertLines(lines)
+        converted = converted || result.converted
+        html += joinLines(result.out)
+      } else if (part.block) {
+        html += part.block
+      } else {
+        const tag = blockListTag(part)
+        if (tag) {
+          const items = part.lines.map(line => listItem(line).content)
+          while (parts[idx + 1] && parts[idx + 1].node && blockListTag(parts[idx + 1]) === tag) {
+            items.push(...parts[++idx].lines.map(line => listItem(line).content))
+          }
+          html += blockHtml(part.node, [{ tag, items }])
+          converted = true
+          continue
+        }
+        const result = convertLines(part.lines)
+        converted = converted || result.converted
+        html += result.converted ? blockHtml(part.node, result.out) : part.node.outerHTML
+      }
+    }
+    return converted ? html : null
+  }
+
+  function convertFieldFromMarkdown (event, elem) {
+    if (!isEditableField(elem)) return
+    const html = markdownToHtml(elem)
+    if (html === null) {
+      EFDRCE.clozeTools.showToast('No markdown to convert')
+      return
+    }
+    EFDRCE.clozeTools.saveUndoState(elem)
+    elem.innerHTML = html
+    // Continue at the end of the field
+    const range = document.createRange()
+    range.selectNodeContents(elem)
+    range.collapse(false)
+    const selection = window.getSelection()
+    selection.removeAllRanges()
+    selection.addRange(range)
+  }
+
+  // ============ LIVE ============
+
+  function placeCaret (node, offset) {
+    const range = document.createRange()
+    range.setStart(node, offset)
+    range.collapse(true)
+    const selection = window.getSelection()
+    selection.removeAllRanges()
+    selection.addRange(range)
+  }
+
+  /**
+   * Whether the caret at `offset` of the text is inside \(...\) or \[...\]
+   */
+  function inMath (text, offset) {
+    const before = text.slice(0, offset)
+    return before.lastIndexOf('\\(') > before.lastIndexOf('\\)') ||
+      before.lastIndexOf('\\[') > before.lastIndexOf('\\]')
+  }
+
+  /**
+   * Turn inline marks that end at the caret into html
+   * @returns {boolean} - Whether something was converted
+   */
+  function convertInlineAtCaret (field, node, offset) {
+    const before = node.data.slice(0, offset)
+    if (inMath(node.data, offset)) return false
+
+    for (const rule of INLINE_RULES) {
+      const match = before.match(new RegExp(rule.source + '$'))
+      if (!match || match[1].includes('::')) continue
+
+      EFDRCE.clozeTools.saveUndoState(field)
+      const start = offset - match[0].length
+      const after = node.splitText(offset)
+      node.data = node.data.slice(0, start)
+      const template = document.createElement('template')
+      template.innerHTML = openTag(rule.tag) + escapeText(match[1]) + closeTag(rule.tag)
+      node.parentNode.insertBefore(template.content, after)
+      // Typing goes on after the formatted text, not inside it
+      placeCaret(after, 0)
+      if (!node.data) node.remove()
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Start a list when "- " or "1. " is typed at the beginning of a line.
+   * A space typed at the end of a text is a non-breaking space in Chromium.
+   */
+  function convertListAtCaret (field, node, offset) {
+    const marker = node.data.slice(0, offset).match(/^(?:[-*+]|\d+[.)])[ \u00a0]$/)
+    if (!marker) return false
+    const previous = node.previousSibling
+    const inLine = node.parentNode === field || ['DIV', 'P'].includes(node.parentNode.nodeName)
+    if (!inLine || (previous && previous.nodeName !== 'BR')) return false
+
+    EFDRCE.clozeTools.saveUndoState(field)
+    node.data = node.data.slice(offset)
+    placeCaret(node, 0)
+    document.execCommand(/\d/.test(marker[0]) ? 'insertOrderedList' : 'insertUnorderedList')
+    return true
+  }
+
+  function onInput (event) {
+    if (!markdownMode || event.inputType !== 'insertText') return
+    const field = event.target
+    if (!isEditableField(field)) return
+    const selection = window.getSelection()
+    if (!selection.isCollapsed || selection.anchorNode.nodeType !== Node.TEXT_NODE) return
+    const node = selection.anchorNode
+    const offset = selection.anchorOffset
+
+    if (/^[ \u00a0]$/.test(event.data) && convertListAtCaret(field, node, offset)) return
+    if (/[*`=]/.test(event.data)) convertInlineAtCaret(field, node, offset)
+  }
+
+  document.addEventListener('input', onInput, true)
+
+  EFDRCE.toggleMarkdownMode = function () {
+    markdownMode = !markdownMode
+    EFDRCE.clozeTools.showToast(markdownMode ? 'Markdown mode on' : 'Markdown mode off')
+  }
+
+  EFDRCE.convertFieldFromMarkdown = function () {
+    const field = EFDRCE.editingField()
+    if (field) convertFieldFromMarkdown(null, field)
+  }
+
+  EFDRCE.markdown = { markdownToHtml }
+
+  EFDRCE.setupMarkdown = function () {
+    markdownMode = Boolean(EFDRCE.CONF.markdown?.enabled)
+    const shortcut = EFDRCE.CONF.shortcuts.markdown
+    if (shortcut) {
+      EFDRCE.registerShortcut(shortcut, () => EFDRCE.toggleMarkdownMode(), 'shortcuts.markdown')
+    }
+  }
+})()
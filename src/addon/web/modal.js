@@ -0,0 +1,185 @@
+/* global EFDRCE */
+
+/**
+ * Modal editing for EFDRCE
+ * An opt-in, vim-like layer. In normal mode single keys move between clozes
+ * and edit them, in insert mode keys type as usual. The keys of normal mode
+ * are shortcuts of that mode, so they go through the same dispatch as every
+ * other shortcut and can be rebound in the keymap.
+ */
+(function () {
+  const NORMAL = 'normal'
+  const INSERT = 'insert'
+
+  let modalEnabled = false
+  let indicator = null
+
+  // ============ INDICATOR ============
+
+  function hideIndicator () {
+    if (indicator) {
+      indicator.remove()
+      indicator = null
+    }
+  }
+
+  function showIndicator (mode) {
+    if (!indicator) {
+      indicator = document.createElement('div')
+      indicator.id = 'efdrce-modal-indicator'
+      indicator.style.cssText = `
+        position: fixed;
+        bottom: 10px;
+        left: 10px;
+        padding: 3px 10px;
+        border-radius: 10px;
+        font-size: 11px;
+        font-weight: 600;
+        letter-spacing: 0.05em;
+        color: #fff;
+        z-index: 99998;
+        pointer-events: none;
+        font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+      `
+      document.body.appendChild(indicator)
+    }
+    indicator.textContent = mode === NORMAL ? 'NORMAL' : 'INSERT'
+    indicator.style.background = mode === NORMAL ? 'rgba(102, 179, 218, 0.9)' : 'rgba(129, 199, 132, 0.9)'
+  }
+
+  /**
+   * @param {string|null} mode - NORMAL, INSERT or null when not editing
+   */
+  function setMode (mode, field = EFDRCE.editingField()) {
+    EFDRCE.shortcutMode = mode
+    if (field) {
+      if (mode) {
+        field.setAttribute('data-efdrce-mode', mode)
+      } else {
+        field.removeAttribute('data-efdrce-mode')
+      }
+    }
+    if (mode) {
+      showIndicator(mode)
+    } else {
+      hideIndicator()
+    }
+  }
+
+  // ============ NORMAL MODE ACTIONS ============
+
+  function selectText (elem, start, end) {
+    const map = EFDRCE.clozeTools.buildOffsetMap(elem)
+    const from = map.textToDom(start)
+    const to = map.textToDom(end)
+    const range = document.createRange()
+    range.setStart(from.node, from.offset)
+    range.setEnd(to.node, to.offset)
+    const selection = window.getSelection()
+    selection.removeAllRanges()
+    selection.addRange(range)
+  }
+
+  function clozeAtCursor (elem) {
+    const cloze = EFDRCE.clozeTools.getClozeAtCursor(elem)
+    if (!cloze) EFDRCE.clozeTools.showToast('Place cursor inside a cloze')
+    return cloze
+  }
+
+  function selectContent (event, elem) {
+    const cloze = clozeAtCursor(elem)
+    if (cloze) selectText(elem, cloze.contentTextStart, cloze.contentTextEnd)
+  }
+
+  function append (event, elem) {
+    const cloze = EFDRCE.clozeTools.getClozeAtCursor(elem)
+    if (cloze) EFDRCE.clozeTools.placeCursorAtOffset(elem, cloze.contentTextEnd)
+    setMode(INSERT, elem)
+  }
+
+  /**
+   * Select the hint of the cloze at the cursor, or add an empty one, and type it
+   */
+  function changeHint (event, elem) {
+    const cloze = clozeAtCursor(elem)
+    if (!cloze) return
+    if (cloze.hint !== null) {
+      selectText(elem, cloze.contentTextEnd + 2, cloze.textEnd - 2)
+    } else {
+      EFDRCE.clozeTools.saveUndoState(elem)
+      EFDRCE.clozeTools.addHint(event, elem)
+    }
+    setMode(INSERT, elem)
+  }
+
+  function withUndo (fn) {
+    return function (event, elem) {
+      EFDRCE.clozeTools.saveUndoState(elem)
+      fn(event, elem)
+    }
+  }
+
+  function normalModeActions () {
+    const tools = EFDRCE.clozeTools
+    return {
+      insert: (event, elem) => setMode(INSERT, elem),
+      append,
+      next_cloze: tools.jumpToNextCloze,
+      prev_cloze: tools.jumpToPrevCloze,
+      field_start: tools.jumpToBeginning,
+      field_end: tools.jumpToEnd,
+      select_content: selectContent,
+      delete_cloze: withUndo(tools.removeClozeAtCursorOrSelection),
+      change_number: withUndo(tools.startRenumberSequence),
+      increment: withUndo(tools.incrementClozeNumber),
+      decrement: withUndo(tools.decrementClozeNumber),
+      change_hint: changeHint,
+      undo: tools.undoClozeEdit
+    }
+  }
+
+  // Normal mode doesn't type. Keys are stopped in keydown by the shortcuts,
+  // everything else that edits is stopped here.
+  document.addEventListener('beforeinput', (event) => {
+    if (EFDRCE.shortcutMode !== NORMAL || !event.target.hasAttribute?.('data-EFDRCEfield')) return
+    if (/^(insert|delete)/.test(event.inputType)) event.preventDefault()
+  }, true)
+
+  const originalHandleFocus = EFDRCE.handleFocus
+  EFDRCE.handleFocus = function (event, target) {
+    originalHandleFocus(event, target)
+    if (modalEnabled) setMode(NORMAL, target)
+  }
+
+  const originalHandleBlur = EFDRCE.handleBlur
+  EFDRCE.handleBlur = function (event, target) {
+    setMode(null, target)
+    originalHandleBlur(event, target)
+  }
+
+  EFDRCE.toggleModalEditing = function () {
+    modalEnabled = !modalEnabled
+    const field = EFDRCE.editingField()
+    if (field) setMode(modalEnabled ? NORMAL : null, field)
+    EFDRCE.clozeTools.showToast(modalEnabled ? 'Modal editing on' : 'Modal editing off')
+  }
+
+  EFDRCE.setupModal = function () {
+    const conf = EFDRCE.CONF.modal_editing || {}
+    modalEnabled = Boolean(conf.enabled)
+    const actions = normalModeActions()
+    for (const [name, shortcut] of Object.entries(conf.keys || {})) {
+      const id = `modal_editing.keys.${name}`
+      if (!shortcut) continue
+      if (name === 'normal') {
+        EFDRCE.registerShortcut(shortcut, (event, elem) => setMode(NORMAL, elem), id, INSERT)
+      } else if (actions[name]) {
+        EFDRCE.registerShortcut(shortcut, actions[name], id, NORMAL)
+      }
+    }
+    const shortcut = EFDRCE.CONF.shortcuts.modal
+    if (shortcut) {
+      EFDRCE.registerShortcut(shortcut, () => EFDRCE.toggleModalEditing(), 'shortcuts.modal')
+    }
+  }
+})()
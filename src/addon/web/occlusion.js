@@ -0,0 +1,280 @@
+/* global $, EFDRCE */
+
+/**
+ * Image Occlusion for EFDRCE
+ * Drag rectangles over an image in the field being edited. Each rectangle is
+ * a cloze kept in the field html, positioned in percent of the image:
+ *
+ *   <div class="efdrce-occlusion" style="position: relative; ...">
+ *     <style class="efdrce-occlusion-style">...</style>
+ *     <img src="diagram.png">
+ *     <div class="efdrce-occlusion-box" style="position: absolute; left: 10%; ...">{{c1::<span class="efdrce-occlusion-answer"></span>}}</div>
+ *   </div>
+ *
+ * The style masks the box of the asked cloze and outlines it on the answer.
+ * It is the only copy of these rules and part of the field, so cards look the
+ * same where the add-on is not installed, like AnkiMobile, AnkiDroid and
+ * AnkiWeb. Without :has support the
+ * box stays masked on the answer, it never shows the answer on the question.
+ * While editing, boxes get jQuery UI resize handles like resizable images.
+ */
+(function () {
+  const CONTAINER_STYLE = 'position: relative; display: inline-block; line-height: 0;'
+  const BOX_STYLE = 'position: absolute;'
+  const ANSWER_HTML = '<span class="efdrce-occlusion-answer"></span>'
+  const MASK_STYLE = '<style class="efdrce-occlusion-style">' +
+    '.efdrce-occlusion-box{line-height:normal;font-size:10px;color:#c62828;overflow:hidden;box-sizing:border-box}' +
+    '.efdrce-occlusion-box .cloze{display:block;width:100%;height:100%;box-sizing:border-box;' +
+    'background:#ffeba2;border:1px solid #212121;color:transparent}' +
+    '.efdrce-occlusion-box .cloze:has(.efdrce-occlusion-answer){background:transparent;border:2px solid #c62828}' +
+    '</style>'
+  const MIN_BOX_SIZE = 8
+
+  // The container being edited: {field, container, selected}
+  let editing = null
+
+  function boxNumber (box) {
+    const match = box.textContent.match(/\{\{c(\d+)::/)
+    return match ? parseInt(match[1], 10) : null
+  }
+
+  function setBoxNumber (box, number) {
+    box.innerHTML = `{{c${number}::${ANSWER_HTML}}}`
+  }
+
+  function highestClozeNumber (field) {
+    const numbers = EFDRCE.clozeTools.getAllClozes(field).map(c => c.number)
+    return Math.max(0, ...numbers)
+  }
+
+  /**
+   * Store the position of a box in percent of its container, so it keeps
+   * covering the same part of the image when the image is resized
+   */
+  function toPercent (box, container) {
+    const width = container.clientWidth
+    const height = container.clientHeight
+    if (!width || !height) return
+    const round = value => Math.round(value * 100) / 100 + '%'
+    box.style.left = round(box.offsetLeft / width * 100)
+    box.style.top = round(box.offsetTop / height * 100)
+    box.style.width = round(box.offsetWidth / width * 100)
+    box.style.height = round(box.offsetHeight / height * 100)
+  }
+
+  function selectBox (box) {
+    if (editing.selected) editing.selected.classList.remove('efdrce-occlusion-selected')
+    editing.selected = box
+    if (box) box.classList.add('efdrce-occlusion-selected')
+  }
+
+  function makeBoxEditable (box) {
+    const container = editing.container
+    $(box).resizable({
+      containment: 'parent',
+      handles: 'n, e, s, w, ne, se, sw, nw',
+      minWidth: MIN_BOX_SIZE,
+      minHeight: MIN_BOX_SIZE,
+      start: () => selectBox(box),
+      stop: () => toPercent(box, container)
+    })
+  }
+
+  function cleanBox (box) {
+    if ($(box).resizable('instance') !== undefined) {
+      $(box).resizable('destroy')
+    }
+    box.classList.remove('efdrce-occlusion-selected')
+  }
+
+  /**
+   * Drag inside the image: on the background to draw a new box, on a box to move it
+   */
+  function onMouseDown (event) {
+    if (event.button !== 0) return
+    if (event.target.classList.contains('ui-resizable-handle')) return
+    event.preventDefault()
+    event.stopPropagation()
+
+    const container = editing.container
+    const bounds = container.getBoundingClientRect()
+    const startX = event.clientX
+    const startY = event.clientY
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max)
+    let box = event.target.closest('.efdrce-occlusion-box')
+    let onMove
+
+    if (box) {
+      selectBox(box)
+      const left = box.offsetLeft
+      const top = box.offsetTop
+      onMove = (e) => {
+        box.style.left = clamp(left + e.clientX - startX, container.clientWidth - box.offsetWidth) + 'px'
+        box.style.top = clamp(top + e.clientY - startY, container.clientHeight - box.offsetHeight) + 'px'
+      }
+    } else {
+      selectBox(null)
+      const x = clamp(startX - bounds.left, container.clientWidth)
+      const y = clamp(startY - bounds.top, container.clientHeight)
+      onMove = (e) => {
+        if (!box) {
+          box = document.createElement('div')
+          box.className = 'efdrce-occlusion-box'
+          box.style.cssText = BOX_STYLE
+          // Alt adds the box to the last cloze, so several boxes are asked together
+          const highest = highestClozeNumber(editing.field)
+          setBoxNumber(box, e.altKey ? Math.max(1, highest) : highest + 1)
+          container.appendChild(box)
+        }
+        const x2 = clamp(e.clientX - bounds.left, container.clientWidth)
+        const y2 = clamp(e.clientY - bounds.top, container.clientHeight)
+        box.style.left = Math.min(x, x2) + 'px'
+        box.style.top = Math.min(y, y2) + 'px'
+        box.style.width = Math.abs(x2 - x) + 'px'
+        box.style.height = Math.abs(y2 - y) + 'px'
+      }
+    }
+
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove, true)
+      document.removeEventListener('mouseup', onUp, true)
+      if (!box || !editing) return
+      if (!box.classList.contains('ui-resizable')) {
+        // A click without dragging doesn't make a box
+        if (box.offsetWidth < MIN_BOX_SIZE || box.offsetHeight < MIN_BOX_SIZE) {
+          box.remove()
+          return
+        }
+        makeBoxEditable(box)
+        selectBox(box)
+      }
+      toPercent(box, container)
+    }
+    document.addEventListener('mousemove', onMove, true)
+    document.addEventListener('mouseup', onUp, true)
+  }
+
+  /**
+   * Delete removes the selected box, + and - change its number,
+   * Escape or Enter finish editing
+   */
+  function onKeyDown (event) {
+    if (!editing) return
+    if (!editing.container.isConnected) {
+      // The field html was replaced, for example by undo
+      editing = null
+      document.removeEventListener('keydown', onKeyDown, true)
+      return
+    }
+    const box = editing.selected
+    if (event.key === 'Escape' || event.key === 'Enter') {
+      endOcclusionEditing(editing.field)
+    } else if (box && (event.key === 'Delete' || event.key === 'Backspace')) {
+      selectBox(null)
+      box.remove()
+    } else if (box && (event.key === '+' || event.key === '=' || event.key === '-')) {
+      const number = boxNumber(box) + (event.key === '-' ? -1 : 1)
+      if (number < 1) return
+      cleanBox(box)
+      setBoxNumber(box, number)
+      makeBoxEditable(box)
+      selectBox(box)
+    } else {
+      return
+    }
+    event.preventDefault()
+    event.stopPropagation()
+  }
+
+  function startOcclusionEditing (field) {
+    const images = [...field.querySelectorAll('img')]
+    let img = EFDRCE.imageAtSelection(field) || (images.length === 1 ? images[0] : null)
+    if (!img) {
+      EFDRCE.clozeTools.showToast('Put the cursor next to an image')
+      return
+    }
+
+    EFDRCE.clozeTools.saveUndoState(field)
+
+    // Resize handles would catch the drags, and cleanResize replaces the image
+    if (field.querySelector('[data-EFDRCEImgId]')) {
+      const idx = images.indexOf(img)
+      EFDRCE.resizeImageMode = false
+      EFDRCE.cleanResize(field)
+      img = field.querySelectorAll('img')[idx]
+    }
+
+    let container = img.parentNode.closest('.efdrce-occlusion')
+    if (!container || !field.contains(container)) {
+      container = document.createElement('div')
+      container.className = 'efdrce-occlusion'
+      container.style.cssText = CONTAINER_STYLE
+      img.parentNode.insertBefore(container, img)
+      container.appendChild(img)
+    }
+    // Replaced, so containers saved with an older style get the current one
+    const style = container.querySelector('.efdrce-occlusion-style')
+    if (style) style.remove()
+    container.insertAdjacentHTML('afterbegin', MASK_STYLE)
+
+    editing = { field, container, selected: null }
+    container.classList.add('efdrce-occlusion-editing')
+    container.setAttribute('contenteditable', 'false')
+    container.addEventListener('mousedown', onMouseDown)
+    container.querySelectorAll('.efdrce-occlusion-box').forEach(makeBoxEditable)
+    document.addEventListener('keydown', onKeyDown, true)
+  }
+
+  /**
+   * Turn the container being edited back into plain field html
+   */
+  function endOcclusionEditing (field) {
+    if (!editing || (field && editing.field !== field)) return
+    const { container } = editing
+    editing = null
+    document.removeEventListener('keydown', onKeyDown, true)
+    container.removeEventListener('mousedown', onMouseDown)
+    if (!container.isConnected) return
+
+    container.querySelectorAll('.efdrce-occlusion-box').forEach(cleanBox)
+    container.classList.remove('efdrce-occlusion-editing')
+    container.removeAttribute('contenteditable')
+
+    // An image without boxes doesn't need its container
+    if (!container.querySelector('.efdrce-occlusion-box')) {
+      const style = container.querySelector('.efdrce-occlusion-style')
+      if (style) style.remove()
+      while (container.firstChild) container.parentNode.insertBefore(container.firstChild, container)
+      container.remove()
+    }
+  }
+
+  function toggleImageOcclusion (event, field) {
+    if (editing) {
+      endOcclusionEditing(editing.field)
+    } else {
+      startOcclusionEditing(field)
+    }
+  }
+
+  // Boxes are cleaned with the resize handles, before the field is saved
+  const originalCleanResize = EFDRCE.cleanResize
+  EFDRCE.cleanResize = function (field) {
+    endOcclusionEditing(field)
+    originalCleanResize(field)
+  }
+
+  EFDRCE.toggleImageOcclusion = function () {
+    const field = document.activeElement
+    if (field && field.hasAttribute('data-EFDRCEfield')) {
+      toggleImageOcclusion(null, field)
+    }
+  }
+
+  EFDRCE.setupOcclusion = function () {
+    const shortcut = EFDRCE.CONF.cloze_tools?.shortcuts?.image_occlusion
+    if (shortcut) {
+      EFDRCE.registerShortcut(shortcut, toggleImageOcclusion, 'cloze_tools.shortcuts.image_occlusion')
+    }
+  }
+})()
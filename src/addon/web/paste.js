@@ -0,0 +1,255 @@
+/* global EFDRCE */
+
+/**
+ * Paste tools for EFDRCE
+ * Paste as plain text, a preview of what the paste rules in the config do
+ * to the clipboard, and smart paste, which clozes each item of a pasted list
+ * or the cells of a table column. The rules themselves are applied by
+ * EFDRCE.filterPaste in editor.js, which pasting uses too.
+ */
+(function () {
+  let preview = null
+  let previewKeyHandler = null
+
+  function hidePastePreview () {
+    if (previewKeyHandler) {
+      document.removeEventListener('keydown', previewKeyHandler, true)
+      previewKeyHandler = null
+    }
+    if (preview) {
+      preview.remove()
+      preview = null
+    }
+  }
+
+  /**
+   * Only filtered html is rendered, clipboard html can have event handlers
+   */
+  function renderColumn (title, html, rendered) {
+    return `
+      <div style="flex: 1; min-width: 0; display: flex; flex-direction: column; gap: 8px;">
+        <div style="font-size: 12px; color: #888;">${title}</div>
+        ${rendered ? `<div style="background: #fff; color: #000; padding: 8px; border-radius: 4px; overflow: auto; max-height: 30vh;">${html}</div>` : ''}
+        <pre style="margin: 0; padding: 8px; background: #1e1e1e; border-radius: 4px; overflow: auto; max-height: 25vh; white-space: pre-wrap; word-break: break-all; font-size: 12px;">${EFDRCE.escapeHtml(html)}</pre>
+      </div>
+    `
+  }
+
+  /**
+   * Called from reviewer.py with the clipboard html
+   * @param {string} html - Clipboard html, before the paste rules
+   * @param {boolean} internal - Whether it was copied from Anki
+   */
+  EFDRCE.showPastePreview = function (html, internal) {
+    hidePastePreview()
+    const field = EFDRCE.editingField()
+    const filtered = EFDRCE.filterPaste(html, internal)
+    const errors = EFDRCE.pasteRuleErrors()
+
+    preview = EFDRCE.addPanel('efdrce-paste-preview', `
+      top: 10%;
+      left: 50%;
+      transform: translateX(-50%);
+      width: 900px;
+      max-height: 80%;
+      overflow-y: auto;
+      padding: 16px;
+      font-size: 14px;
+    `)
+    preview.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+        <div style="font-size: 13px; font-weight: 500; color: #fff;">Paste Preview</div>
+        <div style="font-size: 11px; color: #666;">${field ? 'Enter to paste · ' : ''}Esc to close</div>
+      </div>
+      ${errors.map(error => `<div style="color: #f88; font-size: 12px; margin-bottom: 8px;">Invalid replacement pattern ${EFDRCE.escapeHtml(error)}</div>`).join('')}
+      <div style="display: flex; gap: 12px;">
+        ${renderColumn('Clipboard', html, false)}
+        ${renderColumn('After paste rules', filtered, true)}
+      </div>
+    `
+
+    previewKeyHandler = (e) => {
+      if (e.key === 'Escape') {
+        hidePastePreview()
+      } else if (e.key === 'Enter' && field && EFDRCE.editingField() === field) {
+        hidePastePreview()
+        EFDRCE.pasteHTML(html, internal)
+      } else {
+        return
+      }
+      e.preventDefault()
+      e.stopPropagation()
+    }
+    document.addEventListener('keydown', previewKeyHandler, true)
+  }
+
+  // ============ SMART PASTE ============
+
+  // Smart paste waiting for a mode: {field, template, options}
+  let smartPaste = null
+
+  function hasContent (node) {
+    return node.textContent.trim() !== '' || (node.querySelector && node.querySelector('img'))
+  }
+
+  /**
+   * Wrap the content of a list item or cell in a cloze, leaving out nested lists
+   */
+  function clozeContent (elem, number) {
+    const nodes = []
+    for (const child of elem.childNodes) {
+      if (child.nodeName === 'UL' || child.nodeName === 'OL') break
+      nodes.push(child)
+    }
+    if (nodes.length === 0 || !nodes.some(hasContent)) return false
+
+    const container = document.createElement('div')
+    nodes.forEach(node => container.appendChild(node))
+    const match = container.innerHTML.match(/^(\s*)([^]*?)(\s*)$/)
+    const template = document.createElement('template')
+    template.innerHTML = `${match[1]}{{c${number}::${match[2]}}}${match[3]}`
+    elem.insertBefore(template.content, elem.firstChild)
+    return true
+  }
+
+  /**
+   * Rows of a table without its header, and the header cells to name the columns
+   */
+  function tableRows (table) {
+    const rows = [...table.rows]
+    const isHeader = row => row.parentNode.nodeName === 'THEAD' ||
+      [...row.cells].every(cell => cell.nodeName === 'TH')
+    const header = rows.length > 1 && isHeader(rows[0]) ? rows[0] : null
+    return { header, rows: rows.filter(row => !isHeader(row)) }
+  }
+
+  /**
+   * What can be clozed in the pasted html: its list items, or a column of its first table
+   * @returns {Array} - [{label, items}]
+   */
+  function smartPasteOptions (content) {
+    const options = []
+    const items = [...content.querySelectorAll('li')]
+    if (items.length > 0) {
+      options.push({ label: `Each list item (${items.length})`, items })
+    }
+    const table = content.querySelector('table')
+    if (table) {
+      const { header, rows } = tableRows(table)
+      const columns = Math.max(0, ...rows.map(row => row.cells.length))
+      for (let col = 0; col < columns && options.length < 9; col++) {
+        const name = header && header.cells[col] ? header.cells[col].textContent.trim() : ''
+        options.push({
+          label: `Column ${col + 1}${name ? ` "${EFDRCE.escapeHtml(name)}"` : ''}`,
+          items: rows.map(row => row.cells[col]).filter(Boolean)
+        })
+      }
+    }
+    return options
+  }
+
+  function hideSmartPaste () {
+    hidePastePreview()
+    smartPaste = null
+  }
+
+  /**
+   * Cloze the items of an option from the next number free in the note,
+   * each with its own number or all with one, and paste the result
+   */
+  function applySmartPaste (index, shared) {
+    const { field, template, options } = smartPaste
+    const option = options[index]
+    hideSmartPaste()
+    if (!option) return
+
+    EFDRCE.clozeTools.fetchNextNoteNumber(field, (start) => {
+      let number = start
+      for (const item of option.items) {
+        if (clozeContent(item, number) && !shared) number++
+      }
+      EFDRCE.clozeTools.saveUndoState(field)
+      const html = EFDRCE.clozeTools.mathSafeClozes(template.innerHTML.trim())
+      document.execCommand('insertHTML', false, html)
+    })
+  }
+
+  function showSmartPaste (field, html, internal) {
+    const template = document.createElement('template')
+    // Lists and tables need the extended filter
+    template.innerHTML = EFDRCE.filterPaste(html, internal, true)
+    const options = smartPasteOptions(template.content)
+    if (options.length === 0) {
+      EFDRCE.clozeTools.showToast('No list or table in the clipboard')
+      return
+    }
+
+    hidePastePreview()
+    smartPaste = { field, template, options }
+    preview = EFDRCE.addPanel('efdrce-smart-paste', `
+      top: 20%;
+      left: 50%;
+      transform: translateX(-50%);
+      width: 420px;
+      padding: 16px;
+      font-size: 14px;
+    `)
+    preview.innerHTML = `
+      <div style="font-size: 13px; font-weight: 500; color: #fff; margin-bottom: 12px;">Smart Paste as Clozes</div>
+      ${options.map((option, idx) => `
+        <div class="efdrce-smart-paste-option" data-index="${idx}" style="padding: 6px 8px; border-radius: 4px; cursor: pointer;">
+          <span style="color: #66b3da; margin-right: 8px;">${idx + 1}</span>${option.label}
+        </div>
+      `).join('')}
+      <div style="font-size: 11px; color: #666; margin-top: 12px;">
+        Each item gets its own cloze number · hold Shift for one number · Enter to paste without clozes · Esc to cancel
+      </div>
+    `
+    preview.addEventListener('click', (e) => {
+      const option = e.target.closest('.efdrce-smart-paste-option')
+      if (option) applySmartPaste(parseInt(option.getAttribute('data-index'), 10), e.shiftKey)
+    })
+
+    previewKeyHandler = (e) => {
+      const digit = e.code.match(/^(?:Digit|Numpad)([1-9])$/)
+      if (e.key === 'Escape') {
+        hideSmartPaste()
+      } else if (e.key === 'Enter') {
+        hideSmartPaste()
+        EFDRCE.pasteHTML(html, internal)
+      } else if (digit) {
+        applySmartPaste(parseInt(digit[1], 10) - 1, e.shiftKey)
+      } else {
+        return
+      }
+      e.preventDefault()
+      e.stopPropagation()
+    }
+    document.addEventListener('keydown', previewKeyHandler, true)
+  }
+
+  EFDRCE.smartPaste = function () {
+    const field = EFDRCE.editingField()
+    if (!field) return
+    window.pycmd('EFDRCE!clipboard', ({ html, internal }) => showSmartPaste(field, html, internal))
+  }
+
+  EFDRCE.pastePlainText = function () {
+    window.pycmd('EFDRCE!pasteplain')
+  }
+
+  EFDRCE.previewPaste = function () {
+    window.pycmd('EFDRCE!pastepreview')
+  }
+
+  EFDRCE.setupPaste = function () {
+    const shortcut = EFDRCE.CONF.shortcuts['paste-plain']
+    if (shortcut) {
+      EFDRCE.registerShortcut(shortcut, () => EFDRCE.pastePlainText(), 'shortcuts.paste-plain')
+    }
+    const smartShortcut = EFDRCE.CONF.cloze_tools?.shortcuts?.smart_paste
+    if (smartShortcut) {
+      EFDRCE.registerShortcut(smartShortcut, () => EFDRCE.smartPaste(), 'cloze_tools.shortcuts.smart_paste')
+    }
+  }
+})()
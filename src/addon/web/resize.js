@@ -1,4 +1,4 @@
-/* global $, EFDRCE */
+/* global $, EFDRCE, Node */
 
 (function () {
   EFDRCE.priorImgs = []
@@ -9,28 +9,105 @@
     img.setAttribute('data-EFDRCEImgId', id)
   }
 
+  // Image edits kept when the resizable image is swapped back for the original.
+  // See image-toolbar.js for crop, rotation and flip.
+  const IMAGE_EDIT_STYLES = ['width', 'height', 'transform', 'object-view-box', 'clip-path']
+
   const restorePriorImg = function (img) {
     /*
-        only save changes to width and height
+        only save changes to size, crop, rotation, flip and alt text.
         resizable img is guranteed to have the data-EFDRCEImgId attribute.
         if img was added during review, resizable isn't applied to it.
         */
-    const width = img.style.width
-    const height = img.style.height
-
-    // apply stored style
     const id = img.getAttribute('data-EFDRCEImgId')
     const priorImg = EFDRCE.priorImgs[id]
-    priorImg.style.width = width
-    priorImg.style.height = height
+    const wasTransformed = Boolean(priorImg.style.transform)
+    for (const prop of IMAGE_EDIT_STYLES) {
+      priorImg.style.setProperty(prop, img.style.getPropertyValue(prop))
+    }
+    if (img.hasAttribute('alt')) {
+      priorImg.setAttribute('alt', img.getAttribute('alt'))
+    } else {
+      priorImg.removeAttribute('alt')
+    }
+    if (wasTransformed || img.style.transform) {
+      // resizable moves the margins of the img to its wrapper
+      EFDRCE.fitRotatedImage(priorImg, img.offsetWidth, img.offsetHeight)
+    }
+    if (!priorImg.getAttribute('style')) {
+      priorImg.removeAttribute('style')
+    }
 
     img.parentNode.replaceChild(priorImg, img)
   }
 
+  /**
+   * Rotation of an image by its transform style, in degrees from 0 to 270
+   */
+  EFDRCE.imageRotation = function (img) {
+    const match = img.style.transform.match(/rotate\((-?\d+)deg\)/)
+    return match ? ((parseInt(match[1], 10) % 360) + 360) % 360 : 0
+  }
+
+  /**
+   * Whether an image has margins that fitRotatedImage didn't set. Those are
+   * "Npx -Npx", the same on top and bottom and the opposite on the sides.
+   */
+  const hasOwnMargins = function (img) {
+    const sides = ['top', 'right', 'bottom', 'left'].map(side => img.style.getPropertyValue(`margin-${side}`))
+    if (sides.every(value => !value)) return false
+    const [top, right, bottom, left] = sides.map(parseFloat)
+    const fitted = sides.every(value => /^-?\d+px$/.test(value)) && top === bottom && right === left && top === -right
+    return !fitted
+  }
+
+  /**
+   * A transform doesn't change layout, so an image turned on its side gets
+   * margins that make room for its rotated size. Margins of the user are
+   * left alone.
+   */
+  EFDRCE.fitRotatedImage = function (img, width, height) {
+    if (hasOwnMargins(img)) return
+    const rotation = EFDRCE.imageRotation(img)
+    if ((rotation === 90 || rotation === 270) && width && height) {
+      const diff = Math.round((width - height) / 2)
+      img.style.margin = `${diff}px ${-diff}px`
+    } else {
+      img.style.margin = ''
+    }
+  }
+
+  /**
+   * Find the image that is selected or right next to the cursor in a field
+   */
+  EFDRCE.imageAtSelection = function (field) {
+    const selection = window.getSelection()
+    if (!selection || selection.rangeCount === 0) return null
+    const images = [...field.querySelectorAll('img')]
+    const range = selection.getRangeAt(0)
+    const found = images.find(img => selection.containsNode(img, true))
+    if (found) return found
+
+    const container = range.startContainer
+    if (!field.contains(container) || container.nodeType !== Node.ELEMENT_NODE) return null
+    const around = [container.childNodes[range.startOffset - 1], container.childNodes[range.startOffset]]
+    for (const node of around) {
+      if (!node || node.nodeType !== Node.ELEMENT_NODE) continue
+      const img = node.tagName === 'IMG' ? node : node.querySelector('img')
+      if (img) return img
+    }
+    return null
+  }
+
+  // Images are resized in the field being edited
+  const preserveRatioMode = function () {
+    return EFDRCE.fieldConf(document.activeElement, 'resize_image_preserve_ratio')
+  }
+
   const ratioShouldBePreserved = function (event) {
-    if (EFDRCE.CONF.resize_image_preserve_ratio === 1 && event.originalEvent.target.classList.contains('ui-resizable-se')) {
+    if (preserveRatioMode() === 1 && event.originalEvent.target.classList.contains('ui-resizable-se')) {
       return true
-    } else if (EFDRCE.CONF.resize_image_preserve_ratio === 2) {
+    } else if (preserveRatioMode() === 2) {
       return true
     } else {
       return false
@@ -41,7 +118,7 @@
     if (!img.naturalHeight) { return }
     const originalRatio = img.naturalWidth / img.naturalHeight
     const currentRatio = $img.width() / $img.height()
-    if (Math.abs(originalRatio - currentRatio) < 0.01 || EFDRCE.CONF.resize_image_preserve_ratio === 2) {
+    if (Math.abs(originalRatio - currentRatio) < 0.01 || preserveRatioMode() === 2) {
       $img.css('height', '')
       if (ui) {
         ui.element.css('height', $img.height())
@@ -69,7 +146,7 @@
 
     const $img = $(img)
     if ($img.resizable('instance') === undefined) { // just in case?
-      const aspRatio = (EFDRCE.CONF.resize_image_preserve_ratio === 2)
+      const aspRatio = (preserveRatioMode() === 2)
       const computedStyle = window.getComputedStyle(img)
 
       $img.resizable({
@@ -134,7 +211,7 @@
   EFDRCE.maybeResizeOrClean = function (focus) {
     if (focus) {
       // Called from __init__.py on field focus. Else undefined.
-      EFDRCE.resizeImageMode = EFDRCE.CONF.resize_image_default_state
+      EFDRCE.resizeImageMode = EFDRCE.fieldConf(document.activeElement, 'resize_image_default_state')
     }
     if (EFDRCE.resizeImageMode) {
       $(document.activeElement).find('img').each(EFDRCE.resizeImage)
@@ -0,0 +1,626 @@
+/* global EFDRCE, CSS, Highlight, Node */
+
+/**
+ * Offline Spell Check for EFDRCE
+ * Checks the field being edited against a Hunspell dictionary (.aff and .dic),
+ * skipping cloze markup, html and MathJax. Right-click a marked word for suggestions.
+ */
+(function () {
+  // ============ HUNSPELL DICTIONARY ============
+
+  function parseFlags (str, flagType) {
+    if (!str) return []
+    if (flagType === 'long') return str.match(/../g) || []
+    if (flagType === 'num') return str.split(',')
+    return [...str]
+  }
+
+  /**
+   * Parse the parts of an .aff file used for checking and suggesting.
+   * Compounding and morphology are not supported.
+   */
+  function parseAff (text) {
+    const aff = {
+      flagType: 'short',
+      tryChars: '',
+      rep: [],
+      iconv: [],
+      prefixes: [],
+      suffixes: [],
+      flags: {}
+    }
+    const lines = text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+
+    for (let i = 0; i < lines.length; i++) {
+      const parts = lines[i].split(/\s+/)
+      switch (parts[0]) {
+        case 'FLAG':
+          aff.flagType = parts[1] === 'UTF-8' ? 'short' : parts[1]
+          break
+        case 'TRY':
+          aff.tryChars = parts[1] || ''
+          break
+        case 'NOSUGGEST':
+        case 'FORBIDDENWORD':
+        case 'ONLYINCOMPOUND':
+        case 'NEEDAFFIX':
+          aff.flags[parts[0]] = parts[1]
+          break
+        case 'REP':
+        case 'ICONV': {
+          // A count line, followed by that many pairs
+          const count = parseInt(parts[1], 10)
+          const list = parts[0] === 'REP' ? aff.rep : aff.iconv
+          for (let j = 0; j < count && i + 1 < lines.length; j++) {
+            const pair = lines[++i].split(/\s+/)
+            list.push([pair[1], (pair[2] || '').replace(/_/g, ' ')])
+          }
+          break
+        }
+        case 'PFX':
+        case 'SFX': {
+          // Header: SFX flag cross_product count
+          const [type, flag, cross, countStr] = parts
+          const count = parseInt(countStr, 10)
+          const list = type === 'PFX' ? aff.prefixes : aff.suffixes
+          for (let j = 0; j < count && i + 1 < lines.length; j++) {
+            // Rule: SFX flag strip add[/flags] condition
+            const rule = lines[++i].split(/\s+/)
+            const strip = rule[2] === '0' ? '' : rule[2]
+            const add = rule[3].split('/')[0]
+            const condition = rule[4] && rule[4] !== '.' ? rule[4] : null
+            list.push({
+              flag,
+              cross: cross === 'Y',
+              strip,
+              add: add === '0' ? '' : add,
+              condition: condition
+                ? new RegExp(type === 'PFX' ? '^' + condition : condition + '$')
+                : null
+            })
+          }
+          break
+        }
+      }
+    }
+    return aff
+  }
+
+  /**
+   * Build a dictionary from the text of an .aff and a .dic file
+   * @returns {Object} - {check(word), suggest(word), addWord(word)}
+   */
+  function createDictionary (affText, dicText) {
+    const aff = parseAff(affText)
+    const words = new Map()
+
+    const lines = dicText.split(/\r?\n/)
+    // The first line is the word count
+    for (let i = 1; i < lines.length; i++) {
+      const match = lines[i].match(/^((?:\\\/|[^/\s])+)(?:\/(\S+))?/)
+      if (!match) continue
+      const word = match[1].replace(/\\\//g, '/')
+      const flags = parseFlags(match[2], aff.flagType)
+      words.set(word, (words.get(word) || []).concat(flags))
+    }
+
+    const { FORBIDDENWORD, ONLYINCOMPOUND, NEEDAFFIX, NOSUGGEST } = aff.flags
+
+    /**
+     * Flags of a dictionary word that may stand on its own or take affixes
+     */
+    function rootFlags (word) {
+      const flags = words.get(word)
+      if (!flags) return null
+      if (flags.includes(FORBIDDENWORD) || flags.includes(ONLYINCOMPOUND)) return null
+      return flags
+    }
+
+    function stripSuffix (word, rule) {
+      if (!word.endsWith(rule.add) || word.length <= rule.add.length) return null
+      const base = word.substring(0, word.length - rule.add.length) + rule.strip
+      return !rule.condition || rule.condition.test(base) ? base : null
+    }
+
+    function stripPrefix (word, rule) {
+      if (!word.startsWith(rule.add) || word.length <= rule.add.length) return null
+      const base = rule.strip + word.substring(rule.add.length)
+      return !rule.condition || rule.condition.test(base) ? base : null
+    }
+
+    /**
+     * Find the dictionary root of a word, as written
+     * @returns {Array|null} - Flags of the root
+     */
+    function findRoot (word) {
+      const flags = rootFlags(word)
+      if (flags && !flags.includes(NEEDAFFIX)) return flags
+
+      for (const sfx of aff.suffixes) {
+        const base = stripSuffix(word, sfx)
+        const baseFlags = base && rootFlags(base)
+        if (baseFlags && baseFlags.includes(sfx.flag)) return baseFlags
+      }
+
+      for (const pfx of aff.prefixes) {
+        const base = stripPrefix(word, pfx)
+        if (!base) continue
+        const baseFlags = rootFlags(base)
+        if (baseFlags && baseFlags.includes(pfx.flag)) return baseFlags
+        if (!pfx.cross) continue
+        for (const sfx of aff.suffixes) {
+          if (!sfx.cross) continue
+          const root = stripSuffix(base, sfx)
+          const rootFlagList = root && rootFlags(root)
+          if (rootFlagList && rootFlagList.includes(pfx.flag) && rootFlagList.includes(sfx.flag)) {
+            return rootFlagList
+          }
+        }
+      }
+      return null
+    }
+
+    function convert (word) {
+      for (const [from, to] of aff.iconv) {
+        word = word.split(from).join(to)
+      }
+      return word
+    }
+
+    function capitalize (word) {
+      return word.charAt(0).toUpperCase() + word.substring(1)
+    }
+
+    /**
+     * Find the root of a word, also trying the lower case forms of
+     * capitalized and upper case words
+     */
+    function lookup (word) {
+      word = convert(word)
+      const variants = [word]
+      const lower = word.toLowerCase()
+      if (word !== lower) {
+        variants.push(lower)
+        if (word === word.toUpperCase()) variants.push(capitalize(lower))
+      }
+      for (const variant of variants) {
+        const flags = findRoot(variant)
+        if (flags) return flags
+      }
+      return null
+    }
+
+    function check (word) {
+      return lookup(word) !== null
+    }
+
+    /**
+     * Dictionary spelling of a suggestion part. Lower case words only
+     * become capitalized if that is the only spelling.
+     * @returns {Object|null} - {spelling, recased}
+     */
+    function suggestable (part, keepCase) {
+      const variants = keepCase ? [part, part.toLowerCase()] : [part, capitalize(part)]
+      for (const variant of variants) {
+        const flags = findRoot(convert(variant))
+        if (flags && !flags.includes(NOSUGGEST)) {
+          return keepCase ? { spelling: part, recased: false } : { spelling: variant, recased: variant !== part }
+        }
+      }
+      return null
+    }
+
+    /**
+     * Suggest dictionary words for a misspelled word: replacement table
+     * entries first, then words one edit away
+     * @param {number} limit - Maximum number of suggestions
+     */
+    function suggest (word, limit = 8) {
+      // [candidate, rank], lower ranks are shown first
+      const candidates = new Map()
+      const add = (candidate, rank) => {
+        if (candidate !== word && !candidates.has(candidate)) candidates.set(candidate, rank)
+      }
+
+      for (const [from, to] of aff.rep) {
+        let idx = word.indexOf(from)
+        while (idx !== -1) {
+          add(word.substring(0, idx) + to + word.substring(idx + from.length), 0)
+          idx = word.indexOf(from, idx + 1)
+        }
+      }
+      add(capitalize(word), 0)
+
+      // Edits that change the first letter are less likely
+      const editRank = (i) => i === 0 ? 2 : 1
+      const chars = [...new Set((aff.tryChars || 'abcdefghijklmnopqrstuvwxyz').toLowerCase())]
+      for (let i = 0; i < word.length - 1; i++) {
+        add(word.substring(0, i) + word[i + 1] + word[i] + word.substring(i + 2), editRank(i))
+      }
+      for (let i = 0; i < word.length; i++) {
+        add(word.substring(0, i) + word.substring(i + 1), editRank(i))
+      }
+      for (let i = 0; i < word.length; i++) {
+        for (const ch of chars) {
+          add(word.substring(0, i) + ch + word.substring(i + 1), editRank(i))
+        }
+      }
+      for (let i = 0; i <= word.length; i++) {
+        for (const ch of chars) {
+          // A missing apostrophe is usually a contraction, like dont
+          add(word.substring(0, i) + ch + word.substring(i), ch === "'" ? 0 : editRank(i))
+        }
+      }
+      for (let i = 1; i < word.length; i++) {
+        add(word.substring(0, i) + ' ' + word.substring(i), 3)
+      }
+
+      const isCapitalized = word.charAt(0) !== word.charAt(0).toLowerCase()
+      const found = []
+      for (const [candidate, rank] of candidates) {
+        const parts = candidate.split(' ').map(part => part && suggestable(part, isCapitalized))
+        if (!parts.every(Boolean)) continue
+        // Proper nouns are suggested for lower case words, but after common words
+        const recased = parts.some(part => part.recased)
+        if (recased && parts.length > 1) continue
+        const spelling = parts.map(part => part.spelling).join(' ')
+        const suggestion = isCapitalized ? capitalize(spelling) : spelling
+        if (!found.some(f => f.suggestion === suggestion)) {
+          found.push({ suggestion, rank: recased ? rank + 0.5 : rank })
+        }
+      }
+      // Sort is stable, so edits keep their order within a rank
+      return found.sort((a, b) => a.rank - b.rank).slice(0, limit).map(f => f.suggestion)
+    }
+
+    function addWord (word) {
+      words.set(word, [])
+    }
+
+    return { check, suggest, addWord }
+  }
+
+  // ============ FIELD CHECKING ============
+
+  // Cloze markup and MathJax are never checked
+  const SKIP_REGEX = /\{\{c\d+::|::|\}\}|\\\([^]*?\\\)|\\\[[^]*?\\\]/g
+  const WORD_REGEX = /[\p{L}\p{M}]+(?:['’][\p{L}\p{M}]+)*/gu
+  const SKIP_ELEMENTS = new Set(['ANKI-MATHJAX', 'SCRIPT', 'STYLE'])
+  const BLOCK_ELEMENTS = new Set(['BR', 'DIV', 'P', 'LI', 'TR', 'TD', 'TH', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE'])
+  const HIGHLIGHT_NAME = 'efdrce-spelling'
+  const CHECK_DELAY = 300
+
+  let spellcheckEnabled = false
+  let dictionaryUrls = null
+  let dictionary = null
+  let dictionaryLoading = null
+  let personalWords = []
+  const ignoredWords = new Set()
+
+  // Misspelled words of the checked field: [{word, range}]
+  let misspellings = []
+  let checkedField = null
+  let checkTimeout = null
+  let underlineLayer = null
+  let suggestionMenu = null
+
+  function fetchText (url) {
+    return window.fetch(url).then(r => {
+      if (!r.ok) throw new Error(`${url}: ${r.status} ${r.statusText}`)
+      return r.text()
+    })
+  }
+
+  /**
+   * @returns {Promise} - The dictionary, or null if it couldn't be loaded.
+   *   A failed load is tried again the next time.
+   */
+  function loadDictionary () {
+    if (dictionary) return Promise.resolve(dictionary)
+    if (!dictionaryLoading) {
+      dictionaryLoading = Promise.all([
+        fetchText(dictionaryUrls.aff),
+        fetchText(dictionaryUrls.dic)
+      ]).then(([affText, dicText]) => {
+        dictionary = createDictionary(affText, dicText)
+        personalWords.forEach(word => dictionary.addWord(word))
+        return dictionary
+      }).catch((err) => {
+        dictionaryLoading = null
+        EFDRCE.clozeTools.showToast(`Spell check dictionary could not be loaded (${err.message})`)
+        return null
+      })
+    }
+    return dictionaryLoading
+  }
+
+  /**
+   * Text of a field with the text node each part comes from. Block
+   * elements add a line break that belongs to no node.
+   */
+  function collectText (elem) {
+    let text = ''
+    const segments = []
+    function walk (node) {
+      for (const child of node.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          segments.push({ node: child, start: text.length })
+          text += child.nodeValue
+        } else if (child.nodeType === Node.ELEMENT_NODE && !SKIP_ELEMENTS.has(child.tagName)) {
+          const block = BLOCK_ELEMENTS.has(child.tagName)
+          if (block) text += '\n'
+          walk(child)
+          if (block) text += '\n'
+        }
+      }
+    }
+    walk(elem)
+    return { text, segments }
+  }
+
+  function domPosition (segments, offset, isEnd) {
+    for (const seg of segments) {
+      const end = seg.start + seg.node.nodeValue.length
+      if (offset > seg.start && offset < end) return { node: seg.node, offset: offset - seg.start }
+      if (!isEnd && offset === seg.start) return { node: seg.node, offset: 0 }
+      if (isEnd && offset === end) return { node: seg.node, offset: end - seg.start }
+    }
+    return null
+  }
+
+  function isSkippedWord (word, text, start, end) {
+    if (word.length < 2) return true
+    // Acronyms and words glued to numbers, like ATP or H2O
+    if (word === word.toUpperCase()) return true
+    if (/[\d_]/.test(text.charAt(start - 1)) || /[\d_]/.test(text.charAt(end))) return true
+    return ignoredWords.has(word)
+  }
+
+  function checkField (elem) {
+    if (!dictionary || !elem.isConnected) return
+    const { text, segments } = collectText(elem)
+    const masked = text.replace(SKIP_REGEX, m => ' '.repeat(m.length))
+
+    misspellings = []
+    checkedField = elem
+    for (const match of masked.matchAll(WORD_REGEX)) {
+      const word = match[0]
+      const start = match.index
+      const end = start + word.length
+      if (isSkippedWord(word, text, start, end) || dictionary.check(word)) continue
+
+      const from = domPosition(segments, start, false)
+      const to = domPosition(segments, end, true)
+      if (!from || !to) continue
+      const range = document.createRange()
+      range.setStart(from.node, from.offset)
+      range.setEnd(to.node, to.offset)
+      misspellings.push({ word, range })
+    }
+    showUnderlines()
+  }
+
+  function scheduleCheck (elem) {
+    clearTimeout(checkTimeout)
+    checkTimeout = setTimeout(() => checkField(elem), CHECK_DELAY)
+  }
+
+  /**
+   * Mark misspelled words with the CSS Custom Highlight API, or with
+   * positioned underlines where it is not supported
+   */
+  function showUnderlines () {
+    if (window.CSS && CSS.highlights) {
+      CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(...misspellings.map(m => m.range)))
+      return
+    }
+
+    if (!underlineLayer) {
+      underlineLayer = document.createElement('div')
+      underlineLayer.id = 'efdrce-spelling-layer'
+      underlineLayer.style.cssText = 'position: absolute; top: 0; left: 0; pointer-events: none; z-index: 99990;'
+      document.body.appendChild(underlineLayer)
+    }
+    underlineLayer.innerHTML = ''
+    for (const { range } of misspellings) {
+      for (const rect of range.getClientRects()) {
+        const line = document.createElement('div')
+        line.style.cssText = `
+          position: absolute;
+          left: ${rect.left + window.scrollX}px;
+          top: ${rect.bottom + window.scrollY - 2}px;
+          width: ${rect.width}px;
+          border-bottom: 2px dotted #e53935;
+        `
+        underlineLayer.appendChild(line)
+      }
+    }
+  }
+
+  function clearUnderlines () {
+    clearTimeout(checkTimeout)
+    misspellings = []
+    checkedField = null
+    if (window.CSS && CSS.highlights) {
+      CSS.highlights.delete(HIGHLIGHT_NAME)
+    }
+    if (underlineLayer) {
+      underlineLayer.remove()
+      underlineLayer = null
+    }
+  }
+
+  // ============ SUGGESTION MENU ============
+
+  function hideSuggestionMenu () {
+    if (suggestionMenu) {
+      suggestionMenu.remove()
+      suggestionMenu = null
+    }
+  }
+
+  function misspellingAtPoint (x, y) {
+    return misspellings.find(({ range }) => {
+      return [...range.getClientRects()].some(rect => {
+        return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+      })
+    })
+  }
+
+  /**
+   * Replace a misspelled word, keeping everything around it
+   */
+  function replaceWord (elem, misspelling, replacement) {
+    if (EFDRCE.clozeTools) {
+      EFDRCE.clozeTools.saveUndoState(elem)
+    }
+    const selection = window.getSelection()
+    selection.removeAllRanges()
+    selection.addRange(misspelling.range)
+    document.execCommand('insertText', false, replacement)
+    checkField(elem)
+  }
+
+  function showSuggestionMenu (elem, misspelling, x, y) {
+    hideSuggestionMenu()
+
+    const suggestions = dictionary.suggest(misspelling.word)
+    suggestionMenu = EFDRCE.addPanel('efdrce-spelling-menu', `
+      left: ${x}px;
+      top: ${y}px;
+      border-radius: 6px;
+      padding: 4px 0;
+      min-width: 160px;
+    `)
+    const item = (label, action, muted) => {
+      const div = document.createElement('div')
+      div.textContent = label
+      div.style.cssText = `padding: 6px 14px; cursor: pointer; color: ${muted ? '#999' : '#fff'};`
+      div.addEventListener('mouseenter', () => { div.style.background = '#3a3a3a' })
+      div.addEventListener('mouseleave', () => { div.style.background = '' })
+      div.addEventListener('click', () => {
+        hideSuggestionMenu()
+        action()
+      })
+      suggestionMenu.appendChild(div)
+    }
+
+    if (suggestions.length === 0) {
+      const none = document.createElement('div')
+      none.textContent = 'No suggestions'
+      none.style.cssText = 'padding: 6px 14px; color: #666; font-style: italic;'
+      suggestionMenu.appendChild(none)
+    }
+    for (const suggestion of suggestions) {
+      item(suggestion, () => replaceWord(elem, misspelling, suggestion))
+    }
+    const separator = document.createElement('div')
+    separator.style.cssText = 'border-top: 1px solid #3a3a3a; margin: 4px 0;'
+    suggestionMenu.appendChild(separator)
+    item('Add to dictionary', () => {
+      dictionary.addWord(misspelling.word)
+      window.pycmd('EFDRCE!addword#' + misspelling.word)
+      checkField(elem)
+    }, true)
+    item('Ignore', () => {
+      ignoredWords.add(misspelling.word)
+      checkField(elem)
+    }, true)
+
+    // Keep the menu on screen
+    const rect = suggestionMenu.getBoundingClientRect()
+    if (rect.right > window.innerWidth) suggestionMenu.style.left = Math.max(0, x - rect.width) + 'px'
+    if (rect.bottom > window.innerHeight) suggestionMenu.style.top = Math.max(0, y - rect.height) + 'px'
+  }
+
+  document.addEventListener('contextmenu', (e) => {
+    if (!spellcheckEnabled || !checkedField || !checkedField.contains(e.target)) return
+    const misspelling = misspellingAtPoint(e.clientX, e.clientY)
+    if (!misspelling) return
+    e.preventDefault()
+    showSuggestionMenu(checkedField, misspelling, e.clientX, e.clientY)
+  }, true)
+
+  document.addEventListener('mousedown', (e) => {
+    if (suggestionMenu && !suggestionMenu.contains(e.target)) hideSuggestionMenu()
+  }, true)
+
+  document.addEventListener('keydown', (e) => {
+    if (suggestionMenu && e.key === 'Escape') {
+      e.preventDefault()
+      e.stopPropagation()
+      hideSuggestionMenu()
+    }
+  }, true)
+
+  // ============ FIELD EVENTS ============
+
+  function isField (elem) {
+    return elem && elem.hasAttribute && elem.hasAttribute('data-EFDRCEfield')
+  }
+
+  function startChecking (elem) {
+    // The browser's own spell check would underline cloze markup
+    elem.setAttribute('spellcheck', 'false')
+    loadDictionary().then((loaded) => {
+      if (loaded && spellcheckEnabled && document.activeElement === elem) checkField(elem)
+    })
+  }
+
+  document.addEventListener('focusin', (e) => {
+    if (spellcheckEnabled && isField(e.target)) startChecking(e.target)
+  })
+
+  document.addEventListener('focusout', (e) => {
+    if (isField(e.target)) {
+      hideSuggestionMenu()
+      clearUnderlines()
+    }
+  })
+
+  document.addEventListener('input', (e) => {
+    if (spellcheckEnabled && dictionary && isField(e.target)) scheduleCheck(e.target)
+  })
+
+  // The raw field html replaces the rendered one without an input event
+  const originalShowRawField = EFDRCE.showRawField
+  EFDRCE.showRawField = function (encoded, nid, fld) {
+    originalShowRawField(encoded, nid, fld)
+    const elem = document.activeElement
+    if (spellcheckEnabled && dictionary && isField(elem)) checkField(elem)
+  }
+
+  EFDRCE.toggleSpellcheck = function () {
+    if (!dictionaryUrls) return
+    spellcheckEnabled = !spellcheckEnabled
+    const elem = document.activeElement
+    if (spellcheckEnabled) {
+      if (isField(elem)) startChecking(elem)
+    } else {
+      if (isField(elem)) elem.removeAttribute('spellcheck')
+      hideSuggestionMenu()
+      clearUnderlines()
+    }
+  }
+
+  /**
+   * Called from reviewer.py
+   * @param {Object} setup - {urls: {aff, dic} | null, words: personal dictionary words}
+   */
+  EFDRCE.setupSpellcheck = function (setup) {
+    dictionaryUrls = setup.urls
+    personalWords = setup.words
+    spellcheckEnabled = Boolean(dictionaryUrls && EFDRCE.CONF.spellcheck?.enabled)
+
+    const shortcut = EFDRCE.CONF.shortcuts.spellcheck
+    if (shortcut) {
+      EFDRCE.registerShortcut(shortcut, () => EFDRCE.toggleSpellcheck(), 'shortcuts.spellcheck')
+    }
+  }
+
+  EFDRCE.spellcheck = {
+    createDictionary
+  }
+})()
@@ -0,0 +1,493 @@
+/* global EFDRCE, CSS, Highlight, Node */
+
+/**
+ * Cloze Suggestions for EFDRCE
+ * Marks cloze candidates in the field being edited. Candidates come from
+ * detectors that are turned on and off in the config, from custom regexes and
+ * from term lists in user_files/suggestion_terms. Click a candidate, or cycle
+ * with Tab and press Enter, to cloze it with the next number in the note;
+ * Ctrl+Enter clozes all of them. The field html only changes when clozing.
+ *
+ * Glossary auto-cloze clozes every term of the glossaries set for the deck or
+ * note type in one go, see clozeGlossaryTerms.
+ */
+(function () {
+  const HIGHLIGHT_NAME = 'efdrce-suggestion'
+  const ACTIVE_HIGHLIGHT_NAME = 'efdrce-suggestion-active'
+  const REFRESH_DELAY = 300
+  const SKIP_ELEMENTS = new Set(['ANKI-MATHJAX', 'SCRIPT', 'STYLE'])
+  const FORMATTING_ELEMENTS = new Set(['B', 'STRONG', 'I', 'EM', 'U'])
+
+  // Built-in detectors by config name, each a list of regexes
+  const BUILTIN_DETECTORS = {
+    date: [
+      /\b\d{1,2}[-/]\d{1,2}[-/]\d{2,4}\b/g,
+      /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2}(?:,?\s+\d{4})?\b/gi,
+      /\b\d{1,2}\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?(?:\s+\d{4})?\b/gi
+    ],
+    number: [
+      // Years
+      /\b(?:19|20)\d{2}\b/g,
+      // Numbers with units
+      /\b\d+(?:\.\d+)?\s*(?:%|mg|kg|ml|mL|cm|mm|m|km|g|lb|oz|hrs?|mins?|secs?|mmHg|bpm|years?|months?|weeks?|days?|times?)\b/gi,
+      /\b\d+\.\d+\b/g,
+      /\b\d{2,}\b/g
+    ],
+    acronym: [/\b[A-Z]{2,}\b/g],
+    term: [
+      // Capitalized phrases, then single capitalized words
+      /\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)+\b/g,
+      /\b[A-Z][a-z]{2,}\b/g,
+      // Mixed case, like iPhone
+      /\b[a-z]+[A-Z][a-zA-Z]*\b/g,
+      /\b[A-Za-z]+-[A-Za-z]+(?:-[A-Za-z]+)*\b/g
+    ]
+  }
+
+  // Terms from the files in term_files, set up by reviewer.py
+  let terms = []
+  // [{type, regex}] in priority order, built from the config
+  let detectors = []
+  let formattedEnabled = true
+
+  // Suggestions being shown: {field, candidates: [{range, type}], index}
+  let active = null
+  let refreshTimeout = null
+  let layer = null
+
+  function escapeRegex (str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }
+
+  /**
+   * Matches of `source` that are not part of a longer word
+   */
+  function wholeWordRegex (source, flags) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${source})(?![\\p{L}\\p{N}])`, flags)
+  }
+
+  function buildDetectors () {
+    const conf = EFDRCE.CONF.cloze_tools?.suggestions || {}
+    const enabled = conf.detectors || {}
+    const isEnabled = name => enabled[name] !== false
+    detectors = []
+
+    if (terms.length > 0) {
+      // Longest first, so "beta blocker" wins over "beta"
+      const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegex)
+      detectors.push({ type: 'term-list', regex: wholeWordRegex(alternatives.join('|'), 'giu') })
+    }
+    for (const { name, pattern, flags = '' } of conf.patterns || []) {
+      try {
+        detectors.push({ type: name || 'custom', regex: new RegExp(pattern, flags.includes('g') ? flags : flags + 'g') })
+      } catch (error) {
+        EFDRCE.clozeTools.showToast(`Invalid suggestion pattern: ${pattern}`)
+      }
+    }
+    formattedEnabled = isEnabled('formatted')
+    for (const [name, regexes] of Object.entries(BUILTIN_DETECTORS)) {
+      if (!isEnabled(name)) continue
+      regexes.forEach(regex => detectors.push({ type: name, regex }))
+    }
+  }
+
+  // ============ DETECTION ============
+
+  /**
+   * Text nodes of a field, with their offset in the text of all of them
+   */
+  function collectText (elem) {
+    let text = ''
+    const segments = []
+    function walk (node) {
+      for (const child of node.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          segments.push({ node: child, start: text.length })
+          text += child.data
+        } else if (child.nodeType === Node.ELEMENT_NODE && !SKIP_ELEMENTS.has(child.tagName)) {
+          walk(child)
+        }
+      }
+    }
+    walk(elem)
+    return { text, segments }
+  }
+
+  /**
+   * Parts of the field text that are never suggested: clozes and math
+   */
+  function excludedRegions (text) {
+    // The text is no html, a "<" in it is not a tag
+    const masked = text.replace(/</g, ' ')
+    const clozes = EFDRCE.clozeTools.parseClozes(masked).children
+    const math = EFDRCE.clozeTools.findMathRegions(masked)
+    return [...clozes, ...math].map(region => [region.htmlStart, region.htmlEnd])
+  }
+
+  /**
+   * @param {Array} matchers - [{type, regex}], earlier ones win on overlap
+   * @param {boolean} formatted - Whether formatted text is a candidate
+   * @returns {Array} - [{range, type}] in document order. A candidate never
+   *   spans text nodes, so it can be clozed by inserting text around it.
+   */
+  function findCandidates (field, matchers = detectors, formatted = formattedEnabled) {
+    const { text, segments } = collectText(field)
+    const taken = excludedRegions(text)
+    const overlaps = (start, end) => taken.some(([s, e]) => start < e && end > s)
+    const found = []
+    const add = (node, nodeStart, start, end, type) => {
+      if (end <= start || overlaps(nodeStart + start, nodeStart + end)) return
+      taken.push([nodeStart + start, nodeStart + end])
+      found.push({ node, start, end, type, position: nodeStart + start })
+    }
+
+    for (const { node, start: nodeStart } of segments) {
+      const data = node.data
+      if (!data.trim()) continue
+      // All of the text of a bold, italic or underlined element
+      if (formatted && FORMATTING_ELEMENTS.has(node.parentNode.tagName) && node.parentNode.childNodes.length === 1) {
+        const match = data.match(/^(\s*)(.*?)\s*$/s)
+        add(node, nodeStart, match[1].length, match[1].length + match[2].length, 'formatted')
+      }
+      for (const { type, regex } of matchers) {
+        for (const match of data.matchAll(regex)) {
+          add(node, nodeStart, match.index, match.index + match[0].length, type)
+        }
+      }
+    }
+
+    found.sort((a, b) => a.position - b.position)
+    return found.map(({ node, start, end, type }) => {
+      const range = document.createRange()
+      range.setStart(node, start)
+      range.setEnd(node, end)
+      return { range, type }
+    })
+  }
+
+  // ============ DISPLAY ============
+
+  /**
+   * Mark candidates with the CSS Custom Highlight API, or with positioned
+   * boxes where it is not supported
+   */
+  function showHighlights () {
+    const { candidates, index } = active
+    const current = candidates[index]
+    if (window.CSS && CSS.highlights) {
+      CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(...candidates.map(c => c.range)))
+      if (current) {
+        CSS.highlights.set(ACTIVE_HIGHLIGHT_NAME, new Highlight(current.range))
+      } else {
+        CSS.highlights.delete(ACTIVE_HIGHLIGHT_NAME)
+      }
+      return
+    }
+
+    if (!layer) {
+      layer = document.createElement('div')
+      layer.id = 'efdrce-suggestion-layer'
+      layer.style.cssText = 'position: absolute; top: 0; left: 0; pointer-events: none; z-index: 99990;'
+      document.body.appendChild(layer)
+    }
+    layer.innerHTML = ''
+    for (const candidate of candidates) {
+      const color = candidate === current ? 'rgba(255, 165, 0, 0.6)' : 'rgba(255, 215, 0, 0.3)'
+      for (const rect of candidate.range.getClientRects()) {
+        const box = document.createElement('div')
+        box.style.cssText = `
+          position: absolute;
+          left: ${rect.left + window.scrollX}px;
+          top: ${rect.top + window.scrollY}px;
+          width: ${rect.width}px;
+          height: ${rect.height}px;
+          background: ${color};
+          border-radius: 2px;
+        `
+        layer.appendChild(box)
+      }
+    }
+  }
+
+  function clearHighlights () {
+    if (window.CSS && CSS.highlights) {
+      CSS.highlights.delete(HIGHLIGHT_NAME)
+      CSS.highlights.delete(ACTIVE_HIGHLIGHT_NAME)
+    }
+    if (layer) {
+      layer.remove()
+      layer = null
+    }
+  }
+
+  function refresh () {
+    clearTimeout(refreshTimeout)
+    if (!active) return
+    if (!active.field.isConnected) {
+      hideSuggestions()
+      return
+    }
+    active.candidates = findCandidates(active.field)
+    active.index = Math.min(active.index, active.candidates.length - 1)
+    showHighlights()
+  }
+
+  function showSuggestions (field) {
+    active = { field, candidates: [], index: -1 }
+    refresh()
+    const count = active.candidates.length
+    EFDRCE.clozeTools.showToast(count === 0
+      ? 'No cloze suggestions'
+      : `${count} suggestion${count === 1 ? '' : 's'} · click or Tab + Enter to cloze · Ctrl+Enter for all`)
+  }
+
+  function hideSuggestions () {
+    clearTimeout(refreshTimeout)
+    active = null
+    clearHighlights()
+  }
+
+  // ============ CLOZING ============
+
+  /**
+   * Wrap candidates in clozes with the cloze tools, as one undo step. The
+   * caret ends up after the first one.
+   * @param {Array} numbered - [{range, number}] in document order
+   */
+  function insertClozes (field, numbered) {
+    const tools = EFDRCE.clozeTools
+    tools.saveUndoState(field)
+    const map = tools.buildOffsetMap(field)
+    const spans = numbered.map(({ range, number }) => ({
+      start: map.domToText(range.startContainer, range.startOffset),
+      end: map.domToText(range.endContainer, range.endOffset),
+      number
+    }))
+    const selection = window.getSelection()
+    // From the last, so the offsets of the others stay valid
+    for (const { start, end, number } of spans.reverse()) {
+      selection.removeAllRanges()
+      selection.addRange(tools.textRange(tools.buildOffsetMap(field), start, end))
+      tools.wrapInCloze(field, number)
+    }
+  }
+
+  /**
+   * Cloze candidates with consecutive numbers from the next free in the note
+   */
+  function clozeCandidates (candidates) {
+    if (!active || candidates.length === 0) return
+    const field = active.field
+    EFDRCE.clozeTools.fetchNextNoteNumber(field, (number) => {
+      if (!active || active.field !== field) return
+      const numbered = candidates.map((candidate, idx) => ({ range: candidate.range, number: number + idx }))
+      insertClozes(field, numbered)
+
+      const position = active.candidates.indexOf(candidates[0])
+      refresh()
+      active.index = Math.min(position, active.candidates.length) - 1
+      showHighlights()
+    })
+  }
+
+  function selectCandidate (direction) {
+    const count = active.candidates.length
+    if (count === 0) return
+    active.index = active.index < 0 && direction < 0
+      ? count - 1
+      : (active.index + direction + count) % count
+    showHighlights()
+    const rect = active.candidates[active.index].range.getBoundingClientRect()
+    if (rect.top < 0 || rect.bottom > window.innerHeight) {
+      window.scrollBy(0, rect.top - window.innerHeight / 2)
+    }
+  }
+
+  function candidateAt (x, y) {
+    return active.candidates.find(candidate => [...candidate.range.getClientRects()].some(rect =>
+      x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+    ))
+  }
+
+  // ============ GLOSSARY ============
+
+  // With stem matching, a term also matches with one of these endings
+  const STEM_ENDINGS = '(?:s|es|d|ed|ing)?'
+
+  /**
+   * Regex source of a term and its inflections: "process" also matches
+   * "processes" and "processing", "dilate" matches "dilating" and "artery"
+   * matches "arteries"
+   */
+  function stemSource (term) {
+    const forms = [escapeRegex(term) + STEM_ENDINGS]
+    if (/[^e]e$/i.test(term)) forms.push(escapeRegex(term.slice(0, -1)) + 'ing')
+    if (/[^aeiou]y$/i.test(term)) forms.push(escapeRegex(term.slice(0, -1)) + '(?:ies|ied)')
+    return `(?:${forms.join('|')})`
+  }
+
+  /**
+   * One matcher per term, longest first so "beta blocker" wins over "beta".
+   * The type of a match is the term it matched.
+   */
+  function glossaryMatchers (glossary, options) {
+    const flags = options.match_case ? 'gu' : 'giu'
+    return [...new Set(glossary)].sort((a, b) => b.length - a.length).map(term => {
+      const source = options.match_stems ? stemSource(term) : escapeRegex(term)
+      return { type: term, regex: wholeWordRegex(source, flags) }
+    })
+  }
+
+  /**
+   * Numbers of the clozes in the field that hold just a glossary term
+   * @returns {Map} - term key → cloze number
+   */
+  function existingTermNumbers (field, keys) {
+    const text = collectText(field).text.replace(/</g, ' ')
+    const numbers = new Map()
+    for (const cloze of EFDRCE.clozeTools.parseClozes(text).children) {
+      if (cloze.contentEnd === undefined) continue
+      const content = text.slice(cloze.contentStart, cloze.contentEnd).trim()
+      for (const key of keys(content)) {
+        if (!numbers.has(key)) numbers.set(key, cloze.number)
+      }
+    }
+    return numbers
+  }
+
+  /**
+   * Cloze every occurrence of the glossary terms in the field, numbered from
+   * the next free number in the note. With "term" numbering the occurrences of
+   * a term share one number, also with a cloze of the term already in the
+   * field; with "occurrence" numbering each gets its own.
+   * @param {Array} glossary - Terms of the glossaries for the card
+   */
+  function clozeGlossaryTerms (field, glossary) {
+    const options = EFDRCE.CONF.cloze_tools?.glossary || {}
+    if (glossary.length === 0) {
+      EFDRCE.clozeTools.showToast('No glossary for this deck or note type')
+      return
+    }
+    const matchers = glossaryMatchers(glossary, options)
+    const candidates = findCandidates(field, matchers, false)
+    if (candidates.length === 0) {
+      EFDRCE.clozeTools.showToast('No glossary terms to cloze in this field')
+      return
+    }
+
+    const perTerm = options.numbering !== 'occurrence'
+    const key = term => options.match_case ? term : term.toLowerCase()
+    // Terms a cloze of `content` counts as, for reusing its number
+    const termsOf = content => matchers
+      .filter(({ regex }) => new RegExp(`^(?:${regex.source})$`, regex.flags.replace('g', '')).test(content))
+      .map(({ type }) => key(type))
+
+    EFDRCE.clozeTools.fetchNextNoteNumber(field, (next) => {
+      if (!field.isConnected) return
+      const numbers = perTerm ? existingTermNumbers(field, termsOf) : new Map()
+      const numbered = candidates.map(({ range, type }) => {
+        if (!perTerm) return { range, number: next++ }
+        if (!numbers.has(key(type))) numbers.set(key(type), next++)
+        return { range, number: numbers.get(key(type)) }
+      })
+      insertClozes(field, numbered)
+
+      const terms = new Set(candidates.map(({ type }) => key(type))).size
+      EFDRCE.clozeTools.showToast(`Clozed ${candidates.length} occurrence${candidates.length === 1 ? '' : 's'} of ${terms} term${terms === 1 ? '' : 's'}`)
+      if (active && active.field === field) refresh()
+    })
+  }
+
+  // ============ EVENTS ============
+
+  document.addEventListener('mousedown', (e) => {
+    if (!active || e.button !== 0 || !active.field.contains(e.target)) return
+    const candidate = candidateAt(e.clientX, e.clientY)
+    if (!candidate) return
+    e.preventDefault()
+    e.stopPropagation()
+    clozeCandidates([candidate])
+  }, true)
+
+  document.addEventListener('keydown', (e) => {
+    if (!active || document.activeElement !== active.field) return
+    // Without candidates Tab and Ctrl+Enter keep their usual meaning
+    const found = active.candidates.length > 0
+    if (e.key === 'Tab' && found) {
+      selectCandidate(e.shiftKey ? -1 : 1)
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && found) {
+      clozeCandidates(active.candidates)
+    } else if (e.key === 'Enter' && active.candidates[active.index]) {
+      clozeCandidates([active.candidates[active.index]])
+    } else if (e.key === 'Escape') {
+      hideSuggestions()
+    } else {
+      return
+    }
+    e.preventDefault()
+    e.stopPropagation()
+  }, true)
+
+  document.addEventListener('input', (e) => {
+    if (active && e.target === active.field) {
+      clearTimeout(refreshTimeout)
+      refreshTimeout = setTimeout(refresh, REFRESH_DELAY)
+    }
+  })
+
+  document.addEventListener('focusout', (e) => {
+    if (active && e.target === active.field) hideSuggestions()
+  })
+
+  // The raw field html replaces the rendered one without an input event
+  const originalShowRawField = EFDRCE.showRawField
+  EFDRCE.showRawField = function (encoded, nid, fld) {
+    originalShowRawField(encoded, nid, fld)
+    refresh()
+  }
+
+  EFDRCE.toggleClozeSuggestions = function () {
+    const field = EFDRCE.editingField()
+    if (active && active.field === field) {
+      hideSuggestions()
+    } else if (field) {
+      showSuggestions(field)
+    }
+  }
+
+  EFDRCE.acceptAllSuggestions = function () {
+    const field = EFDRCE.editingField()
+    if (!field) return
+    if (!active || active.field !== field) {
+      active = { field, candidates: findCandidates(field), index: -1 }
+    }
+    if (active.candidates.length === 0) {
+      EFDRCE.clozeTools.showToast('No cloze suggestions')
+      hideSuggestions()
+      return
+    }
+    clozeCandidates(active.candidates)
+  }
+
+  EFDRCE.clozeGlossaryTerms = function () {
+    const field = EFDRCE.editingField()
+    if (!field) return
+    window.pycmd('EFDRCE!glossary', (glossary) => clozeGlossaryTerms(field, glossary))
+  }
+
+  /**
+   * @param {Array} termList - Terms from the files in term_files
+   */
+  EFDRCE.setupSuggestions = function (termList) {
+    terms = termList.filter(term => term.trim())
+    buildDetectors()
+    const shortcut = EFDRCE.CONF.cloze_tools?.shortcuts?.suggest_clozes
+    if (shortcut) {
+      EFDRCE.registerShortcut(shortcut, () => EFDRCE.toggleClozeSuggestions(), 'cloze_tools.shortcuts.suggest_clozes')
+    }
+    const glossaryShortcut = EFDRCE.CONF.cloze_tools?.shortcuts?.glossary_cloze
+    if (glossaryShortcut) {
+      EFDRCE.registerShortcut(glossaryShortcut, () => EFDRCE.clozeGlossaryTerms(), 'cloze_tools.shortcuts.glossary_cloze')
+    }
+  }
+})()
@@ -7,6 +7,12 @@ import {
   filterElementInternal,
 } from "./element";
 import { filterNode } from "./node";
+import type { PasteRules } from "./rules";
+import {
+  compileReplacements,
+  filterElementWithRules,
+  replaceInTextNodes,
+} from "./rules";
 
 enum FilterMode {
   Basic,
@@ -41,16 +47,18 @@ const outputHTMLProcessors: Record<FilterMode, (outputHTML: string) => string> =
 export function filterHTML(
   html: string,
   internal: boolean,
-  extended: boolean
+  extended: boolean,
+  rules: PasteRules = {}
 ): string {
   const template = document.createElement("template");
   template.innerHTML = html;
 
   const mode = getFilterMode(internal, extended);
   const content = template.content;
-  const filter = filterNode(filters[mode]);
+  const filter = filterNode(filterElementWithRules(rules, filters[mode]));
 
   filter(content);
+  replaceInTextNodes(content, compileReplacements(rules).regexes);
 
   return outputHTMLProcessors[mode](template.innerHTML);
 }
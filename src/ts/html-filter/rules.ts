@@ -0,0 +1,170 @@
+// User paste rules from the "paste_rules" config, applied on top of the filter mode.
+
+import { removeNode } from "./node";
+
+export type TagAction = "allow" | "strip" | "unwrap";
+
+export interface TextReplacement {
+    pattern: string;
+    replacement: string;
+    // regex flags, "g" is always added
+    flags?: string;
+}
+
+export interface PasteRules {
+    // use the extended filter, which keeps formatting tags like B, UL and TABLE
+    extended?: boolean;
+    // tag name -> allow (keep), strip (remove with its content) or unwrap (keep its content)
+    tags?: { [tagName: string]: TagAction };
+    // tag name or "*" -> attributes kept on that tag
+    attributes?: { [tagName: string]: string[] };
+    // style properties kept on any element, instead of the filter mode's
+    styles?: string[];
+    // applied in order to the pasted text, never to tags
+    replacements?: TextReplacement[];
+}
+
+type ElementFilter = (element: Element) => void;
+
+function tagAction(rules: PasteRules, tagName: string): TagAction | undefined {
+    for (const [name, action] of Object.entries(rules.tags ?? {})) {
+        if (name.toUpperCase() === tagName) {
+            return action;
+        }
+    }
+    return undefined;
+}
+
+function keptAttributeNames(rules: PasteRules, tagName: string): string[] {
+    const names: string[] = [];
+    for (const [name, attributes] of Object.entries(rules.attributes ?? {})) {
+        if (name === "*" || name.toUpperCase() === tagName) {
+            names.push(...attributes.map((attribute) => attribute.toLowerCase()));
+        }
+    }
+    return names;
+}
+
+/**
+ * Tag actions decide first, then the filter mode runs and the attributes and
+ * styles allowed by the rules are put back on elements the mode kept.
+ */
+export const filterElementWithRules =
+    (rules: PasteRules, modeFilter: ElementFilter): ElementFilter =>
+    (element: Element): void => {
+        const action = tagAction(rules, element.tagName);
+
+        if (action === "strip") {
+            removeNode(element);
+            return;
+        }
+        if (action === "unwrap") {
+            element.replaceWith(...element.childNodes);
+            return;
+        }
+
+        const attributeNames = keptAttributeNames(rules, element.tagName);
+        const attributes = [...element.attributes]
+            .filter((attr) => attributeNames.includes(attr.name.toLowerCase()))
+            .map((attr) => [attr.name, attr.value]);
+        const styleNames = rules.styles ?? [];
+        const style = (element as HTMLElement).style;
+        const styles = style
+            ? Array.from(style)
+                  .filter((property) => styleNames.includes(property))
+                  .map((property) => [property, style.getPropertyValue(property)])
+            : [];
+        const parent = element.parentNode;
+
+        if (action === "allow") {
+            for (const attr of [...element.attributes]) {
+                element.removeAttributeNode(attr);
+            }
+        } else {
+            modeFilter(element);
+        }
+
+        // The filter mode removed or unwrapped the element
+        if (element.parentNode !== parent) {
+            return;
+        }
+        for (const [name, value] of attributes) {
+            element.setAttribute(name, value);
+        }
+        if (styleNames.length > 0 && style) {
+            element.removeAttribute("style");
+            for (const [property, value] of styles) {
+                style.setProperty(property, value);
+            }
+        }
+    };
+
+/**
+ * @returns the replacements as regexes, and an error message for each invalid pattern
+ */
+export function compileReplacements(rules: PasteRules): {
+    regexes: [RegExp, string][];
+    errors: string[];
+} {
+    const regexes: [RegExp, string][] = [];
+    const errors: string[] = [];
+    for (const { pattern, replacement, flags = "" } of rules.replacements ?? []) {
+        try {
+            const allFlags = flags.includes("g") ? flags : flags + "g";
+            regexes.push([new RegExp(pattern, allFlags), replacement ?? ""]);
+        } catch (error) {
+            errors.push(`${pattern}: ${(error as Error).message}`);
+        }
+    }
+    return { regexes, errors };
+}
+
+export function replaceText(text: string, regexes: [RegExp, string][]): string {
+    for (const [regex, replacement] of regexes) {
+        text = text.replace(regex, replacement);
+    }
+    return text;
+}
+
+// Removed when a replacement leaves them empty
+const inlineTags = ["A", "B", "EM", "FONT", "I", "SPAN", "STRONG", "SUB", "SUP", "U"];
+
+/**
+ * Run the replacements on every text node. An inline element left empty by
+ * them, like <sup>[12]</sup> without its citation, is removed too.
+ */
+export function replaceInTextNodes(
+    fragment: DocumentFragment,
+    regexes: [RegExp, string][],
+): void {
+    if (regexes.length === 0) {
+        return;
+    }
+    const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_TEXT);
+    const textNodes: Text[] = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode as Text);
+    }
+
+    for (const node of textNodes) {
+        const replaced = replaceText(node.data, regexes);
+        if (replaced === node.data) {
+            continue;
+        }
+        if (replaced !== "") {
+            node.data = replaced;
+            continue;
+        }
+        let parent: Node | null = node.parentNode;
+        removeNode(node);
+        while (
+            parent &&
+            parent.childNodes.length === 0 &&
+            inlineTags.includes((parent as Element).tagName)
+        ) {
+            const next: Node | null = parent.parentNode;
+            removeNode(parent);
+            parent = next;
+        }
+    }
+}
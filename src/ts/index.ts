@@ -2,6 +2,8 @@
  * License: GNU AGPL, version 3 or later; http://www.gnu.org/licenses/agpl.html */
 
 import { filterHTML } from "./html-filter/index";
+import type { PasteRules } from "./html-filter/rules";
+import { compileReplacements, replaceText } from "./html-filter/rules";
 import { wrapInternal } from "./wrap";
 
 export function setFormat(
@@ -19,16 +21,47 @@ declare global {
   }
 }
 
-window.EFDRCE.pasteHTML = function (
+function pasteRules(): PasteRules {
+  return window.EFDRCE.CONF?.paste_rules ?? {};
+}
+
+// modified - extended mode and user rules come from the paste_rules config
+window.EFDRCE.filterPaste = function (
   html: string,
   internal: boolean,
-  extendedMode: boolean
-): void {
-  html = filterHTML(html, internal, extendedMode);
+  extended?: boolean
+): string {
+  const rules = pasteRules();
+  return filterHTML(html, internal, extended ?? rules.extended ?? false, rules);
+};
+
+window.EFDRCE.pasteHTML = function (html: string, internal: boolean): void {
+  html = window.EFDRCE.filterPaste(html, internal);
 
   if (html !== "") {
     setFormat("inserthtml", html);
   }
 };
 
+function escapeHTML(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// Paste text without formatting, after the text replacements of the rules
+window.EFDRCE.pasteText = function (text: string): void {
+  const { regexes } = compileReplacements(pasteRules());
+  const html = escapeHTML(replaceText(text, regexes)).replace(/\r?\n/g, "<br>");
+
+  if (html !== "") {
+    setFormat("inserthtml", html);
+  }
+};
+
+window.EFDRCE.pasteRuleErrors = function (): string[] {
+  return compileReplacements(pasteRules()).errors;
+};
+
 window.EFDRCE.wrapInternal = wrapInternal;
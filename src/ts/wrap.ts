@@ -6,10 +6,11 @@ import { getRange, getSelection } from "./cross-browser";
 function wrappedExceptForWhitespace(
   text: string,
   front: string,
-  back: string
+  back: string,
+  transform: (wrapped: string) => string
 ): string {
   const match = text.match(/^(\s*)([^]*?)(\s*)$/)!;
-  return match[1] + front + match[2] + back + match[3];
+  return match[1] + transform(front + match[2] + back) + match[3];
 }
 
 function moveCursorInside(selection: Selection, postfix: string): void {
@@ -22,11 +23,19 @@ function moveCursorInside(selection: Selection, postfix: string): void {
   selection.addRange(range);
 }
 
+export interface WrapOptions {
+  // place the caret between front and back when nothing is selected
+  moveCursor?: boolean;
+  // rewrite the wrapped selection before it is inserted
+  transform?: (wrapped: string) => string;
+}
+
 export function wrapInternal(
   base: Element,
   front: string,
   back: string,
-  plainText: boolean
+  plainText: boolean,
+  { moveCursor = true, transform = (wrapped) => wrapped }: WrapOptions = {}
 ): void {
   const selection = getSelection(base)!;
   const range = getRange(selection);
@@ -41,19 +50,24 @@ export function wrapInternal(
   span.appendChild(content);
 
   if (plainText) {
-    const new_ = wrappedExceptForWhitespace(span.innerText, front, back);
+    const new_ = wrappedExceptForWhitespace(
+      span.innerText,
+      front,
+      back,
+      transform
+    );
     document.execCommand("inserttext", false, new_);
   } else {
-    const new_ = wrappedExceptForWhitespace(span.innerHTML, front, back);
+    const new_ = wrappedExceptForWhitespace(
+      span.innerHTML,
+      front,
+      back,
+      transform
+    );
     document.execCommand("inserthtml", false, new_);
   }
 
-  if (
-    wasCollapsed &&
-    /* ugly solution: treat <anki-mathjax> differently than other wraps */ !front.includes(
-      "<anki-mathjax"
-    )
-  ) {
+  if (wasCollapsed && moveCursor) {
     moveCursorInside(selection, back);
   }
 }